@@ -12,6 +12,29 @@
   <!-- Load Recharts -->
   <script src="https://cdnjs.cloudflare.com/ajax/libs/recharts/2.5.0/Recharts.min.js"></script>
   
+  <!-- Load calculator modules (lib/) -->
+  <script src="lib/purchasing.js"></script>
+  <script src="lib/dataprofile.js"></script>
+  <script src="lib/scheduler.js"></script>
+  <script src="lib/assumptions.js"></script>
+  <script src="lib/migration.js"></script>
+  <script src="lib/labor.js"></script>
+  <script src="lib/network.js"></script>
+  <script src="lib/providers.js"></script>
+  <script src="lib/sources.js"></script>
+  <script src="lib/validation.js"></script>
+  <script src="lib/tidbcloud.js"></script>
+  <script src="lib/sizing.js"></script>
+  <script src="lib/availability.js"></script>
+  <script src="lib/pricing.js"></script>
+  <script src="lib/projection.js"></script>
+  <script src="lib/sensitivity.js"></script>
+  <script src="lib/scenarios.js"></script>
+  <script src="lib/comparison.js"></script>
+  <script src="lib/deployment.js"></script>
+  <script src="lib/metrics.js"></script>
+  <script src="lib/montecarlo.js"></script>
+  
   <!-- Load Tailwind CSS -->
   <link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">
   
@@ -33,101 +56,195 @@
     // Access Recharts components from global scope
     const { 
       BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, 
-      ResponsiveContainer, LineChart, Line 
+      ResponsiveContainer, LineChart, Line, ReferenceLine
     } = Recharts;
 
-    // EC2 instance types and pricing (approximate monthly costs)
-    const ec2InstanceTypes = {
-      // Compute-optimized (good for TiDB)
-      "c5.2xlarge": { vCPU: 8, memory: 16, monthlyCost: 246, description: "Good for TiDB servers" },
-      "c5.4xlarge": { vCPU: 16, memory: 32, monthlyCost: 493, description: "Recommended for TiDB servers" },
-      "c5.9xlarge": { vCPU: 36, memory: 72, monthlyCost: 1109, description: "High performance TiDB" },
-      
-      // Memory-optimized (good for high memory workloads)
-      "r5.2xlarge": { vCPU: 8, memory: 64, monthlyCost: 387, description: "Memory optimized" },
-      "r5.4xlarge": { vCPU: 16, memory: 128, monthlyCost: 774, description: "High memory" },
-      "r5.8xlarge": { vCPU: 32, memory: 256, monthlyCost: 1548, description: "Very high memory" },
-      
-      // General purpose (good for PD)
-      "m5.2xlarge": { vCPU: 8, memory: 32, monthlyCost: 278, description: "Good for PD nodes" },
-      "m5.4xlarge": { vCPU: 16, memory: 64, monthlyCost: 556, description: "High performance PD" },
-      
-      // Storage optimized with NVMe (best for TiKV)
-      "i3.2xlarge": { vCPU: 8, memory: 61, monthlyCost: 499, nvme: 1900, description: "Recommended for TiKV" },
-      "i3.4xlarge": { vCPU: 16, memory: 122, monthlyCost: 998, nvme: 3800, description: "High performance TiKV" },
-      "i3.8xlarge": { vCPU: 32, memory: 244, monthlyCost: 1995, nvme: 7600, description: "Very high performance TiKV" },
-      "i3en.2xlarge": { vCPU: 8, memory: 64, monthlyCost: 623, nvme: 5000, description: "Storage optimized TiKV" },
-      "i3en.3xlarge": { vCPU: 12, memory: 96, monthlyCost: 935, nvme: 7500, description: "Storage optimized TiKV+" }
-    };
+    // Sizing and cost engine (lib/sizing.js)
+    const {
+      sizeCluster, getInstanceTypeImpact, recommendTidbInstanceType
+    } = TiDBSizing;
 
-    // EBS volume types and pricing
-    const ebsVolumeTypes = {
-      "gp3": { basePrice: 0.08, throughputPrice: 0.04, iopsPrice: 0.005 }, // per GB-month
-      "gp2": { basePrice: 0.10 }, // per GB-month
-      "io1": { basePrice: 0.125, iopsPrice: 0.065 }, // per GB-month, per provisioned IOPS-month
-      "io2": { basePrice: 0.125, iopsPrice: 0.065 } // per GB-month, per provisioned IOPS-month
-    };
+    // Cloud providers: service names, catalog tables and role defaults (lib/providers.js)
+    const { catalogProvider, deploymentModesFor, adaptToCatalog } = TiDBProviders;
 
-    // PostgreSQL instance types and pricing (approximate monthly costs)
-    const postgresInstanceTypes = {
-      "db.m5.large": { vCPU: 2, memory: 8, monthlyCost: 218 },
-      "db.m5.xlarge": { vCPU: 4, memory: 16, monthlyCost: 437 },
-      "db.m5.2xlarge": { vCPU: 8, memory: 32, monthlyCost: 874 },
-      "db.r5.large": { vCPU: 2, memory: 16, monthlyCost: 276 },
-      "db.r5.xlarge": { vCPU: 4, memory: 32, monthlyCost: 552 },
-      "db.r5.2xlarge": { vCPU: 8, memory: 64, monthlyCost: 1104 },
-      "db.r5.4xlarge": { vCPU: 16, memory: 128, monthlyCost: 2208 }
-    };
+    // Source databases and their cost models (lib/sources.js)
+    const {
+      sourceDatabases, sourcesForCatalog, getSource, changeSource, sourceForCatalog, auroraBillingModes,
+      repriceSource
+    } = TiDBSources;
 
-    // Main component
-    const TiDBMigrationCalculator = () => {
-      // State for PostgreSQL inputs
-      const [postgres, setPostgres] = useState({
+    // TiDB Cloud target and its editable price catalog (lib/tidbcloud.js)
+    const {
+      tidbCloudModels, tidbCloudTiers, defaultTidbCloud, tidbCloudRegion, offersModel, tidbCloudPriceFields,
+      getTidbCloudPrice, setTidbCloudPrice, readEditedCatalog, writeEditedCatalog, clearEditedCatalog
+    } = TiDBCloud;
+
+    // Per-table data profile (lib/dataprofile.js)
+    const {
+      tableProfileQueries, parseTableProfile, createDataProfile, condenseProfile, profileSizeGB, estimateTable
+    } = TiDBDataProfile;
+
+    // Kubernetes worker node packing (lib/scheduler.js)
+    const { defaultKubernetes } = TiDBScheduler;
+
+    // Sizing assumptions and presets (lib/assumptions.js)
+    const { assumptionFields, assumptionPresets, defaultAssumptions, describeAssumptions } = TiDBAssumptions;
+
+    // Operations labor (lib/labor.js)
+    const { defaultLabor } = TiDBLabor;
+
+    // Network traffic model (lib/network.js)
+    const { defaultNetwork, networkFields } = TiDBNetwork;
+
+    // Migration project plan (lib/migration.js)
+    const { defaultMigration, migrationFields } = TiDBMigration;
+
+    // Input validation (lib/validation.js)
+    const { readWriteRatios, validateInputs } = TiDBValidation;
+
+    // High-availability checks (lib/availability.js)
+    const { validateAvailability } = TiDBAvailability;
+
+    // Pricing catalogs (lib/pricing.js)
+    const { listCatalogs, loadCatalog, loadTidbCloudCatalog, describeCatalog } = TiDBPricing;
+
+    // Purchasing options (lib/purchasing.js)
+    const { savingsPlanTerms, defaultPurchasing, optionsForRole } = TiDBPurchasing;
+
+    // Scenario manager (lib/scenarios.js)
+    const {
+      SCENARIO_FORMAT_VERSION, readScenarios, saveScenario, addScenario, renameScenario, duplicateScenario,
+      deleteScenario, serializeScenario, parseScenario, encodeScenarioHash, decodeScenarioHash, mergeScenarioState,
+      MAX_HASH_LENGTH
+    } = TiDBScenarios;
+
+    // Scenario comparison (lib/comparison.js)
+    const { MIN_SCENARIOS, MAX_SCENARIOS, compareScenarios } = TiDBComparison;
+
+    // Series colours for scenarios shown side by side
+    const scenarioColors = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444'];
+
+    // Deployment manifests export (lib/deployment.js)
+    const { defaultDeploymentOptions, generateDeployment } = TiDBDeployment;
+
+    // Workload metrics import (lib/metrics.js)
+    const { parseMetricsFile, deriveWorkload, workloadInputsFromMetrics, previewSeries } = TiDBMetrics;
+
+    // Sensitivity analysis (lib/sensitivity.js)
+    const {
+      DEFAULT_SENSITIVITY_PERCENT, sensitivityPercentRange, sensitivityParameters, sensitivityTiers, analyzeSensitivity
+    } = TiDBSensitivity;
+
+    // Monte Carlo uncertainty ranges (lib/montecarlo.js)
+    const {
+      defaultUncertainty, uncertaintyRanges, distributionTypes, defaultDistribution, validateUncertainty, runMonteCarlo
+    } = TiDBMonteCarlo;
+
+    // Multi-year TCO projection (lib/projection.js)
+    const { projectionHorizons, projectTco } = TiDBProjection;
+
+    // TiDB roles with a selectable instance type
+    const tidbRoles = [
+      { key: 'tidb', label: 'TiDB' },
+      { key: 'tikv', label: 'TiKV' },
+      { key: 'pd', label: 'PD' },
+      { key: 'tiflash', label: 'TiFlash' },
+      { key: 'monitoring', label: 'Monitoring' }
+    ];
+
+    // TiDB roles with a block volume per node
+    const ebsRoles = [
+      { key: 'tidb', label: 'TiDB', typeField: 'tidbEbsType', sizeField: 'tidbEbsSize' },
+      { key: 'tikv', label: 'TiKV Additional', typeField: 'tikvAdditionalEbsType', sizeField: 'tikvAdditionalEbsSize' },
+      { key: 'pd', label: 'PD', typeField: 'pdEbsType', sizeField: 'pdEbsSize' },
+      { key: 'tiflash', label: 'TiFlash', typeField: 'tiflashEbsType', sizeField: 'tiflashEbsSize' }
+    ];
+
+    // Node count cards in the TiDB Configuration panel that can be pinned
+    const pinnableNodeCards = [
+      { field: 'tidbNodes', label: 'TiDB Nodes', instanceField: 'tidbInstanceType' },
+      { field: 'tikvNodes', label: 'TiKV Nodes', instanceField: 'tikvInstanceType' },
+      { field: 'tiflashNodes', label: 'TiFlash Nodes', instanceField: 'tiflashInstanceType' }
+    ];
+
+    // Recommended / locked toggle for a sizing result, showing the recommendation next to a pinned value
+    const PinToggle = ({ pinned, value, recommended, onToggle }) => (
+      <div className="text-xs mt-1">
+        <button
+          type="button"
+          onClick={onToggle}
+          className={`px-2 py-0.5 rounded border ${pinned ? 'bg-yellow-100 border-yellow-400 text-yellow-800' : 'bg-gray-100 text-gray-600'}`}
+          title={pinned ? 'Release to follow the recommendation' : 'Lock this value'}>
+          {pinned ? 'Locked' : 'Recommended'}
+        </button>
+        {pinned && value !== recommended && (
+          <span className="ml-2 text-yellow-800">recommended: {recommended}</span>
+        )}
+      </div>
+    );
+
+    // Inline validation message under an input
+    const FieldError = ({ message }) => message
+      ? <p className="text-xs text-red-600 mt-1">{message}</p>
+      : null;
+
+    // Default calculator state; also the base that saved scenarios are merged onto
+    const defaultScenarioState = {
+      // Source database inputs (the key predates MySQL and self-managed sources)
+      postgres: {
+        source: 'rds-postgresql', // One of sourceDatabases (lib/sources.js)
         instanceType: 'db.r5.2xlarge',
-        instanceCount: 2,
-        storageGB: 1000,
-        iops: 3000,
+        instanceCount: 2, // Primaries; more than one is a sharded source
+        storageGB: 1000, // Total across the shards
+        iops: 3000, // Provisioned IOPS on RDS / EBS; average I/O requests per second on Aurora
+        storageType: 'gp3',
+        storageThroughput: 125, // MiB/s (gp3)
+        auroraBilling: 'standard',
         readOps: 5000,
         writeOps: 1000,
-        monthlyCost: 2208 * 2, // Default to match instance cost
+        monthlyCost: 2208 * 2, // On-demand instance cost, re-priced from the catalog
         multiAZ: true,
-        readReplicas: 1
-      });
+        readReplicas: 1,
+        backupRetentionDays: 7,
+        dailyChangePercent: 5, // Share of the data changed per day (incremental backup growth)
+        manualSnapshotGB: 0,
+        performanceInsights: false // Paid long-term retention
+      },
 
-      // State for workload characteristics
-      const [workload, setWorkload] = useState({
+      // Workload characteristics
+      workload: {
         readWriteRatio: '80/20',
         type: 'OLTP', // OLTP, OLAP, Mixed
         dataGrowthRate: 10, // percentage per month
         concurrentConnections: 200,
         trafficSpikes: true,
         peakRatio: 3 // peak to normal ratio
-      });
+      },
 
-      // State for TiDB cluster configuration
-      const [tidbCluster, setTidbCluster] = useState({
-        tidbNodes: 3,
-        tikvNodes: 3,
+      // TiDB cluster configuration
+      // Node counts left null follow the sizeCluster recommendation; a number pins them
+      tidbCluster: {
+        tidbNodes: null,
+        tikvNodes: null,
+        tiflashNodes: null,
         pdNodes: 3,
-        tiflashNodes: 0,
-        useTiflash: false,
-        eksClusterCount: 1, // Number of EKS clusters
-        k8sWorkerNodes: 6, // Number of Kubernetes worker nodes
+        deploymentMode: 'eks', // 'eks' (TiDB Operator) or 'ec2' (TiUP, no Kubernetes costs)
+        eksClusterCount: 1, // Number of Kubernetes (EKS / GKE / AKS) clusters
         availabilityZones: 3,
         dataReplicationFactor: 3 // Default replication factor
-      });
+      },
 
-      // State for EC2 instance selections
-      const [instances, setInstances] = useState({
-        tidbInstanceType: 'c5.4xlarge',
-        tikvInstanceType: 'i3.4xlarge',
-        pdInstanceType: 'm5.4xlarge',
-        tiflashInstanceType: 'i3.8xlarge',
-        monitoringInstanceType: 'c5.2xlarge'
-      });
+      // Instance selections (null follows the recommended instance type)
+      instances: {
+        tidbInstanceType: null,
+        tikvInstanceType: null,
+        pdInstanceType: null,
+        tiflashInstanceType: null,
+        monitoringInstanceType: null
+      },
 
-      // State for storage configuration
-      const [storage, setStorage] = useState({
+      // Storage configuration
+      storage: {
         tidbEbsType: 'gp3',
         tidbEbsSize: 100,
         tikvUseInstanceStore: true,
@@ -137,59 +254,237 @@
         pdEbsSize: 100,
         tiflashEbsType: 'gp3',
         tiflashEbsSize: 1000
-      });
+      },
 
-      // State for operational costs
-      const [operational, setOperational] = useState({
+      // Operational costs
+      operational: {
         backupToS3: true,
         backupSizeGB: 1000,
-        networkTrafficGB: 5000,
         eksClusterCost: 73, // USD per month per cluster
-        eksMonitoringCost: 200, // Additional EKS monitoring tools
-        migrationCost: 5000, // One-time cost
-        operationalFTE: 0.5 // Full-time equivalent staff
-      });
+        eksMonitoringCost: 200 // Additional Kubernetes monitoring tools
+      },
+
+      // Operations labor per side (fully-loaded FTE cost, on-call, training)
+      labor: defaultLabor,
+
+      // Network traffic model inputs (row and result sizes, read fan-out, egress, NAT)
+      network: defaultNetwork,
+
+      // Purchasing options (on-demand, Reserved, Savings Plan, Spot) per role
+      purchasing: defaultPurchasing,
+
+      // Kubernetes worker groups and per-node reservation (workerGroups null = one dedicated group per role)
+      kubernetes: defaultKubernetes,
+
+      // Per-table data profile totals (condenseProfile; null sizes from postgres.storageGB alone). The
+      // table list stays in the page, out of links and saved scenarios.
+      dataProfile: null,
 
-      // State for comparison data to track changes in TiDB config based on PostgreSQL changes
+      // Sizing rules of thumb (the typical preset unless overridden)
+      assumptions: defaultAssumptions,
+
+      // Migration project plan (phase estimates and the one-time cost)
+      migration: defaultMigration,
+
+      // TiDB Cloud target compared next to the self-managed cluster (model 'none' leaves it out)
+      tidbCloud: defaultTidbCloud,
+
+      // Pricing catalog (null picks the catalog index default)
+      catalogId: null,
+
+      // TCO projection horizon (months)
+      projectionMonths: 36,
+
+      // Monte Carlo seed, iterations and per-parameter distributions
+      uncertainty: defaultUncertainty
+    };
+
+    // A shared link (#scenario=...) seeds the initial state, so nothing can overwrite it on load
+    const readInitialState = () => {
+      try {
+        const shared = decodeScenarioHash(window.location.hash);
+        return { state: shared ? mergeScenarioState(defaultScenarioState, shared) : defaultScenarioState, error: null };
+      } catch (err) {
+        return { state: defaultScenarioState, error: err.message };
+      }
+    };
+
+    // Offer text as a file download
+    const downloadFile = (filename, text, mimeType) => {
+      const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    };
+
+    // Main component
+    const TiDBMigrationCalculator = () => {
+      // Initial state: the defaults, or the scenario in a shared link
+      const [initial] = useState(readInitialState);
+
+      // State for the source database inputs
+      const [postgres, setPostgres] = useState(initial.state.postgres);
+
+      // State for workload characteristics
+      const [workload, setWorkload] = useState(initial.state.workload);
+
+      // State for TiDB cluster configuration
+      const [tidbCluster, setTidbCluster] = useState(initial.state.tidbCluster);
+
+      // State for instance selections
+      const [instances, setInstances] = useState(initial.state.instances);
+
+      // State for storage configuration
+      const [storage, setStorage] = useState(initial.state.storage);
+
+      // State for operational costs
+      const [operational, setOperational] = useState(initial.state.operational);
+
+      // State for purchasing options per role
+      const [purchasing, setPurchasing] = useState(initial.state.purchasing);
+
+      // State for Kubernetes worker groups and node reservation
+      const [kubernetes, setKubernetes] = useState(initial.state.kubernetes);
+
+      // State for the per-table data profile: its totals (shared) and its table list (this page only;
+      // null after loading a scenario), and the paste box
+      const [dataProfile, setDataProfile] = useState(() =>
+        initial.state.dataProfile && condenseProfile(initial.state.dataProfile));
+      const [profileTables, setProfileTables] = useState(
+        (initial.state.dataProfile && initial.state.dataProfile.tables) || null);
+      const [profileText, setProfileText] = useState('');
+      const [profileError, setProfileError] = useState(null);
+
+      // State for saved scenarios and the scenario manager form
+      const [savedScenarios, setSavedScenarios] = useState(() => readScenarios(window.localStorage));
+      const [scenarioName, setScenarioName] = useState('');
+      const [renaming, setRenaming] = useState({ id: null, name: '' });
+      const [scenarioMessage, setScenarioMessage] = useState(initial.error);
+      // False while the state is too large to share in the URL hash
+      const [shareLinkAvailable, setShareLinkAvailable] = useState(true);
+
+      // State for side-by-side comparison: selected scenario ids ('current' for the live inputs)
+      // and catalogs loaded for scenarios priced in another region
+      const [comparisonIds, setComparisonIds] = useState([]);
+      const [catalogCache, setCatalogCache] = useState({});
+
+      // State for imported workload metrics: source files, derived statistics and the values applied
+      const [metricsImport, setMetricsImport] = useState(null);
+      const [metricsError, setMetricsError] = useState(null);
+
+      // State for the deployment export (names and versions written into the manifests)
+      const [deploymentOptions, setDeploymentOptions] = useState(defaultDeploymentOptions);
+      const [deploymentMessage, setDeploymentMessage] = useState(null);
+
+      // State for comparison data to track changes in TiDB config based on source database changes
       const [comparisonData, setComparisonData] = useState({
         previousInstanceType: postgres.instanceType,
-        history: [],
-        costBreakdown: []
+        history: []
       });
 
       // State for active tab
       const [activeTab, setActiveTab] = useState('calculator');
 
-      // Handler for PostgreSQL input changes
+      // State for the sizing assumptions
+      const [assumptions, setAssumptions] = useState(initial.state.assumptions);
+
+      // State for operations labor
+      const [labor, setLabor] = useState(initial.state.labor);
+
+      // State for the network traffic model
+      const [network, setNetwork] = useState(initial.state.network);
+
+      // State for the migration plan
+      const [migration, setMigration] = useState(initial.state.migration);
+
+      // State for the TiDB Cloud target, and its price catalog: the file as shipped and the active copy
+      // (the file with any edits saved in this browser)
+      const [tidbCloud, setTidbCloud] = useState(initial.state.tidbCloud);
+      const [tidbCloudFileCatalog, setTidbCloudFileCatalog] = useState(null);
+      const [tidbCloudCatalog, setTidbCloudCatalog] = useState(null);
+      const [tidbCloudCatalogError, setTidbCloudCatalogError] = useState(null);
+
+      // State for the sensitivity analysis perturbation (±%)
+      const [sensitivityPercent, setSensitivityPercent] = useState(DEFAULT_SENSITIVITY_PERCENT);
+
+      // State for the TCO projection horizon (months)
+      const [projectionMonths, setProjectionMonths] = useState(initial.state.projectionMonths);
+
+      // State for the Monte Carlo settings, and the last run with the scenario it ran against
+      const [uncertainty, setUncertainty] = useState(initial.state.uncertainty);
+      const [monteCarlo, setMonteCarlo] = useState({ key: null, result: null, error: null });
+
+      // State for pricing catalogs: the available regions and the active catalog
+      const [catalogIndex, setCatalogIndex] = useState([]);
+      const [catalogId, setCatalogId] = useState(initial.state.catalogId);
+      const [catalog, setCatalog] = useState(null);
+      const [catalogError, setCatalogError] = useState(null);
+
+      // Load the list of pricing catalogs once
+      useEffect(() => {
+        listCatalogs()
+          .then(index => {
+            setCatalogIndex(index.catalogs);
+            // Keep a catalog chosen by a shared link or loaded scenario
+            setCatalogId(prev => prev || index.default);
+          })
+          .catch(err => setCatalogError(err.message));
+      }, []);
+
+      // Load the TiDB Cloud catalog once, preferring the copy edited in this browser
+      useEffect(() => {
+        loadTidbCloudCatalog()
+          .then(loaded => {
+            setTidbCloudFileCatalog(loaded);
+            setTidbCloudCatalog(readEditedCatalog(window.localStorage, loaded) || loaded);
+          })
+          .catch(err => setTidbCloudCatalogError(err.message));
+      }, []);
+
+      // Load the selected catalog; the previous one stays active until the new one arrives
+      useEffect(() => {
+        if (!catalogId) return;
+        loadCatalog(catalogId)
+          .then(loaded => {
+            // A catalog of another cloud provider: move the source and the TiDB instance, volume and
+            // worker group choices onto that provider, and take its Kubernetes control plane fee
+            const adapted = adaptToCatalog({ instances, storage, kubernetes }, loaded);
+            setInstances(adapted.instances);
+            setStorage(adapted.storage);
+            setKubernetes(adapted.kubernetes);
+            if (catalog && catalogProvider(catalog).id !== catalogProvider(loaded).id) {
+              setOperational(prev => ({ ...prev, eksClusterCost: loaded.kubernetesControlPlaneCost }));
+            }
+            setCatalog(loaded);
+            setCatalogError(null);
+            // Re-price the source database at the new catalog's rates
+            setPostgres(prev => {
+              return repriceSource(sourceForCatalog(prev, loaded), loaded);
+            });
+          })
+          .catch(err => setCatalogError(err.message));
+      }, [catalogId]);
+
+      // Handler for source database input changes
       const handlePostgresChange = (e) => {
         const { name, value, type, checked } = e.target;
         
-        // If changing the instance type, update the monthly cost with the default cost for that instance type
-        if (name === 'instanceType') {
-          const instanceCost = postgresInstanceTypes[value]?.monthlyCost || 0;
-          setPostgres(prev => ({
-            ...prev,
-            [name]: value,
-            monthlyCost: instanceCost * prev.instanceCount * (prev.multiAZ ? 2 : 1) + 
-                        (instanceCost * prev.readReplicas)
-          }));
-        } else if (name === 'instanceCount' || name === 'readReplicas' || name === 'multiAZ') {
-          // Recalculate costs if changing instance count, replicas, or multi-AZ
-          const instanceCost = postgresInstanceTypes[postgres.instanceType]?.monthlyCost || 0;
-          const newInstanceCount = name === 'instanceCount' ? Number(value) : postgres.instanceCount;
-          const newMultiAZ = name === 'multiAZ' ? checked : postgres.multiAZ;
-          const newReadReplicas = name === 'readReplicas' ? Number(value) : postgres.readReplicas;
-          
-          setPostgres(prev => ({
-            ...prev,
-            [name]: type === 'checkbox' ? checked : (type === 'number' ? Number(value) : value),
-            monthlyCost: instanceCost * newInstanceCount * (newMultiAZ ? 2 : 1) + 
-                        (instanceCost * newReadReplicas)
-          }));
+        const nextValue = type === 'checkbox' ? checked : (type === 'number' ? Number(value) : value);
+        
+        // Changing the source, Aurora billing, instance type, instance count, replicas or multi-AZ
+        // resets the instance cost to the catalog cost for that configuration; a new source also moves
+        // the instance and volume types into its own catalog tables
+        if (['source', 'auroraBilling', 'instanceType', 'instanceCount', 'readReplicas', 'multiAZ'].includes(name)) {
+          setPostgres(prev => {
+            const next = name === 'source' ? changeSource(prev, nextValue, catalog) : { ...prev, [name]: nextValue };
+            return repriceSource(next, catalog);
+          });
         } else {
           setPostgres(prev => ({
             ...prev,
-            [name]: type === 'checkbox' ? checked : (type === 'number' ? Number(value) : value)
+            [name]: nextValue
           }));
         }
       };
@@ -212,7 +507,50 @@
         }));
       };
 
-      // Handler for EC2 instance input changes
+      // Handler for node reservation changes
+      const handleKubernetesChange = (e) => {
+        const { name, value } = e.target;
+        setKubernetes(prev => ({ ...prev, [name]: Number(value) }));
+      };
+
+      // Worker group editing; switching off dedicated groups starts from the current per-role layout
+      const toggleDedicatedGroups = () => {
+        setKubernetes(prev => ({
+          ...prev,
+          workerGroups: prev.workerGroups
+            ? null
+            : sizing.topology.workers.groups.map(({ name, instanceType, roles }) => ({ name, instanceType, roles }))
+        }));
+      };
+
+      const updateWorkerGroup = (index, changes) => {
+        setKubernetes(prev => ({
+          ...prev,
+          workerGroups: prev.workerGroups.map((group, i) => i === index ? { ...group, ...changes } : group)
+        }));
+      };
+
+      const toggleWorkerGroupRole = (index, role) => {
+        const group = kubernetes.workerGroups[index];
+        updateWorkerGroup(index, {
+          roles: group.roles.includes(role) ? group.roles.filter(item => item !== role) : [...group.roles, role]
+        });
+      };
+
+      // A new group starts on the provider's general-purpose (PD) instance type, so it is valid in the catalog
+      const addWorkerGroup = () => {
+        const instanceType = catalogProvider(catalog).recommendedInstances.pd;
+        setKubernetes(prev => ({
+          ...prev,
+          workerGroups: [...prev.workerGroups, { name: `group-${prev.workerGroups.length + 1}`, instanceType, roles: [] }]
+        }));
+      };
+
+      const removeWorkerGroup = (index) => {
+        setKubernetes(prev => ({ ...prev, workerGroups: prev.workerGroups.filter((_, i) => i !== index) }));
+      };
+
+      // Handler for instance type input changes
       const handleInstanceChange = (e) => {
         const { name, value } = e.target;
         setInstances(prev => ({
@@ -221,6 +559,23 @@
         }));
       };
 
+      // Handler for purchasing option changes
+      const handlePurchasingChange = (e) => {
+        const { name, value, type } = e.target;
+        setPurchasing(prev => ({
+          ...prev,
+          [name]: type === 'number' ? Number(value) : value
+        }));
+      };
+
+      // Pin a recommended topology value at its current figure, or release it back to the recommendation
+      const togglePin = (setter, name, currentValue) => {
+        setter(prev => ({
+          ...prev,
+          [name]: prev[name] === null ? currentValue : null
+        }));
+      };
+
       // Handler for storage input changes
       const handleStorageChange = (e) => {
         const { name, value, type, checked } = e.target;
@@ -239,389 +594,457 @@
         }));
       };
 
-      // Auto-calculate TiDB resources based on PostgreSQL specs
-      useEffect(() => {
-        // Calculate PostgreSQL processing power (vCPU × instances)
-        const postgresVcpu = postgresInstanceTypes[postgres.instanceType]?.vCPU || 8;
-        const postgresMemory = postgresInstanceTypes[postgres.instanceType]?.memory || 32;
-        const totalPostgresVcpu = postgresVcpu * postgres.instanceCount;
-        const totalPostgresMemory = postgresMemory * postgres.instanceCount;
-        
-        // Add read replicas to processing power calculation
-        const readReplicaVcpu = totalPostgresVcpu * (postgres.readReplicas / postgres.instanceCount);
-        const effectivePostgresVcpu = totalPostgresVcpu + readReplicaVcpu;
-        
-        // In TiDB, SQL processing is done by TiDB nodes - calculate equivalent TiDB nodes
-        // TiDB nodes are most closely comparable to PostgreSQL primary instances in function
-        // Minimum of 3 TiDB nodes for HA, and each TiDB node has approximately 16 vCPU in a typical deployment (c5.4xlarge)
-        const vcpuPerTidbNode = ec2InstanceTypes[instances.tidbInstanceType]?.vCPU || 16; // Get actual vCPU from selected instance
-        const suggestedTidbNodesFromCpu = Math.max(3, Math.ceil(effectivePostgresVcpu / vcpuPerTidbNode));
-        
-        // Also calculate based on connections (balancing factor)
-        const suggestedTidbNodesFromConn = Math.max(3, Math.ceil(workload.concurrentConnections / 500));
-        
-        // Take the larger of the two suggestions
-        const baseTidbNodes = Math.max(suggestedTidbNodesFromCpu, suggestedTidbNodesFromConn);
-        
-        // Estimate TiKV nodes based on size and workload
-        // Formula based on TiDB Cloud docs: ceil(data_size * compression_ratio * replicas / storage_usage_ratio / node_capacity / 3) * 3
-        const compressionRatio = 0.4; // Typical compression ratio of 40%
-        const storageUsageRatio = 0.8; // Recommended to keep usage below 80%
-        const defaultNodeCapacity = 4000; // 4TB in GB - recommended max for PCIe SSD
-        const suggestedTikvNodesForStorage = Math.ceil(
-          (postgres.storageGB * compressionRatio * tidbCluster.dataReplicationFactor) / 
-          (storageUsageRatio * defaultNodeCapacity * 3)
-        ) * 3;
-        
-        // Calculate TiKV nodes based on write operations (TiKV is CPU sensitive for writes)
-        // General rule: 1 TiKV node per X write operations
-        const writesPerTikvNode = 5000; // Approximate writes per TiKV node
-        const suggestedTikvNodesFromWrites = Math.max(3, Math.ceil(postgres.writeOps / writesPerTikvNode / 3) * 3);
-        
-        // Minimum of 3 TiKV nodes required
-        const suggestedTikvNodes = Math.max(3, Math.max(suggestedTikvNodesForStorage, suggestedTikvNodesFromWrites));
-        
-        // More TiKV nodes for write-heavy workloads
-        const writeHeavyFactor = workload.readWriteRatio.startsWith('50') ? 1.5 : 
-                                workload.readWriteRatio.startsWith('30') ? 2 : 1;
-        
-        // TiFlash nodes for OLAP or Mixed workloads (analytics)
-        const useTiflash = workload.type === 'OLAP' || workload.type === 'Mixed';
-        
-        // TiFlash replica calculation based on TiDB docs
-        const tiflashReplicas = useTiflash ? 2 : 0; // Recommended minimum 2 replicas
-        const suggestedTiflashNodes = useTiflash ? 
-          Math.max(2, Math.ceil((postgres.storageGB * compressionRatio * tiflashReplicas) / 
-          (tidbCluster.dataReplicationFactor * storageUsageRatio * defaultNodeCapacity))) : 0;
-        
-        // Adjust for traffic spikes
-        const spikeFactor = workload.trafficSpikes ? Math.min(2, workload.peakRatio / 2) : 1;
-        
-        // Calculate number of worker nodes required
-        // Each worker node can typically host 1-2 TiDB components
-        const componentsPerWorker = 1.5; // Average components per worker node
-        const totalComponents = 
-          Math.ceil(baseTidbNodes * spikeFactor) + 
-          Math.ceil(suggestedTikvNodes * writeHeavyFactor) + 
-          tidbCluster.pdNodes + 
-          suggestedTiflashNodes + 
-          1; // +1 for monitoring
-        const suggestedWorkerNodes = Math.max(6, Math.ceil(totalComponents / componentsPerWorker));
-        
-        // Update TiDB cluster configuration based on calculations
-        setTidbCluster(prev => ({
+      // Handler for operations labor changes
+      const handleLaborChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setLabor(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : Number(value) }));
+      };
+
+      // Handler for network traffic model changes
+      const handleNetworkChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setNetwork(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : Number(value) }));
+      };
+
+      // Handler for TiDB Cloud target changes; choosing a node size or storage pins it, clearing one
+      // follows the recommendation again
+      const handleTidbCloudChange = (e) => {
+        const { name, value, type } = e.target;
+        const nextValue = value === '' ? null : (type === 'number' ? Number(value) : value);
+        setTidbCloud(prev => ({ ...prev, [name]: nextValue }));
+      };
+
+      // Edit one TiDB Cloud price of the active region; edits are kept in this browser until reset
+      const handleTidbCloudPriceChange = (path, value) => {
+        setTidbCloudCatalog(prev =>
+          writeEditedCatalog(window.localStorage, setTidbCloudPrice(prev, catalog.region, path, Number(value))));
+      };
+
+      const resetTidbCloudPrices = () => {
+        clearEditedCatalog(window.localStorage);
+        setTidbCloudCatalog(tidbCloudFileCatalog);
+      };
+
+      // Handler for sizing assumption changes, and for applying a preset over all of them
+      const handleAssumptionChange = (e) => {
+        const { name, value } = e.target;
+        setAssumptions(prev => ({ ...prev, [name]: Number(value) }));
+      };
+
+      const applyAssumptionPreset = (preset) => {
+        setAssumptions({ ...preset.values });
+      };
+
+      // Handler for migration plan changes
+      const handleMigrationChange = (e) => {
+        const { name, value } = e.target;
+        setMigration(prev => ({ ...prev, [name]: Number(value) }));
+      };
+
+      // Handlers for the Monte Carlo settings: seed and iterations, and one parameter's distribution
+      const handleUncertaintyChange = (e) => {
+        const { name, value } = e.target;
+        setUncertainty(prev => ({ ...prev, [name]: Number(value) }));
+      };
+
+      const toggleDistribution = (parameter) => {
+        setUncertainty(prev => {
+          const { [parameter.id]: existing, ...rest } = prev.distributions;
+          return {
+            ...prev,
+            distributions: existing ? rest : { ...rest, [parameter.id]: defaultDistribution(parameter, sizingInputs) }
+          };
+        });
+      };
+
+      const changeDistributionType = (parameter, type) => {
+        setUncertainty(prev => ({
           ...prev,
-          tidbNodes: Math.ceil(baseTidbNodes * spikeFactor),
-          tikvNodes: Math.ceil(suggestedTikvNodes * writeHeavyFactor),
-          useTiflash: useTiflash,
-          tiflashNodes: suggestedTiflashNodes,
-          k8sWorkerNodes: suggestedWorkerNodes
+          distributions: { ...prev.distributions, [parameter.id]: defaultDistribution(parameter, sizingInputs, type) }
         }));
+      };
+
+      const handleDistributionChange = (parameter, e) => {
+        const { name, value } = e.target;
+        setUncertainty(prev => ({
+          ...prev,
+          distributions: {
+            ...prev.distributions,
+            [parameter.id]: { ...prev.distributions[parameter.id], [name]: Number(value) }
+          }
+        }));
+      };
+
+      // Validate the current inputs (lib/validation.js), then size and price the TiDB cluster from them
+      // (lib/sizing.js). Invalid inputs block the result instead of producing NaN or substituted defaults.
+      const sizingInputs = {
+        postgres, workload, tidbCluster, instances, storage, operational, labor, network, purchasing, catalog, dataProfile,
+        kubernetes, assumptions, migration, tidbCloud, tidbCloudCatalog
+      };
+      const validation = catalog ? validateInputs(sizingInputs) : null;
+      const sizing = validation && validation.valid ? sizeCluster(sizingInputs) : null;
+
+      // If instance type has changed, record this in the comparison history
+      useEffect(() => {
+        if (!sizing || postgres.instanceType === comparisonData.previousInstanceType) return;
         
-        // Update instance types based on PostgreSQL configuration
-        // If PostgreSQL is using high-memory instances, suggest similar for TiDB
-        if (postgresMemory >= 128) {
-          setInstances(prev => ({
-            ...prev,
-            tidbInstanceType: "r5.4xlarge" // High memory option
-          }));
-        } else if (postgresMemory >= 64) {
-          setInstances(prev => ({
-            ...prev,
-            tidbInstanceType: "r5.2xlarge" // Medium-high memory option
-          }));
-        } else {
-          setInstances(prev => ({
-            ...prev,
-            tidbInstanceType: "c5.4xlarge" // Default compute-optimized option
-          }));
-        }
+        const { topology, costs } = sizing;
+        // The previous type may belong to another source's instance table
+        const sourceInstanceTypes = catalog[getSource(postgres.source).tables.instances];
+        const prevType = comparisonData.previousInstanceType;
+        const prevInstance = sourceInstanceTypes[prevType] || sourceDatabases
+          .map(item => catalog[item.tables.instances] && catalog[item.tables.instances][prevType])
+          .find(Boolean);
+        const prevVcpu = prevInstance?.vCPU || 0;
+        const prevMem = prevInstance?.memory || 0;
+        const newVcpu = sourceInstanceTypes[postgres.instanceType]?.vCPU || 0;
+        const newMem = sourceInstanceTypes[postgres.instanceType]?.memory || 0;
         
-        // If instance type has changed, record this in the comparison history
-        if (postgres.instanceType !== comparisonData.previousInstanceType) {
-          const prevType = comparisonData.previousInstanceType;
-          const prevVcpu = postgresInstanceTypes[prevType]?.vCPU || 0;
-          const prevMem = postgresInstanceTypes[prevType]?.memory || 0;
-          const newVcpu = postgresInstanceTypes[postgres.instanceType]?.vCPU || 0;
-          const newMem = postgresInstanceTypes[postgres.instanceType]?.memory || 0;
+        setComparisonData(prev => {
+          const newHistory = [...prev.history];
+          // Limit history to 10 items
+          if (newHistory.length >= 10) {
+            newHistory.shift();
+          }
           
-          // Add to history
-          setComparisonData(prev => {
-            // Calculate the total monthly cost of the TiDB deployment
-            const tidbInstanceCost = ec2InstanceTypes[instances.tidbInstanceType]?.monthlyCost || 493;
-            const tikvInstanceCost = ec2InstanceTypes[instances.tikvInstanceType]?.monthlyCost || 998;
-            const pdInstanceCost = ec2InstanceTypes[instances.pdInstanceType]?.monthlyCost || 278;
-            const tiflashInstanceCost = ec2InstanceTypes[instances.tiflashInstanceType]?.monthlyCost || 1995;
-            const monitoringInstanceCost = ec2InstanceTypes[instances.monitoringInstanceType]?.monthlyCost || 246;
-
-            const totalInstanceCost = 
-              tidbInstanceCost * Math.ceil(baseTidbNodes * spikeFactor) +
-              tikvInstanceCost * Math.ceil(suggestedTikvNodes * writeHeavyFactor) +
-              pdInstanceCost * tidbCluster.pdNodes +
-              tiflashInstanceCost * suggestedTiflashNodes +
-              monitoringInstanceCost;
-            
-            const newHistory = [...prev.history];
-            // Limit history to 10 items
-            if (newHistory.length >= 10) {
-              newHistory.shift();
-            }
-            
-            newHistory.push({
-              id: newHistory.length,
-              from: prevType,
-              to: postgres.instanceType,
-              vcpuChange: `${prevVcpu} → ${newVcpu}`,
-              memoryChange: `${prevMem}GB → ${newMem}GB`,
-              tidbNodesChange: `${prev.history.length > 0 ? prev.history[prev.history.length-1].tidbNodes : 3} → ${Math.ceil(baseTidbNodes * spikeFactor)}`,
-              tikvNodesChange: `${prev.history.length > 0 ? prev.history[prev.history.length-1].tikvNodes : 3} → ${Math.ceil(suggestedTikvNodes * writeHeavyFactor)}`,
-              instanceTypeChange: `${prev.history.length > 0 ? prev.history[prev.history.length-1].tidbInstanceType : 'c5.4xlarge'} → ${postgresMemory >= 128 ? "r5.4xlarge" : postgresMemory >= 64 ? "r5.2xlarge" : "c5.4xlarge"}`,
-              tidbNodes: Math.ceil(baseTidbNodes * spikeFactor),
-              tikvNodes: Math.ceil(suggestedTikvNodes * writeHeavyFactor),
-              tidbInstanceType: postgresMemory >= 128 ? "r5.4xlarge" : postgresMemory >= 64 ? "r5.2xlarge" : "c5.4xlarge",
-              monthlyCost: totalInstanceCost
-            });
-            
-            return {
-              ...prev,
-              previousInstanceType: postgres.instanceType,
-              history: newHistory
-            };
+          const last = prev.history.length > 0 ? prev.history[prev.history.length - 1] : null;
+          // Before any recorded change, the TiDB type is the one recommended for the previous source instance
+          const fromTidbType = last ? last.tidbInstanceType : recommendTidbInstanceType(prevMem, catalogProvider(catalog));
+          newHistory.push({
+            id: newHistory.length,
+            from: prevType,
+            to: postgres.instanceType,
+            vcpuChange: `${prevVcpu} → ${newVcpu}`,
+            memoryChange: `${prevMem}GB → ${newMem}GB`,
+            tidbNodesChange: `${last ? last.tidbNodes : 3} → ${topology.tidbNodes}`,
+            tikvNodesChange: `${last ? last.tikvNodes : 3} → ${topology.tikvNodes}`,
+            instanceTypeChange: `${fromTidbType} → ${topology.instances.tidbInstanceType}`,
+            tidbNodes: topology.tidbNodes,
+            tikvNodes: topology.tikvNodes,
+            tidbInstanceType: topology.instances.tidbInstanceType,
+            monthlyCost: costs.instances.total
           });
+          
+          return {
+            ...prev,
+            previousInstanceType: postgres.instanceType,
+            history: newHistory
+          };
+        });
+      }, [postgres.instanceType]);
+
+      // Everything needed to reproduce the current calculation
+      const scenarioState = {
+        postgres, workload, tidbCluster, instances, storage, operational, labor, network, purchasing, kubernetes,
+        dataProfile, assumptions, migration, tidbCloud, catalogId, projectionMonths, uncertainty
+      };
+
+      // Keep the URL hash in sync so the address bar is always a shareable link. A state too large for
+      // a link (or one that cannot be encoded) clears the hash rather than leave a stale link behind.
+      useEffect(() => {
+        if (!catalogId) return;
+        let hash = null;
+        try {
+          hash = encodeScenarioHash(scenarioState);
+        } catch (err) {
+          hash = null;
         }
+        const fits = hash !== null && hash.length <= MAX_HASH_LENGTH;
+        window.history.replaceState(null, '', fits ? hash : window.location.pathname + window.location.search);
+        setShareLinkAvailable(fits);
       }, [
-        postgres.instanceType,
-        postgres.instanceCount,
-        postgres.readReplicas,
-        postgres.writeOps,
-        postgres.storageGB,
-        workload.concurrentConnections, 
-        workload.readWriteRatio, 
-        workload.type,
-        workload.trafficSpikes,
-        workload.peakRatio,
-        tidbCluster.dataReplicationFactor,
-        tidbCluster.pdNodes,
-        instances.tidbInstanceType,
-        comparisonData.previousInstanceType
+        postgres, workload, tidbCluster, instances, storage, operational, labor, network, purchasing, kubernetes,
+        dataProfile, assumptions, migration, tidbCloud, catalogId, projectionMonths, uncertainty
       ]);
 
-      // Calculate cost metrics
-      // Calculate EBS storage costs
-      const calculateEbsCost = (type, sizeGB, iops = 3000, throughput = 125) => {
-        if (sizeGB === 0) return 0;
-        
-        const ebsType = ebsVolumeTypes[type] || ebsVolumeTypes.gp3;
-        let cost = sizeGB * ebsType.basePrice;
-        
-        if (type === "gp3" && iops > 3000) {
-          cost += (iops - 3000) * ebsType.iopsPrice;
+      // Replace the whole calculator state with a saved scenario. Pinned values load as pinned and
+      // everything else is re-derived by sizeCluster, so nothing recalculates over the loaded inputs.
+      const applyScenarioState = (state) => {
+        const merged = mergeScenarioState(defaultScenarioState, state);
+        setPostgres(merged.postgres);
+        setWorkload(merged.workload);
+        setTidbCluster(merged.tidbCluster);
+        setInstances(merged.instances);
+        setStorage(merged.storage);
+        setOperational(merged.operational);
+        setLabor(merged.labor);
+        setNetwork(merged.network);
+        setPurchasing(merged.purchasing);
+        setKubernetes(merged.kubernetes);
+        setDataProfile(merged.dataProfile && condenseProfile(merged.dataProfile));
+        setProfileTables((merged.dataProfile && merged.dataProfile.tables) || null);
+        setAssumptions(merged.assumptions);
+        setMigration(merged.migration);
+        setTidbCloud(merged.tidbCloud);
+        setCatalogId(merged.catalogId || catalogId);
+        setProjectionMonths(merged.projectionMonths);
+        setUncertainty(merged.uncertainty);
+      };
+
+      // Scenario manager actions
+      const handleSaveScenario = () => {
+        const name = scenarioName.trim() || `Scenario ${savedScenarios.length + 1}`;
+        setSavedScenarios(saveScenario(window.localStorage, name, scenarioState));
+        setScenarioName('');
+        setScenarioMessage(`Saved "${name}"`);
+      };
+
+      const handleLoadScenario = (scenario) => {
+        applyScenarioState(scenario.state);
+        setScenarioMessage(`Loaded "${scenario.name}"`);
+      };
+
+      const handleRenameScenario = () => {
+        if (renaming.name.trim()) {
+          setSavedScenarios(renameScenario(window.localStorage, renaming.id, renaming.name.trim()));
         }
-        
-        if (type === "gp3" && throughput > 125) {
-          cost += (throughput - 125) * ebsType.throughputPrice;
+        setRenaming({ id: null, name: '' });
+      };
+
+      const handleExportScenario = (scenario) => {
+        const filename = `${scenario.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        downloadFile(filename, serializeScenario(scenario), 'application/json');
+      };
+
+      const handleImportScenario = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text()
+          .then(text => {
+            const scenario = parseScenario(text);
+            setSavedScenarios(addScenario(window.localStorage, scenario));
+            setScenarioMessage(`Imported "${scenario.name}"`);
+          })
+          .catch(err => setScenarioMessage(err.message));
+      };
+
+      const handleCopyLink = () => {
+        if (!shareLinkAvailable) {
+          setScenarioMessage('This scenario is too large for a link; export it as a file instead');
+          return;
         }
-        
-        if ((type === "io1" || type === "io2") && iops) {
-          cost += iops * ebsType.iopsPrice;
+        navigator.clipboard.writeText(window.location.href)
+          .then(() => setScenarioMessage('Link copied to clipboard'))
+          .catch(() => setScenarioMessage('Copy the link from the address bar'));
+      };
+
+      // Import a table profile; the source storage is set to the profiled size so the two agree
+      const importTableProfile = (text) => {
+        try {
+          const profile = createDataProfile(parseTableProfile(text));
+          setProfileTables(profile.tables);
+          setDataProfile(condenseProfile(profile));
+          setPostgres(prev => ({ ...prev, storageGB: Math.ceil(profileSizeGB(profile)) }));
+          setProfileText('');
+          setProfileError(null);
+        } catch (err) {
+          setProfileError(err.message);
         }
-        
-        return cost;
-      };
-
-      // Extract instance costs
-      const tidbInstanceCost = ec2InstanceTypes[instances.tidbInstanceType]?.monthlyCost || 493;
-      const tikvInstanceCost = ec2InstanceTypes[instances.tikvInstanceType]?.monthlyCost || 998;
-      const pdInstanceCost = ec2InstanceTypes[instances.pdInstanceType]?.monthlyCost || 278;
-      const tiflashInstanceCost = ec2InstanceTypes[instances.tiflashInstanceType]?.monthlyCost || 1995;
-      const monitoringInstanceCost = ec2InstanceTypes[instances.monitoringInstanceType]?.monthlyCost || 246;
-
-      // Calculate total EC2 instance costs
-      const totalInstanceCost = 
-        tidbInstanceCost * tidbCluster.tidbNodes +
-        tikvInstanceCost * tidbCluster.tikvNodes +
-        pdInstanceCost * tidbCluster.pdNodes +
-        tiflashInstanceCost * tidbCluster.tiflashNodes +
-        monitoringInstanceCost;
-
-      // Calculate storage costs
-      const tidbStorageCost = calculateEbsCost(storage.tidbEbsType, storage.tidbEbsSize) * tidbCluster.tidbNodes;
-      
-      const tikvUsingInstanceStore = storage.tikvUseInstanceStore && ec2InstanceTypes[instances.tikvInstanceType]?.nvme;
-      const tikvInstanceStorageSize = tikvUsingInstanceStore ? (ec2InstanceTypes[instances.tikvInstanceType]?.nvme || 0) : 0;
-      const tikvAdditionalStorageCost = calculateEbsCost(storage.tikvAdditionalEbsType, storage.tikvAdditionalEbsSize) * tidbCluster.tikvNodes;
-      
-      const pdStorageCost = calculateEbsCost(storage.pdEbsType, storage.pdEbsSize) * tidbCluster.pdNodes;
-      const tiflashStorageCost = calculateEbsCost(storage.tiflashEbsType, storage.tiflashEbsSize) * tidbCluster.tiflashNodes;
-      
-      const totalStorageCost = tidbStorageCost + tikvAdditionalStorageCost + pdStorageCost + tiflashStorageCost;
+      };
 
-      // S3 backup costs
-      const s3BackupCost = operational.backupToS3 ? operational.backupSizeGB * 0.023 : 0; // $0.023 per GB per month
+      const handleUploadProfile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(importTableProfile);
+      };
 
-      // Network costs
-      const networkCost = operational.networkTrafficGB * 0.01; // $0.01 per GB (simplified)
+      // Flag one table (or all, with index null) as needing a TiFlash replica
+      const setTiflashTables = (index, tiflash) => {
+        const tables = profileTables.map((table, i) => (index === null || i === index) ? { ...table, tiflash } : table);
+        setProfileTables(tables);
+        setDataProfile(prev => condenseProfile({ importedAt: prev.importedAt, tables }));
+      };
 
-      // Calculate Kubernetes management costs
-      const eksClusterCost = tidbCluster.eksClusterCount * operational.eksClusterCost;
-      const eksMonitoringCost = operational.eksMonitoringCost;
-      const totalKubernetesCost = eksClusterCost + eksMonitoringCost;
+      const clearTableProfile = () => {
+        setDataProfile(null);
+        setProfileTables(null);
+      };
 
-      // Calculate total recurring monthly costs
-      const totalMonthlyCost = totalInstanceCost + totalStorageCost + s3BackupCost + networkCost + totalKubernetesCost;
+      // Import CloudWatch / pg_stat exports and fill the workload inputs they support
+      const handleImportMetrics = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length === 0) return;
+        Promise.all(files.map(file => file.text().then(text => parseMetricsFile(text, file.name))))
+          .then(parsed => {
+            const derived = deriveWorkload(parsed);
+            const applied = workloadInputsFromMetrics(derived, readWriteRatios);
+            if (Object.keys(applied.postgres).length === 0 && Object.keys(applied.workload).length === 0) {
+              throw new Error('The files contain no read/write, connection or statement data to size from');
+            }
+            setPostgres(prev => ({ ...prev, ...applied.postgres }));
+            setWorkload(prev => ({ ...prev, ...applied.workload }));
+            setMetricsImport({ files: files.map(file => file.name), derived, applied, preview: previewSeries(derived.samples) });
+            setMetricsError(null);
+          })
+          .catch(err => setMetricsError(err.message));
+      };
 
-      // Calculate one-time costs
-      const oneTimeCosts = operational.migrationCost;
+      const handleDeploymentOptionChange = (e) => {
+        const { name, value } = e.target;
+        setDeploymentOptions(prev => ({ ...prev, [name]: value }));
+      };
 
-      // Calculate savings vs PostgreSQL
-      const postgresMonthlyCost = postgres.monthlyCost;
-      const monthlySavings = postgresMonthlyCost - totalMonthlyCost;
-      const savingsPercentage = postgresMonthlyCost > 0 ? (monthlySavings / postgresMonthlyCost) * 100 : 0;
-      const paybackPeriodMonths = monthlySavings > 0 ? oneTimeCosts / monthlySavings : Infinity;
+      const handleCopyDeployment = (file) => {
+        navigator.clipboard.writeText(file.content)
+          .then(() => setDeploymentMessage(`${file.title} copied to clipboard`))
+          .catch(() => setDeploymentMessage('Copy failed; use Download instead'));
+      };
 
-      // Update cost breakdown data for chart
+      // Load the catalogs of compared scenarios priced in a region other than the active one
       useEffect(() => {
-        const costBreakdownData = [
-          { name: 'TiDB Nodes', value: tidbInstanceCost * tidbCluster.tidbNodes },
-          { name: 'TiKV Nodes', value: tikvInstanceCost * tidbCluster.tikvNodes },
-          { name: 'PD Nodes', value: pdInstanceCost * tidbCluster.pdNodes },
-          { name: 'TiFlash Nodes', value: tiflashInstanceCost * tidbCluster.tiflashNodes },
-          { name: 'Monitoring', value: monitoringInstanceCost },
-          { name: 'Storage', value: totalStorageCost },
-          { name: 'S3 Backup', value: s3BackupCost },
-          { name: 'Network', value: networkCost },
-          { name: 'Kubernetes', value: totalKubernetesCost }
-        ];
-        
-        setComparisonData(prev => ({
-          ...prev,
-          costBreakdown: costBreakdownData
-        }));
-      }, [
-        tidbInstanceCost,
-        tikvInstanceCost,
-        pdInstanceCost,
-        tiflashInstanceCost,
-        monitoringInstanceCost,
-        totalStorageCost,
-        s3BackupCost,
-        networkCost,
-        totalKubernetesCost,
-        tidbCluster.tidbNodes,
-        tidbCluster.tikvNodes,
-        tidbCluster.pdNodes,
-        tidbCluster.tiflashNodes
-      ]);
+        comparisonIds
+          .map(id => savedScenarios.find(item => item.id === id))
+          .filter(Boolean)
+          .map(scenario => scenario.state.catalogId)
+          .filter(id => id && id !== catalogId && !catalogCache[id])
+          .forEach(id => {
+            loadCatalog(id)
+              .then(loaded => setCatalogCache(prev => ({ ...prev, [id]: loaded })))
+              .catch(err => setScenarioMessage(err.message));
+          });
+      }, [comparisonIds, savedScenarios, catalogId]);
+
+      // Add or remove a scenario from the comparison (up to MAX_SCENARIOS)
+      const toggleComparison = (id) => {
+        setComparisonIds(prev => {
+          if (prev.includes(id)) return prev.filter(item => item !== id);
+          return prev.length >= MAX_SCENARIOS ? prev : [...prev, id];
+        });
+      };
+
+      // Nothing can be priced until the first catalog has loaded
+      if (!catalog) {
+        return (
+          <div className="mx-auto p-4 max-w-6xl text-center text-gray-600">
+            {catalogError ? `Could not load pricing catalog: ${catalogError}` : 'Loading pricing catalog...'}
+          </div>
+        );
+      }
+
+      const provider = catalogProvider(catalog);
+      const instanceTypes = catalog[provider.tables.instances];
+      const volumeTypes = catalog[provider.tables.volumes];
+      const serviceNames = provider.names;
+      // An unknown source (from an old link or file) is reported by validation; show the catalog's first
+      const source = sourceDatabases.find(item => item.id === postgres.source) || sourcesForCatalog(catalog)[0];
+      const sourceInstanceTypes = catalog[source.tables.instances];
+      // Throughput is an input only for volume types that bill it (gp3, Hyperdisk Balanced, Premium SSD v2)
+      const sourceStorageType = catalog[source.tables.storage][postgres.storageType];
+      const sourceBillsThroughput = !!(sourceStorageType && sourceStorageType.throughputPrice);
+      // With invalid inputs there is no topology or costs; result panels show the blocked state
+      const { topology, costs } = sizing || { topology: null, costs: null };
+      const { fieldErrors } = validation;
+      const catalogLabel = describeCatalog(catalog);
+      const assumptionsLabel = `${describeAssumptions(assumptions).label} sizing assumptions`;
+      const availabilityFindings = topology ? validateAvailability(topology, { storage }) : [];
+      const tidbCloudPrices = tidbCloudRegion(tidbCloudCatalog, catalog.region);
+      const cloudCosts = costs && costs.tidbCloud;
+      const cloudTikv = cloudCosts && cloudCosts.tiers && cloudCosts.tiers.find(tier => tier.tier === 'tikv');
+      // Transfer TiDB Cloud is priced for: the network model's estimate unless overridden
+      const cloudTraffic = cloudCosts && cloudCosts.traffic;
+
+      // Project cumulative costs with data growth (lib/projection.js); a failure blanks only the
+      // projection, not the page
+      let projection = null;
+      let projectionError = null;
+      if (sizing) {
+        try {
+          projection = projectTco(sizingInputs, projectionMonths);
+        } catch (err) {
+          projectionError = err.message;
+        }
+      }
       
       // Generate instance type impact data for visualization
-      const instanceTypeImpactData = Object.keys(postgresInstanceTypes).map(type => {
-        const pgVcpu = postgresInstanceTypes[type].vCPU;
-        const pgMemory = postgresInstanceTypes[type].memory;
-        const vcpuPerTidbNode = 16; // Default TiDB node vCPU
-        
-        // Estimate TiDB nodes based on vCPU
-        const estimatedTidbNodes = Math.max(3, Math.ceil((pgVcpu * postgres.instanceCount) / vcpuPerTidbNode));
-        
-        // Determine instance type based on memory
-        let recommendedInstanceType;
-        if (pgMemory >= 128) {
-          recommendedInstanceType = "r5.4xlarge";
-        } else if (pgMemory >= 64) {
-          recommendedInstanceType = "r5.2xlarge";
-        } else {
-          recommendedInstanceType = "c5.4xlarge";
-        }
-        
-        const tidbCost = ec2InstanceTypes[recommendedInstanceType].monthlyCost * estimatedTidbNodes;
-        
-        return {
-          name: type,
-          vCPU: pgVcpu,
-          memory: pgMemory,
-          tidbNodes: estimatedTidbNodes,
-          instanceType: recommendedInstanceType,
-          tidbCost: tidbCost
-        };
-      });
+      const instanceTypeImpactData = getInstanceTypeImpact(postgres.source, postgres.instanceCount, catalog);
 
       // Custom formatter for tooltip values
       const formatCurrency = (value) => {
         return `$${value.toFixed(2)}`;
       };
 
-      // Get PostgreSQL instance configurations for comparison
-      const pgConfigs = [
-        {
-          name: 'Small',
-          instanceType: 'db.m5.large',
-          cpu: postgresInstanceTypes['db.m5.large'].vCPU,
-          memory: postgresInstanceTypes['db.m5.large'].memory,
-          monthlyCost: postgresInstanceTypes['db.m5.large'].monthlyCost * 2 // Assuming 2 instances
-        },
-        {
-          name: 'Medium',
-          instanceType: 'db.r5.xlarge',
-          cpu: postgresInstanceTypes['db.r5.xlarge'].vCPU,
-          memory: postgresInstanceTypes['db.r5.xlarge'].memory,
-          monthlyCost: postgresInstanceTypes['db.r5.xlarge'].monthlyCost * 2
-        },
-        {
-          name: 'Large',
-          instanceType: 'db.r5.2xlarge',
-          cpu: postgresInstanceTypes['db.r5.2xlarge'].vCPU,
-          memory: postgresInstanceTypes['db.r5.2xlarge'].memory,
-          monthlyCost: postgresInstanceTypes['db.r5.2xlarge'].monthlyCost * 2
-        },
-        {
-          name: 'X-Large',
-          instanceType: 'db.r5.4xlarge',
-          cpu: postgresInstanceTypes['db.r5.4xlarge'].vCPU,
-          memory: postgresInstanceTypes['db.r5.4xlarge'].memory,
-          monthlyCost: postgresInstanceTypes['db.r5.4xlarge'].monthlyCost * 2
+      // Size every scenario picked for side-by-side comparison with its own catalog
+      const catalogFor = (id) => (!id || id === catalog.id) ? catalog : catalogCache[id];
+      const comparisonEntries = comparisonIds.map(id => {
+        const scenario = id === 'current'
+          ? { name: 'Current inputs', state: scenarioState }
+          : savedScenarios.find(item => item.id === id);
+        if (!scenario) return null;
+        const state = mergeScenarioState(defaultScenarioState, scenario.state);
+        const scenarioCatalog = catalogFor(state.catalogId);
+        if (!scenarioCatalog) return null; // catalog still loading
+        const inputs = { ...state, catalog: scenarioCatalog, tidbCloudCatalog };
+        if (!validateInputs(inputs).valid) return { name: scenario.name, invalid: true };
+        try {
+          return {
+            name: scenario.name,
+            sizing: sizeCluster(inputs),
+            projection: projectTco(inputs, state.projectionMonths)
+          };
+        } catch (err) {
+          return { name: scenario.name, invalid: true };
         }
-      ];
+      }).filter(Boolean);
+      const invalidComparisonNames = comparisonEntries.filter(entry => entry.invalid).map(entry => entry.name);
+      const validComparisonEntries = comparisonEntries.filter(entry => !entry.invalid);
+      const comparison = validComparisonEntries.length >= MIN_SCENARIOS ? compareScenarios(validComparisonEntries) : null;
 
-      // Calculate TiDB equivalent configs and costs for comparison
-      const getTidbEquivalentConfig = (pgConfig) => {
-        const pgVcpu = postgresInstanceTypes[pgConfig.instanceType].vCPU;
-        const pgMemory = postgresInstanceTypes[pgConfig.instanceType].memory;
-        const vcpuPerTidbNode = 16; // Default TiDB node vCPU
-        
-        // Estimate TiDB nodes based on vCPU
-        const estimatedTidbNodes = Math.max(3, Math.ceil((pgVcpu * 2) / vcpuPerTidbNode));
-        
-        // Determine instance type based on memory
-        let recommendedInstanceType;
-        if (pgMemory >= 128) {
-          recommendedInstanceType = "r5.4xlarge";
-        } else if (pgMemory >= 64) {
-          recommendedInstanceType = "r5.2xlarge";
-        } else {
-          recommendedInstanceType = "c5.4xlarge";
+      // Sensitivity of cost and savings to each input, computed only while its tab is open
+      const sensitivityPercentValid = sensitivityPercent >= sensitivityPercentRange.min &&
+        sensitivityPercent <= sensitivityPercentRange.max;
+      const sensitivity = sizing && activeTab === 'sensitivity' && sensitivityPercentValid
+        ? analyzeSensitivity(sizingInputs, sensitivityPercent)
+        : null;
+
+      // Monte Carlo ranges, run on request; a run is shown only while the scenario it ran against is current
+      const uncertaintyValidation = validateUncertainty(uncertainty);
+      const monteCarloKey = JSON.stringify({ ...scenarioState, catalogId: catalog.id });
+      const monteCarloResult = monteCarlo.key === monteCarloKey ? monteCarlo.result : null;
+      const monteCarloStale = monteCarlo.result !== null && !monteCarloResult;
+      const handleRunMonteCarlo = () => {
+        try {
+          setMonteCarlo({ key: monteCarloKey, result: runMonteCarlo(sizingInputs, uncertainty), error: null });
+        } catch (err) {
+          setMonteCarlo({ key: null, result: null, error: err.message });
         }
-        
-        const tidbCost = ec2InstanceTypes[recommendedInstanceType].monthlyCost * estimatedTidbNodes;
-        const tikvCost = ec2InstanceTypes["i3.4xlarge"].monthlyCost * 3; // Minimum 3 TiKV nodes
-        const pdCost = ec2InstanceTypes["m5.2xlarge"].monthlyCost * 3; // Minimum 3 PD nodes
-        
-        return {
-          tidbNodes: estimatedTidbNodes,
-          instanceType: recommendedInstanceType,
-          monthlyCost: tidbCost + tikvCost + pdCost + monitoringInstanceCost,
-          savings: pgConfig.monthlyCost - (tidbCost + tikvCost + pdCost + monitoringInstanceCost),
-          savingsPercentage: ((pgConfig.monthlyCost - (tidbCost + tikvCost + pdCost + monitoringInstanceCost)) / pgConfig.monthlyCost) * 100
-        };
       };
+      const formatMonths = (value) => value === null ? 'Never' : `${value.toFixed(1)} mo`;
+
+      // Deployable manifests for the sized cluster
+      const deployment = sizing ? generateDeployment(sizing, { storage, catalog }, deploymentOptions) : null;
 
-      const comparisonConfigs = pgConfigs.map(pgConfig => ({
-        ...pgConfig,
-        tidb: getTidbEquivalentConfig(pgConfig)
-      }));
+      // Format one comparison table cell
+      const formatComparisonValue = (row, value) => {
+        if (value === null || value === undefined) return '—';
+        if (row.currency) return formatCurrency(value);
+        if (row.percent) return `${value.toFixed(1)}%`;
+        return value;
+      };
 
       // Simplified Calculator view for first version
       return (
         <div className="mx-auto p-4 max-w-6xl">
-          <h1 className="text-2xl font-bold mb-6 text-center">Enhanced TiDB Migration from PostgreSQL Cost Calculator</h1>
+          <h1 className="text-2xl font-bold mb-6 text-center">Enhanced TiDB Migration Cost Calculator</h1>
+          
+          {/* Pricing catalog selection */}
+          <div className="mb-4 flex items-center justify-end gap-2 text-sm">
+            <label className="font-medium">Pricing Region</label>
+            <select
+              value={catalogId}
+              onChange={(e) => setCatalogId(e.target.value)}
+              className="p-1 border rounded"
+            >
+              {catalogIndex.map(entry => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.name} ({entry.effectiveDate})
+                </option>
+              ))}
+            </select>
+            {catalogError && <span className="text-red-700">{catalogError}</span>}
+          </div>
           
           {/* Tabs Navigation */}
           <div className="mb-6 flex border-b">
@@ -638,169 +1061,1698 @@
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'comparison' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
               onClick={() => setActiveTab('comparison')}>
-              Instance Comparison
+              Scenario Comparison
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'projection' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('projection')}>
+              TCO Projection
+            </button>
+            <button
+              className={`py-2 px-4 font-medium ${activeTab === 'migration' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('migration')}>
+              Migration
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'sensitivity' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('sensitivity')}>
+              Sensitivity
+            </button>
+            <button
+              className={`py-2 px-4 font-medium ${activeTab === 'uncertainty' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('uncertainty')}>
+              Uncertainty
             </button>
             <button 
               className={`py-2 px-4 font-medium ${activeTab === 'history' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
               onClick={() => setActiveTab('history')}>
               Change History
             </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'scenarios' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('scenarios')}>
+              Scenarios
+            </button>
+            <button 
+              className={`py-2 px-4 font-medium ${activeTab === 'deployment' ? 'text-blue-600 border-blue-600 border-b-2' : 'text-gray-500'}`}
+              onClick={() => setActiveTab('deployment')}>
+              Export Deployment
+            </button>
           </div>
           
           {/* Main Calculator View */}
           {activeTab === 'calculator' && (
             <div className="bg-white p-6 rounded shadow">
-              <h2 className="text-xl font-semibold mb-4">PostgreSQL to TiDB Migration Calculator</h2>
+              <h2 className="text-xl font-semibold mb-1">{source.label} to TiDB Migration Calculator</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel} · {assumptionsLabel}</p>
+              
+              <div className="mb-6">
+                <label className="block text-sm font-medium mb-2">Source Database</label>
+                <select
+                  name="source"
+                  value={postgres.source}
+                  onChange={handlePostgresChange}
+                  className="w-full p-2 border rounded"
+                >
+                  {sourcesForCatalog(catalog).map(item => (
+                    <option key={item.id} value={item.id}>{item.label}</option>
+                  ))}
+                </select>
+                <FieldError message={fieldErrors['postgres.source']} />
+              </div>
               
               <div className="mb-6">
-                <label className="block text-sm font-medium mb-2">PostgreSQL Instance Type</label>
+                <label className="block text-sm font-medium mb-2">{source.label} Instance Type</label>
                 <select
                   name="instanceType"
                   value={postgres.instanceType}
                   onChange={handlePostgresChange}
                   className="w-full p-2 border rounded"
                 >
-                  {Object.keys(postgresInstanceTypes).map(type => (
+                  {Object.keys(sourceInstanceTypes).map(type => (
                     <option key={type} value={type}>
-                      {type} ({postgresInstanceTypes[type].vCPU} vCPU, {postgresInstanceTypes[type].memory} GB)
+                      {type} ({sourceInstanceTypes[type].vCPU} vCPU, {sourceInstanceTypes[type].memory} GB)
                     </option>
                   ))}
                 </select>
+                <FieldError message={fieldErrors['postgres.instanceType']} />
+              </div>
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div>
+                  <label className="block text-sm font-medium mb-2">Primary Instances (shards)</label>
+                  <input
+                    type="number"
+                    name="instanceCount"
+                    value={postgres.instanceCount}
+                    onChange={handlePostgresChange}
+                    className="w-full p-2 border rounded"
+                    min="1"
+                  />
+                  <FieldError message={fieldErrors['postgres.instanceCount']} />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">Read Replicas</label>
+                  <input
+                    type="number"
+                    name="readReplicas"
+                    value={postgres.readReplicas}
+                    onChange={handlePostgresChange}
+                    className="w-full p-2 border rounded"
+                    min="0"
+                  />
+                  <FieldError message={fieldErrors['postgres.readReplicas']} />
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium mb-2">Storage (GB, all shards)</label>
+                  <input
+                    type="number"
+                    name="storageGB"
+                    value={postgres.storageGB}
+                    onChange={handlePostgresChange}
+                    className="w-full p-2 border rounded"
+                    min="0"
+                  />
+                  <FieldError message={fieldErrors['postgres.storageGB']} />
+                </div>
+                
+                <div className="flex items-center pt-6">
+                  <input
+                    type="checkbox"
+                    name="multiAZ"
+                    checked={postgres.multiAZ}
+                    onChange={handlePostgresChange}
+                    className="mr-2"
+                  />
+                  <label>Multi-AZ Deployment</label>
+                </div>
+              </div>
+              {topology && topology.source.sharded && (
+                <p className="text-xs text-gray-500 -mt-4 mb-6">
+                  Sharded source: TiDB is sized from {topology.source.totalVcpu} vCPU summed across {topology.source.shards} shards
+                  and their readers, and {topology.source.storageGB} GB in total ({topology.source.storagePerShardGB.toFixed(0)} GB per shard).
+                </p>
+              )}
+              
+              {/* Source storage, backups and extras */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">
+                  {{ rds: 'RDS', aurora: 'Aurora', vm: serviceNames.compute }[source.hosting]} Storage, Backups and Extras
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {source.hosting === 'aurora' ? (
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Aurora Billing</label>
+                      <select
+                        name="auroraBilling"
+                        value={postgres.auroraBilling}
+                        onChange={handlePostgresChange}
+                        className="w-full p-2 border rounded"
+                      >
+                        {auroraBillingModes.map(mode => (
+                          <option key={mode.id} value={mode.id}>{mode.label}</option>
+                        ))}
+                      </select>
+                      <FieldError message={fieldErrors['postgres.auroraBilling']} />
+                    </div>
+                  ) : (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Storage Type</label>
+                        <select
+                          name="storageType"
+                          value={postgres.storageType}
+                          onChange={handlePostgresChange}
+                          className="w-full p-2 border rounded"
+                        >
+                          {Object.keys(catalog[source.tables.storage]).map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <FieldError message={fieldErrors['postgres.storageType']} />
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Throughput (MiB/s)</label>
+                        <input
+                          type="number"
+                          name="storageThroughput"
+                          value={postgres.storageThroughput}
+                          onChange={handlePostgresChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          disabled={!sourceBillsThroughput}
+                        />
+                        <FieldError message={fieldErrors['postgres.storageThroughput']} />
+                      </div>
+                    </>
+                  )}
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">
+                      {source.hosting === 'aurora' ? 'Average I/O Requests/s' : 'Provisioned IOPS'}
+                    </label>
+                    <input
+                      type="number"
+                      name="iops"
+                      value={postgres.iops}
+                      onChange={handlePostgresChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="100"
+                    />
+                    <FieldError message={fieldErrors['postgres.iops']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Backup Retention (days)</label>
+                    <input
+                      type="number"
+                      name="backupRetentionDays"
+                      value={postgres.backupRetentionDays}
+                      onChange={handlePostgresChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      max="35"
+                    />
+                    <FieldError message={fieldErrors['postgres.backupRetentionDays']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Daily Change (%)</label>
+                    <input
+                      type="number"
+                      name="dailyChangePercent"
+                      value={postgres.dailyChangePercent}
+                      onChange={handlePostgresChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="0.5"
+                    />
+                    <FieldError message={fieldErrors['postgres.dailyChangePercent']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Manual Snapshots (GB)</label>
+                    <input
+                      type="number"
+                      name="manualSnapshotGB"
+                      value={postgres.manualSnapshotGB}
+                      onChange={handlePostgresChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                    />
+                    <FieldError message={fieldErrors['postgres.manualSnapshotGB']} />
+                  </div>
+                  
+                  {source.managed && (
+                    <div className="flex items-center pt-6">
+                      <input
+                        type="checkbox"
+                        name="performanceInsights"
+                        checked={postgres.performanceInsights}
+                        onChange={handlePostgresChange}
+                        className="mr-2"
+                      />
+                      <label>Performance Insights (paid retention)</label>
+                    </div>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-3">
+                  {{
+                    aurora: 'Aurora bills one shared cluster volume per shard; Standard also bills every I/O request, I/O-Optimized bills none at higher instance and storage prices.',
+                    rds: 'Each primary, standby and read replica has its own volume holding its shard; gp3 includes 3,000 IOPS / 125 MiB/s (12,000 / 500 from 400 GB).',
+                    vm: `Each primary, standby and read replica is a ${serviceNames.compute} instance with its own ${serviceNames.volumes} volume holding its shard; ` +
+                      (provider.id === 'aws' ? 'gp3 includes 3,000 IOPS / 125 MiB/s.' : 'types billed by IOPS include a baseline.')
+                  }[source.hosting]}
+                  {' '}
+                  {source.managed
+                    ? 'Automated backups are free up to the database size; Multi-AZ and replica traffic is estimated under Network Traffic.'
+                    : `Backups go to ${serviceNames.objectStorage} and are billed in full.`}
+                </p>
+              </div>
+              
+              {/* Per-table Data Profile */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-1">Data Profile</h3>
+                <p className="text-xs text-gray-500 mb-3">
+                  Optional. Paste the output of the profile query to size TiKV from per-table estimates (with index
+                  overhead) and TiFlash from the tables you flag, instead of the total storage and workload type.
+                </p>
+                <details className="mb-3">
+                  <summary className="text-sm text-blue-600 cursor-pointer">Profile query</summary>
+                  <pre className="bg-gray-900 text-gray-100 text-xs p-3 rounded mt-2 overflow-auto">{tableProfileQueries[source.engine]}</pre>
+                </details>
+                <textarea
+                  value={profileText}
+                  onChange={(e) => setProfileText(e.target.value)}
+                  placeholder="Paste psql, CSV or JSON output here"
+                  className="w-full p-2 border rounded font-mono text-xs"
+                  rows="4"
+                />
+                <div className="flex gap-2 mt-2">
+                  <button className="py-1 px-3 rounded border text-sm bg-white" onClick={() => importTableProfile(profileText)}>
+                    Import Profile
+                  </button>
+                  <label className="py-1 px-3 rounded border text-sm cursor-pointer bg-white">
+                    Upload File
+                    <input type="file" accept=".csv,.tsv,.txt,.json" onChange={handleUploadProfile} className="hidden" />
+                  </label>
+                  {dataProfile && (
+                    <button className="py-1 px-3 rounded border text-sm text-red-600 bg-white" onClick={clearTableProfile}>
+                      Clear Profile
+                    </button>
+                  )}
+                </div>
+                {profileError && (
+                  <div className="bg-red-50 p-3 rounded mt-3 text-sm text-red-700">{profileError}</div>
+                )}
+                {topology && topology.dataProfile && (
+                  <div className="mt-3">
+                    <p className="text-sm text-gray-600 mb-2">
+                      {topology.dataProfile.tableCount} tables: {topology.dataProfile.postgresGB.toFixed(1)} GB in {source.engine},{' '}
+                      {topology.dataProfile.tikvGB.toFixed(1)} GB per TiKV replica, {topology.dataProfile.tiflashGB.toFixed(1)} GB per
+                      TiFlash replica ({topology.dataProfile.tiflashTables} tables).
+                      {Math.abs(topology.dataProfile.scale - 1) > 0.01 && ` Scaled ×${topology.dataProfile.scale.toFixed(2)} to the ${postgres.storageGB} GB storage input.`}
+                    </p>
+                    {!profileTables ? (
+                      <p className="text-xs text-gray-500">
+                        Saved scenarios and links keep only the profile totals; import the profile again to see the tables
+                        and change their TiFlash flags.
+                      </p>
+                    ) : (
+                      <div>
+                        <div className="flex gap-2 mb-2">
+                          <button className="text-xs text-blue-600" onClick={() => setTiflashTables(null, true)}>Flag all for TiFlash</button>
+                          <button className="text-xs text-blue-600" onClick={() => setTiflashTables(null, false)}>Clear TiFlash flags</button>
+                        </div>
+                        <div className="overflow-auto max-h-64 shadow rounded">
+                          <table className="min-w-full bg-white text-sm">
+                            <thead className="bg-indigo-100">
+                              <tr>
+                                <th className="py-2 px-3 text-left font-medium text-gray-600">Table</th>
+                                <th className="py-2 px-3 text-right font-medium text-gray-600">Rows</th>
+                                <th className="py-2 px-3 text-right font-medium text-gray-600">{source.engine} (GB)</th>
+                                <th className="py-2 px-3 text-right font-medium text-gray-600">TiKV / replica (GB)</th>
+                                <th className="py-2 px-3 text-right font-medium text-gray-600">TiFlash / replica (GB)</th>
+                                <th className="py-2 px-3 text-center font-medium text-gray-600">TiFlash</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {profileTables.map(table => estimateTable(table, assumptions.compressionRatio, topology.dataProfile.scale)).map((table, index) => (
+                                <tr key={`${table.schema}.${table.table}`} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                                  <td className="py-1 px-3">{table.schema}.{table.table}</td>
+                                  <td className="py-1 px-3 text-right">{table.rowCount.toLocaleString()}</td>
+                                  <td className="py-1 px-3 text-right">{table.postgresGB.toFixed(2)}</td>
+                                  <td className="py-1 px-3 text-right">{table.tikvGB.toFixed(2)}</td>
+                                  <td className="py-1 px-3 text-right">{table.tiflashGB.toFixed(2)}</td>
+                                  <td className="py-1 px-3 text-center">
+                                    <input type="checkbox" checked={table.tiflash} onChange={() => setTiflashTables(index, !table.tiflash)} />
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+              
+              {/* Workload Characteristics */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Workload Characteristics</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Read/Write Ratio</label>
+                    <select
+                      name="readWriteRatio"
+                      value={workload.readWriteRatio}
+                      onChange={handleWorkloadChange}
+                      className="w-full p-2 border rounded"
+                    >
+                      {readWriteRatios.map(ratio => (
+                        <option key={ratio} value={ratio}>{ratio}</option>
+                      ))}
+                    </select>
+                    <FieldError message={fieldErrors['workload.readWriteRatio']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Workload Type</label>
+                    <select
+                      name="type"
+                      value={workload.type}
+                      onChange={handleWorkloadChange}
+                      className="w-full p-2 border rounded"
+                    >
+                      <option value="OLTP">OLTP</option>
+                      <option value="OLAP">OLAP</option>
+                      <option value="Mixed">Mixed</option>
+                    </select>
+                    <FieldError message={fieldErrors['workload.type']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Concurrent Connections</label>
+                    <input
+                      type="number"
+                      name="concurrentConnections"
+                      value={workload.concurrentConnections}
+                      onChange={handleWorkloadChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                    />
+                    <FieldError message={fieldErrors['workload.concurrentConnections']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Data Growth (% per month)</label>
+                    <input
+                      type="number"
+                      name="dataGrowthRate"
+                      value={workload.dataGrowthRate}
+                      onChange={handleWorkloadChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                    />
+                    <FieldError message={fieldErrors['workload.dataGrowthRate']} />
+                  </div>
+                  
+                  <div className="flex items-center pt-6">
+                    <input
+                      type="checkbox"
+                      name="trafficSpikes"
+                      checked={workload.trafficSpikes}
+                      onChange={handleWorkloadChange}
+                      className="mr-2"
+                    />
+                    <label>Traffic Spikes</label>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Peak to Normal Ratio</label>
+                    <input
+                      type="number"
+                      name="peakRatio"
+                      value={workload.peakRatio}
+                      onChange={handleWorkloadChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                      step="0.5"
+                      disabled={!workload.trafficSpikes}
+                    />
+                    <FieldError message={fieldErrors['workload.peakRatio']} />
+                  </div>
+                </div>
+                
+                <div className="mt-4 pt-4 border-t">
+                  <div className="flex items-center gap-3">
+                    <label className="py-1 px-3 rounded border text-sm cursor-pointer bg-white">
+                      Import Metrics
+                      <input type="file" multiple accept=".csv,.json,text/csv,application/json" onChange={handleImportMetrics} className="hidden" />
+                    </label>
+                    <span className="text-xs text-gray-500">
+                      CloudWatch RDS metrics (ReadIOPS, WriteIOPS, CPUUtilization, DatabaseConnections, FreeStorageSpace) or pg_stat_database / pg_stat_statements snapshots, as CSV or JSON
+                    </span>
+                  </div>
+                  {metricsError && (
+                    <div className="bg-red-50 p-3 rounded mt-3 text-sm text-red-700">{metricsError}</div>
+                  )}
+                  {metricsImport && (
+                    <div className="mt-3">
+                      <p className="text-sm text-gray-600">
+                        Imported from {metricsImport.files.join(', ')} ({metricsImport.derived.formats.join(', ')}
+                        {metricsImport.derived.start !== null && `, ${new Date(metricsImport.derived.start).toLocaleString()} to ${new Date(metricsImport.derived.end).toLocaleString()}, ${metricsImport.derived.samples.length} samples`}):{' '}
+                        {[
+                          ['Read Ops/sec', metricsImport.applied.postgres.readOps],
+                          ['Write Ops/sec', metricsImport.applied.postgres.writeOps],
+                          ['Connections (p95)', metricsImport.applied.workload.concurrentConnections],
+                          ['Peak Ratio (p99/avg)', metricsImport.applied.workload.peakRatio],
+                          ['Read/Write Ratio', metricsImport.applied.workload.readWriteRatio]
+                        ].filter(([, value]) => value !== undefined).map(([label, value]) => `${label} ${value}`).join(' · ')}.
+                        {' '}Edit any field to override.
+                      </p>
+                      {['readOps', 'writeOps'].some(field => metricsImport.derived.stats[field]) && (
+                        <table className="text-xs mt-2">
+                          <thead>
+                            <tr className="text-gray-500">
+                              <th className="pr-4 text-left font-medium"></th>
+                              <th className="pr-4 text-right font-medium">Avg</th>
+                              <th className="pr-4 text-right font-medium">p95</th>
+                              <th className="pr-4 text-right font-medium">p99</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[['readOps', 'Reads/sec'], ['writeOps', 'Writes/sec'], ['connections', 'Connections']]
+                              .filter(([field]) => metricsImport.derived.stats[field])
+                              .map(([field, label]) => (
+                                <tr key={field}>
+                                  <td className="pr-4">{label}</td>
+                                  {['avg', 'p95', 'p99'].map(stat => (
+                                    <td key={stat} className="pr-4 text-right">{Math.round(metricsImport.derived.stats[field][stat]).toLocaleString()}</td>
+                                  ))}
+                                </tr>
+                              ))}
+                          </tbody>
+                        </table>
+                      )}
+                      {metricsImport.preview.length > 1 && (
+                        <div className="h-40 mt-3">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={metricsImport.preview}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="time" tickFormatter={time => new Date(time).toLocaleDateString()} minTickGap={40} />
+                              <YAxis />
+                              <Tooltip
+                                labelFormatter={time => new Date(time).toLocaleString()}
+                                formatter={value => Math.round(value).toLocaleString()}
+                              />
+                              <Legend />
+                              <Line type="monotone" dataKey="readOps" name="Reads/sec" stroke="#4f46e5" dot={false} />
+                              <Line type="monotone" dataKey="writeOps" name="Writes/sec" stroke="#ef4444" dot={false} />
+                            </LineChart>
+                          </ResponsiveContainer>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+              
+              {/* TiDB Cluster Layout and Instances */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">TiDB Cluster Layout</h3>
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Deployment Mode</label>
+                    <select
+                      name="deploymentMode"
+                      value={tidbCluster.deploymentMode}
+                      onChange={handleTidbClusterChange}
+                      className="w-full p-2 border rounded"
+                    >
+                      {deploymentModesFor(provider).map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                    <FieldError message={fieldErrors['tidbCluster.deploymentMode']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">PD Nodes</label>
+                    <input
+                      type="number"
+                      name="pdNodes"
+                      value={tidbCluster.pdNodes}
+                      onChange={handleTidbClusterChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                    />
+                    <FieldError message={fieldErrors['tidbCluster.pdNodes']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Availability Zones</label>
+                    <input
+                      type="number"
+                      name="availabilityZones"
+                      value={tidbCluster.availabilityZones}
+                      onChange={handleTidbClusterChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                    />
+                    <FieldError message={fieldErrors['tidbCluster.availabilityZones']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Replication Factor</label>
+                    <input
+                      type="number"
+                      name="dataReplicationFactor"
+                      value={tidbCluster.dataReplicationFactor}
+                      onChange={handleTidbClusterChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                    />
+                    <FieldError message={fieldErrors['tidbCluster.dataReplicationFactor']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">{serviceNames.kubernetes} Clusters</label>
+                    <input
+                      type="number"
+                      name="eksClusterCount"
+                      value={tidbCluster.eksClusterCount}
+                      onChange={handleTidbClusterChange}
+                      className="w-full p-2 border rounded"
+                      min="1"
+                      disabled={tidbCluster.deploymentMode !== 'eks'}
+                    />
+                    <FieldError message={fieldErrors['tidbCluster.eksClusterCount']} />
+                  </div>
+                </div>
+                
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                  {tidbRoles.map(role => (
+                    <div key={role.key}>
+                      <label className="block text-sm font-medium mb-2">{role.label} Instance</label>
+                      <select
+                        name={`${role.key}InstanceType`}
+                        value={topology ? topology.instances[`${role.key}InstanceType`] : (instances[`${role.key}InstanceType`] || '')}
+                        onChange={handleInstanceChange}
+                        className="w-full p-2 border rounded"
+                      >
+                        {Object.keys(instanceTypes).map(type => (
+                          <option key={type} value={type}>
+                            {type} ({instanceTypes[type].vCPU} vCPU, {instanceTypes[type].memory} GB)
+                          </option>
+                        ))}
+                      </select>
+                      <FieldError message={fieldErrors[`instances.${role.key}InstanceType`]} />
+                      {topology && (
+                        <PinToggle
+                          pinned={instances[`${role.key}InstanceType`] !== null}
+                          value={topology.instances[`${role.key}InstanceType`]}
+                          recommended={topology.recommended.instances[`${role.key}InstanceType`]}
+                          onToggle={() => togglePin(setInstances, `${role.key}InstanceType`, topology.instances[`${role.key}InstanceType`])}
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+                
+                {tidbCluster.deploymentMode === 'eks' && (
+                  <div className="mt-4 pt-4 border-t">
+                    <h4 className="text-sm font-medium mb-2">{serviceNames.kubernetes} Worker Node Groups</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-3">
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Reserved vCPU per Node</label>
+                        <input
+                          type="number"
+                          name="reservedCpu"
+                          value={kubernetes.reservedCpu}
+                          onChange={handleKubernetesChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          step="0.5"
+                        />
+                        <FieldError message={fieldErrors['kubernetes.reservedCpu']} />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Reserved Memory per Node (%)</label>
+                        <input
+                          type="number"
+                          name="reservedMemoryPercent"
+                          value={kubernetes.reservedMemoryPercent}
+                          onChange={handleKubernetesChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          max="90"
+                        />
+                        <FieldError message={fieldErrors['kubernetes.reservedMemoryPercent']} />
+                      </div>
+                      <div className="flex items-center pt-6">
+                        <input
+                          type="checkbox"
+                          checked={kubernetes.workerGroups === null}
+                          onChange={toggleDedicatedGroups}
+                          disabled={!topology}
+                          className="mr-2"
+                        />
+                        <label>One dedicated group per role</label>
+                      </div>
+                    </div>
+                    <p className="text-xs text-gray-500 mb-2">
+                      Each pod requests its role's instance size minus the reservation. Groups running a single role use
+                      that role's purchasing option; shared groups are priced on-demand (plus any Savings Plan).
+                    </p>
+                    {kubernetes.workerGroups && (
+                      <div>
+                        {kubernetes.workerGroups.map((group, index) => (
+                          <div key={index} className="flex flex-wrap items-center gap-3 mb-2">
+                            <input
+                              type="text"
+                              value={group.name}
+                              onChange={(e) => updateWorkerGroup(index, { name: e.target.value })}
+                              className="w-32 p-1 border rounded text-sm"
+                            />
+                            <select
+                              value={group.instanceType}
+                              onChange={(e) => updateWorkerGroup(index, { instanceType: e.target.value })}
+                              className="p-1 border rounded text-sm"
+                            >
+                              {Object.keys(instanceTypes).map(type => (
+                                <option key={type} value={type}>{type}</option>
+                              ))}
+                            </select>
+                            {tidbRoles.map(role => (
+                              <label key={role.key} className="flex items-center text-sm">
+                                <input
+                                  type="checkbox"
+                                  checked={group.roles.includes(role.key)}
+                                  onChange={() => toggleWorkerGroupRole(index, role.key)}
+                                  className="mr-1"
+                                />
+                                {role.label}
+                              </label>
+                            ))}
+                            <button className="text-red-600 text-sm" onClick={() => removeWorkerGroup(index)}>Remove</button>
+                            <FieldError
+                              message={fieldErrors[`kubernetes.workerGroups.${index}.name`] ||
+                                fieldErrors[`kubernetes.workerGroups.${index}.instanceType`]}
+                            />
+                          </div>
+                        ))}
+                        <button className="py-1 px-3 rounded border text-sm bg-white" onClick={addWorkerGroup}>
+                          Add Group
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+              
+              {/* Storage Configuration */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Storage Configuration</h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  {ebsRoles.map(role => (
+                    <div key={role.key}>
+                      <label className="block text-sm font-medium mb-2">{role.label} {serviceNames.volumes}</label>
+                      <div className="flex gap-2">
+                        <select
+                          name={role.typeField}
+                          value={storage[role.typeField]}
+                          onChange={handleStorageChange}
+                          className="w-1/2 p-2 border rounded"
+                        >
+                          {Object.keys(volumeTypes).map(type => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          name={role.sizeField}
+                          value={storage[role.sizeField]}
+                          onChange={handleStorageChange}
+                          className="w-1/2 p-2 border rounded"
+                          min="0"
+                        />
+                      </div>
+                      <FieldError message={fieldErrors[`storage.${role.typeField}`] || fieldErrors[`storage.${role.sizeField}`]} />
+                      <div className="text-xs text-gray-500 mt-1">GB per node</div>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center mt-4">
+                  <input
+                    type="checkbox"
+                    name="tikvUseInstanceStore"
+                    checked={storage.tikvUseInstanceStore}
+                    onChange={handleStorageChange}
+                    className="mr-2"
+                  />
+                  <label>Use {serviceNames.localDisk} for TiKV ({instanceTypes[topology ? topology.instances.tikvInstanceType : instances.tikvInstanceType]?.nvme || 0} GB per node)</label>
+                </div>
+              </div>
+              
+              {/* Operational Costs */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Operational Costs</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="flex items-center pt-6">
+                    <input
+                      type="checkbox"
+                      name="backupToS3"
+                      checked={operational.backupToS3}
+                      onChange={handleOperationalChange}
+                      className="mr-2"
+                    />
+                    <label>Back up to {serviceNames.objectStorage}</label>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Backup Size (GB)</label>
+                    <input
+                      type="number"
+                      name="backupSizeGB"
+                      value={operational.backupSizeGB}
+                      onChange={handleOperationalChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      disabled={!operational.backupToS3}
+                    />
+                    <FieldError message={fieldErrors['operational.backupSizeGB']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">{serviceNames.kubernetes} Cluster Cost ($/month)</label>
+                    <input
+                      type="number"
+                      name="eksClusterCost"
+                      value={operational.eksClusterCost}
+                      onChange={handleOperationalChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      disabled={tidbCluster.deploymentMode !== 'eks'}
+                    />
+                    <FieldError message={fieldErrors['operational.eksClusterCost']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">{serviceNames.kubernetes} Monitoring ($/month)</label>
+                    <input
+                      type="number"
+                      name="eksMonitoringCost"
+                      value={operational.eksMonitoringCost}
+                      onChange={handleOperationalChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      disabled={tidbCluster.deploymentMode !== 'eks'}
+                    />
+                    <FieldError message={fieldErrors['operational.eksMonitoringCost']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Migration Cost ($, one-time)</label>
+                    <div className="p-2 border rounded bg-white text-gray-700">
+                      {costs ? formatCurrency(costs.oneTimeCosts) : '—'}
+                    </div>
+                    <button className="text-xs text-blue-600 mt-1" onClick={() => setActiveTab('migration')}>
+                      Estimated by the migration plan
+                    </button>
+                  </div>
+                </div>
+              </div>
+              
+              {/* Network Traffic */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Network Traffic</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {networkFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium mb-2">{field.label}</label>
+                      <input
+                        type="number"
+                        name={field.key}
+                        value={network[field.key]}
+                        onChange={handleNetworkChange}
+                        className="w-full p-2 border rounded"
+                        min="0"
+                        step={field.step}
+                        disabled={field.key === 'natProcessedGB' && !network.natGateway}
+                      />
+                      <FieldError message={fieldErrors[`network.${field.key}`]} />
+                    </div>
+                  ))}
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      name="zoneAwareClients"
+                      checked={network.zoneAwareClients}
+                      onChange={handleNetworkChange}
+                      className="mr-2"
+                    />
+                    <label>Clients stay in their own zone (zone-aware routing)</label>
+                  </div>
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      name="natGateway"
+                      checked={network.natGateway}
+                      onChange={handleNetworkChange}
+                      className="mr-2"
+                    />
+                    <label>NAT gateway per zone for private nodes</label>
+                  </div>
+                </div>
+                {costs && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    {[
+                      { side: 'TiDB Cluster', traffic: costs.networkTraffic },
+                      { side: source.label, traffic: costs.postgres.network }
+                    ].map(({ side, traffic }) => (
+                      <div key={side}>
+                        <h4 className="text-sm font-medium mb-2">
+                          {side}: {Math.round(traffic.interAzGB).toLocaleString()} GB/month across zones
+                        </h4>
+                        <table className="min-w-full bg-white text-sm shadow rounded">
+                          <thead className="bg-indigo-100">
+                            <tr>
+                              <th className="py-2 px-3 text-left font-medium text-gray-600">Flow</th>
+                              <th className="py-2 px-3 text-right font-medium text-gray-600">GB/month</th>
+                              <th className="py-2 px-3 text-right font-medium text-gray-600">Cost</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {traffic.flows.map((item, index) => (
+                              <tr key={item.key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                                <td className="py-1 px-3">{item.name}</td>
+                                <td className="py-1 px-3 text-right">{item.key === 'natHours' ? '—' : Math.round(item.gb).toLocaleString()}</td>
+                                <td className="py-1 px-3 text-right">{item.billed ? formatCurrency(item.cost) : 'not billed'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    ))}
+                  </div>
+                )}
+                <p className="text-xs text-gray-500 mt-3">
+                  Inter-zone flows are estimated from {postgres.writeOps} writes/s and {postgres.readOps} reads/s over{' '}
+                  {tidbCluster.availabilityZones} zone(s): Raft sends each write to the followers outside the leader's zone,
+                  TiFlash learners receive every write, and TiDB reads the fan-out from TiKV leaders in any zone.
+                  {source.managed
+                    ? ` ${source.label} Multi-AZ and read replica replication is estimated but not billed.`
+                    : ` Replication between self-managed ${serviceNames.compute} instances is billed like any inter-zone traffic.`}
+                </p>
+              </div>
+              
+              {/* Operations Labor */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Operations Labor</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div className="flex items-center pt-6">
+                    <input
+                      type="checkbox"
+                      name="includeInTotals"
+                      checked={labor.includeInTotals}
+                      onChange={handleLaborChange}
+                      className="mr-2"
+                    />
+                    <label>Include labor in totals, savings and payback</label>
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Fully-loaded FTE Cost ($/year)</label>
+                    <input
+                      type="number"
+                      name="fteAnnualCost"
+                      value={labor.fteAnnualCost}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="5000"
+                    />
+                    <FieldError message={fieldErrors['labor.fteAnnualCost']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Source DB Staff (FTE)</label>
+                    <input
+                      type="number"
+                      name="postgresFTE"
+                      value={labor.postgresFTE}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="0.1"
+                    />
+                    <FieldError message={fieldErrors['labor.postgresFTE']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">TiDB Staff (FTE)</label>
+                    <input
+                      type="number"
+                      name="tidbFTE"
+                      value={labor.tidbFTE}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="0.1"
+                    />
+                    <FieldError message={fieldErrors['labor.tidbFTE']} />
+                  </div>
+                  
+                  <div>
+                    <label className="block text-sm font-medium mb-2">TiDB Cloud Staff (FTE)</label>
+                    <input
+                      type="number"
+                      name="tidbCloudFTE"
+                      value={labor.tidbCloudFTE}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="0.1"
+                    />
+                    <FieldError message={fieldErrors['labor.tidbCloudFTE']} />
+                  </div>
+                  
+                  <div>
+                    <label className="flex items-center text-sm font-medium mb-2">
+                      <input
+                        type="checkbox"
+                        name="onCall"
+                        checked={labor.onCall}
+                        onChange={handleLaborChange}
+                        className="mr-2"
+                      />
+                      TiDB On-call ($/month)
+                    </label>
+                    <input
+                      type="number"
+                      name="onCallMonthlyCost"
+                      value={labor.onCallMonthlyCost}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="100"
+                      disabled={!labor.onCall}
+                    />
+                    <FieldError message={fieldErrors['labor.onCallMonthlyCost']} />
+                  </div>
+                  
+                  <div>
+                    <label className="flex items-center text-sm font-medium mb-2">
+                      <input
+                        type="checkbox"
+                        name="training"
+                        checked={labor.training}
+                        onChange={handleLaborChange}
+                        className="mr-2"
+                      />
+                      TiDB Training ($/year)
+                    </label>
+                    <input
+                      type="number"
+                      name="trainingAnnualCost"
+                      value={labor.trainingAnnualCost}
+                      onChange={handleLaborChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      step="1000"
+                      disabled={!labor.training}
+                    />
+                    <FieldError message={fieldErrors['labor.trainingAnnualCost']} />
+                  </div>
+                </div>
+                {costs && (
+                  <p className="text-xs text-gray-500 mt-3">
+                    {source.label} {formatCurrency(costs.labor.postgres.total)}/month · TiDB {formatCurrency(costs.labor.tidb.total)}/month
+                    · TiDB Cloud {formatCurrency(costs.labor.tidbCloud.total)}/month
+                    {costs.labor.included ? ' (included in totals)' : ' (excluded from totals)'}
+                  </p>
+                )}
+              </div>
+              
+              {/* TiDB Cloud Target */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">TiDB Cloud Target</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Compare With</label>
+                    <select
+                      name="model"
+                      value={tidbCloud.model}
+                      onChange={handleTidbCloudChange}
+                      className="w-full p-2 border rounded"
+                    >
+                      {tidbCloudModels.map(model => (
+                        <option key={model.id} value={model.id} disabled={!!tidbCloudPrices && !offersModel(tidbCloudPrices, model.id)}>
+                          {model.label}
+                        </option>
+                      ))}
+                    </select>
+                    <FieldError message={fieldErrors['tidbCloud.model']} />
+                  </div>
+                  
+                  {tidbCloud.model === 'dedicated' && tidbCloudPrices && tidbCloudTiers.map(tier => {
+                    const sizes = tidbCloudPrices.dedicated.nodeSizes[tier.id];
+                    const field = `${tier.id}NodeSize`;
+                    const resolved = cloudCosts && cloudCosts.tiers.find(item => item.tier === tier.id);
+                    return (
+                      <div key={tier.id}>
+                        <label className="block text-sm font-medium mb-2">{tier.label} Node Size</label>
+                        <select
+                          name={field}
+                          value={tidbCloud[field] || (resolved ? resolved.nodeSize : '')}
+                          onChange={handleTidbCloudChange}
+                          className="w-full p-2 border rounded"
+                        >
+                          {!tidbCloud[field] && !resolved && <option value="">Recommended</option>}
+                          {Object.keys(sizes).map(size => (
+                            <option key={size} value={size}>
+                              {size} ({formatCurrency(sizes[size].monthlyCost)}/node)
+                            </option>
+                          ))}
+                        </select>
+                        <FieldError message={fieldErrors[`tidbCloud.${field}`]} />
+                        {resolved && (
+                          <PinToggle
+                            pinned={tidbCloud[field] !== null}
+                            value={resolved.nodeSize}
+                            recommended={resolved.recommendedSize}
+                            onToggle={() => togglePin(setTidbCloud, field, resolved.nodeSize)}
+                          />
+                        )}
+                      </div>
+                    );
+                  })}
+                  
+                  {tidbCloud.model === 'dedicated' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">TiKV Storage per Node (GB)</label>
+                        <input
+                          type="number"
+                          name="tikvStorageGB"
+                          value={tidbCloud.tikvStorageGB !== null ? tidbCloud.tikvStorageGB : (cloudTikv ? cloudTikv.storagePerNodeGB : '')}
+                          onChange={handleTidbCloudChange}
+                          className="w-full p-2 border rounded"
+                          min="1"
+                          step="100"
+                        />
+                        <FieldError message={fieldErrors['tidbCloud.tikvStorageGB']} />
+                        {cloudTikv && (
+                          <PinToggle
+                            pinned={tidbCloud.tikvStorageGB !== null}
+                            value={cloudTikv.storagePerNodeGB}
+                            recommended={cloudTikv.storagePerNodeGB}
+                            onToggle={() => togglePin(setTidbCloud, 'tikvStorageGB', cloudTikv.storagePerNodeGB)}
+                          />
+                        )}
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Cross-AZ Transfer (GB/month)</label>
+                        <input
+                          type="number"
+                          name="crossAzTrafficGB"
+                          value={tidbCloud.crossAzTrafficGB !== null ? tidbCloud.crossAzTrafficGB : (cloudTraffic ? Math.round(cloudTraffic.estimate.crossAzGB) : '')}
+                          onChange={handleTidbCloudChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          step="100"
+                        />
+                        <FieldError message={fieldErrors['tidbCloud.crossAzTrafficGB']} />
+                        {cloudTraffic && (
+                          <PinToggle
+                            pinned={tidbCloud.crossAzTrafficGB !== null}
+                            value={Math.round(cloudTraffic.crossAzGB)}
+                            recommended={Math.round(cloudTraffic.estimate.crossAzGB)}
+                            onToggle={() => togglePin(setTidbCloud, 'crossAzTrafficGB', Math.round(cloudTraffic.crossAzGB))}
+                          />
+                        )}
+                      </div>
+                    </>
+                  )}
+                  
+                  {tidbCloud.model === 'serverless' && (
+                    <>
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Request Units per Read</label>
+                        <input
+                          type="number"
+                          name="ruPerRead"
+                          value={tidbCloud.ruPerRead}
+                          onChange={handleTidbCloudChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          step="0.1"
+                        />
+                        <FieldError message={fieldErrors['tidbCloud.ruPerRead']} />
+                      </div>
+                      
+                      <div>
+                        <label className="block text-sm font-medium mb-2">Request Units per Write</label>
+                        <input
+                          type="number"
+                          name="ruPerWrite"
+                          value={tidbCloud.ruPerWrite}
+                          onChange={handleTidbCloudChange}
+                          className="w-full p-2 border rounded"
+                          min="0"
+                          step="0.5"
+                        />
+                        <FieldError message={fieldErrors['tidbCloud.ruPerWrite']} />
+                      </div>
+                    </>
+                  )}
+                  
+                  {tidbCloud.model !== 'none' && (
+                    <div>
+                      <label className="block text-sm font-medium mb-2">Internet Egress (GB/month)</label>
+                      <input
+                        type="number"
+                        name="egressGB"
+                        value={tidbCloud.egressGB !== null ? tidbCloud.egressGB : (cloudTraffic ? cloudTraffic.estimate.egressGB : '')}
+                        onChange={handleTidbCloudChange}
+                        className="w-full p-2 border rounded"
+                        min="0"
+                        step="100"
+                      />
+                      <FieldError message={fieldErrors['tidbCloud.egressGB']} />
+                      {cloudTraffic && (
+                        <PinToggle
+                          pinned={tidbCloud.egressGB !== null}
+                          value={cloudTraffic.egressGB}
+                          recommended={cloudTraffic.estimate.egressGB}
+                          onToggle={() => togglePin(setTidbCloud, 'egressGB', cloudTraffic.egressGB)}
+                        />
+                      )}
+                    </div>
+                  )}
+                </div>
+                
+                {tidbCloud.model === 'serverless' && cloudCosts && (
+                  <p className="text-xs text-gray-500 mt-3">
+                    {Math.round(cloudCosts.usage.requestUnitsMillions).toLocaleString()}M Request Units/month from {postgres.readOps} reads/s and {postgres.writeOps} writes/s
+                    · {Math.round(cloudCosts.usage.rowStorageGB)} GB row storage
+                    {cloudCosts.usage.columnarStorageGB > 0 && ` · ${Math.round(cloudCosts.usage.columnarStorageGB)} GB columnar storage`}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mt-3">
+                  {tidbCloudCatalogError
+                    ? `Could not load the TiDB Cloud catalog: ${tidbCloudCatalogError}`
+                    : !tidbCloudCatalog
+                      ? 'Loading the TiDB Cloud catalog...'
+                      : !tidbCloudPrices
+                        ? `The TiDB Cloud catalog has no prices for ${catalog.region}.`
+                        : !offersModel(tidbCloudPrices, tidbCloud.model)
+                          ? `The TiDB Cloud catalog has no ${tidbCloud.model} prices for ${catalog.region}; pick another model.`
+                          : `${tidbCloudCatalog.name} · prices effective ${tidbCloudCatalog.effectiveDate}${tidbCloudCatalog !== tidbCloudFileCatalog ? ' · edited in this browser' : ''}`}
+                </p>
+                
+                {tidbCloudPrices && tidbCloud.model !== 'none' && (
+                  <details className="mt-3">
+                    <summary className="text-sm font-medium cursor-pointer">Edit TiDB Cloud prices ({catalog.region})</summary>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-3">
+                      {tidbCloudPriceFields(tidbCloudPrices).map(field => (
+                        <div key={field.path.join('.')}>
+                          <label className="block text-sm font-medium mb-2">{field.label}</label>
+                          <input
+                            type="number"
+                            value={getTidbCloudPrice(tidbCloudCatalog, catalog.region, field.path)}
+                            onChange={(e) => handleTidbCloudPriceChange(field.path, e.target.value)}
+                            className="w-full p-2 border rounded"
+                            min="0"
+                            step="0.01"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex gap-2 mt-3">
+                      <button
+                        className="py-1 px-3 rounded border text-sm bg-white"
+                        onClick={resetTidbCloudPrices}
+                        disabled={tidbCloudCatalog === tidbCloudFileCatalog}>
+                        Reset to Catalog Prices
+                      </button>
+                      <button
+                        className="py-1 px-3 rounded border text-sm bg-white"
+                        onClick={() => downloadFile('tidb-cloud.json', JSON.stringify(tidbCloudCatalog, null, 2) + '\n', 'application/json')}>
+                        Download Catalog JSON
+                      </button>
+                    </div>
+                  </details>
+                )}
               </div>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                <div>
-                  <label className="block text-sm font-medium mb-2">Primary Instances</label>
-                  <input
-                    type="number"
-                    name="instanceCount"
-                    value={postgres.instanceCount}
-                    onChange={handlePostgresChange}
-                    className="w-full p-2 border rounded"
-                    min="1"
-                  />
+              {/* Purchasing Options */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-3">Purchasing Options</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  {[...tidbRoles, { key: 'postgres', label: source.label }].map(role => (
+                    <div key={role.key}>
+                      <label className="block text-sm font-medium mb-2">{role.label}</label>
+                      <select
+                        name={role.key}
+                        value={purchasing[role.key]}
+                        onChange={handlePurchasingChange}
+                        className="w-full p-2 border rounded"
+                      >
+                        {optionsForRole(role.key).map(option => (
+                          <option key={option.id} value={option.id}>{option.label}</option>
+                        ))}
+                      </select>
+                      <FieldError message={fieldErrors[`purchasing.${role.key}`]} />
+                    </div>
+                  ))}
                 </div>
-                
-                <div>
-                  <label className="block text-sm font-medium mb-2">Read Replicas</label>
-                  <input
-                    type="number"
-                    name="readReplicas"
-                    value={postgres.readReplicas}
-                    onChange={handlePostgresChange}
-                    className="w-full p-2 border rounded"
-                    min="0"
-                  />
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Compute Savings Plan Coverage (%)</label>
+                    <input
+                      type="number"
+                      name="savingsPlanCoverage"
+                      value={purchasing.savingsPlanCoverage}
+                      onChange={handlePurchasingChange}
+                      className="w-full p-2 border rounded"
+                      min="0"
+                      max="100"
+                    />
+                    <FieldError message={fieldErrors['purchasing.savingsPlanCoverage']} />
+                    <div className="text-xs text-gray-500 mt-1">Share of the remaining on-demand {serviceNames.compute} spend</div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Savings Plan Term</label>
+                    <select
+                      name="savingsPlanTerm"
+                      value={purchasing.savingsPlanTerm}
+                      onChange={handlePurchasingChange}
+                      className="w-full p-2 border rounded"
+                    >
+                      {savingsPlanTerms.map(term => (
+                        <option key={term} value={term}>{term}</option>
+                      ))}
+                    </select>
+                    <FieldError message={fieldErrors['purchasing.savingsPlanTerm']} />
+                  </div>
                 </div>
-                
-                <div>
-                  <label className="block text-sm font-medium mb-2">Storage (GB)</label>
-                  <input
-                    type="number"
-                    name="storageGB"
-                    value={postgres.storageGB}
-                    onChange={handlePostgresChange}
-                    className="w-full p-2 border rounded"
-                    min="0"
-                  />
+              </div>
+              
+              {/* Sizing Assumptions */}
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <h3 className="font-medium">Sizing Assumptions</h3>
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-600">Preset:</span>
+                    {assumptionPresets.map(preset => (
+                      <button
+                        key={preset.id}
+                        className={`py-1 px-3 rounded border text-sm ${describeAssumptions(assumptions).id === preset.id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                        onClick={() => applyAssumptionPreset(preset)}>
+                        {preset.label}
+                      </button>
+                    ))}
+                    {describeAssumptions(assumptions).id === 'custom' && (
+                      <span className="text-sm text-yellow-800">Custom</span>
+                    )}
+                  </div>
                 </div>
-                
-                <div className="flex items-center pt-6">
-                  <input
-                    type="checkbox"
-                    name="multiAZ"
-                    checked={postgres.multiAZ}
-                    onChange={handlePostgresChange}
-                    className="mr-2"
-                  />
-                  <label>Multi-AZ Deployment</label>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {assumptionFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium mb-2">
+                        {field.label}
+                        {assumptions[field.key] !== defaultAssumptions[field.key] && (
+                          <span className="ml-2 text-xs text-gray-500">default {defaultAssumptions[field.key]}</span>
+                        )}
+                      </label>
+                      <input
+                        type="number"
+                        name={field.key}
+                        value={assumptions[field.key]}
+                        onChange={handleAssumptionChange}
+                        className="w-full p-2 border rounded"
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                      />
+                      <FieldError message={fieldErrors[`assumptions.${field.key}`]} />
+                      <div className="text-xs text-gray-500 mt-1">{field.rationale}</div>
+                    </div>
+                  ))}
                 </div>
               </div>
               
+              {/* Invalid inputs block the sizing result */}
+              {!validation.valid && (
+                <div className="bg-red-50 p-3 rounded mb-6 text-sm text-red-700">
+                  <div className="font-medium mb-1">Results are blocked until these inputs are fixed</div>
+                  {validation.errors.map(error => (
+                    <div key={error.field}>{error.field}: {error.message}</div>
+                  ))}
+                </div>
+              )}
+              
               <div className="bg-blue-50 p-4 rounded mb-6">
                 <h3 className="font-medium mb-3">TiDB Configuration</h3>
-                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
-                  <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">TiDB Nodes</div>
-                    <div className="text-xl font-bold">{tidbCluster.tidbNodes}</div>
-                    <div className="text-xs text-gray-500">{instances.tidbInstanceType}</div>
-                  </div>
-                  <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">TiKV Nodes</div>
-                    <div className="text-xl font-bold">{tidbCluster.tikvNodes}</div>
-                    <div className="text-xs text-gray-500">{instances.tikvInstanceType}</div>
-                  </div>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-center">
+                  {pinnableNodeCards.map(card => (
+                    <div key={card.field} className="bg-white p-3 rounded shadow">
+                      <div className="text-gray-600 text-sm">{card.label}</div>
+                      {tidbCluster[card.field] !== null ? (
+                        <>
+                          <input
+                            type="number"
+                            name={card.field}
+                            value={tidbCluster[card.field]}
+                            onChange={handleTidbClusterChange}
+                            className="w-20 p-1 border rounded text-xl font-bold text-center"
+                            min="0"
+                          />
+                          <FieldError message={fieldErrors[`tidbCluster.${card.field}`]} />
+                        </>
+                      ) : (
+                        <div className="text-xl font-bold">{topology ? topology[card.field] : '—'}</div>
+                      )}
+                      {topology && card.instanceField && (
+                        <div className="text-xs text-gray-500">{topology.instances[card.instanceField]}</div>
+                      )}
+                      {topology && (
+                        <PinToggle
+                          pinned={tidbCluster[card.field] !== null}
+                          value={topology[card.field]}
+                          recommended={topology.recommended[card.field]}
+                          onToggle={() => togglePin(setTidbCluster, card.field, topology[card.field])}
+                        />
+                      )}
+                    </div>
+                  ))}
                   <div className="bg-white p-3 rounded shadow">
                     <div className="text-gray-600 text-sm">PD Nodes</div>
                     <div className="text-xl font-bold">{tidbCluster.pdNodes}</div>
-                    <div className="text-xs text-gray-500">{instances.pdInstanceType}</div>
+                    {topology && <div className="text-xs text-gray-500">{topology.instances.pdInstanceType}</div>}
                   </div>
+                  {topology && topology.workers && (
+                    <div className="bg-white p-3 rounded shadow">
+                      <div className="text-gray-600 text-sm">K8s Worker Nodes</div>
+                      <div className="text-xl font-bold">{topology.k8sWorkerNodes}</div>
+                      <div className="text-xs text-gray-500">{topology.workers.groups.filter(group => group.nodeCount > 0).length} node groups</div>
+                    </div>
+                  )}
                   <div className="bg-white p-3 rounded shadow">
                     <div className="text-gray-600 text-sm">Total Storage (GB)</div>
-                    <div className="text-xl font-bold">
-                      {(tidbCluster.tidbNodes * storage.tidbEbsSize) + 
-                       (tidbCluster.tikvNodes * (tikvInstanceStorageSize + storage.tikvAdditionalEbsSize)) + 
-                       (tidbCluster.pdNodes * storage.pdEbsSize) + 
-                       (tidbCluster.tiflashNodes * storage.tiflashEbsSize)}
-                    </div>
+                    <div className="text-xl font-bold">{topology ? topology.totalStorageGB : '—'}</div>
                   </div>
                 </div>
               </div>
               
+              {/* High-availability checks (lib/availability.js) */}
+              {topology && (
+                <div className="bg-gray-50 p-4 rounded mb-6">
+                  <h3 className="font-medium mb-3">Availability Checks</h3>
+                  {availabilityFindings.length === 0 ? (
+                    <div className="bg-green-50 p-3 rounded text-sm text-green-700">
+                      Survives the loss of any single node or availability zone.
+                    </div>
+                  ) : (
+                    availabilityFindings.map(item => (
+                      <div
+                        key={item.code}
+                        className={`p-3 rounded mb-2 text-sm ${item.severity === 'error' ? 'bg-red-50 text-red-700' : 'bg-yellow-50 text-yellow-800'}`}
+                      >
+                        <div className="font-medium">
+                          {item.severity === 'error' ? 'Error' : 'Warning'}: {item.message}
+                          <span className="ml-2 text-xs font-mono opacity-75">{item.code}</span>
+                        </div>
+                        <div className="text-xs mt-1">{item.explanation}</div>
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+              
+              {/* Worker node packing (Kubernetes) */}
+              {topology && topology.workers && (
+                <div className="bg-gray-50 p-4 rounded mb-6">
+                  <h3 className="font-medium mb-3">Worker Node Packing</h3>
+                  {topology.workers.unschedulable.length > 0 && (
+                    <div className="bg-red-50 p-3 rounded mb-3 text-sm text-red-700">
+                      <div className="font-medium mb-1">Unschedulable pods</div>
+                      {topology.workers.unschedulable.map(item => (
+                        <div key={item.pod}>{item.pod}: {item.reason}</div>
+                      ))}
+                      <div className="mt-1">
+                        The costs include one more node of the role's instance type for each of these pods.
+                      </div>
+                    </div>
+                  )}
+                  <div className="overflow-auto max-h-72 shadow rounded">
+                    <table className="min-w-full bg-white text-sm">
+                      <thead className="bg-indigo-100">
+                        <tr>
+                          <th className="py-2 px-3 text-left font-medium text-gray-600">Node</th>
+                          <th className="py-2 px-3 text-left font-medium text-gray-600">Instance</th>
+                          <th className="py-2 px-3 text-left font-medium text-gray-600">Zone</th>
+                          <th className="py-2 px-3 text-left font-medium text-gray-600">Pods</th>
+                          <th className="py-2 px-3 text-right font-medium text-gray-600">CPU</th>
+                          <th className="py-2 px-3 text-right font-medium text-gray-600">Memory</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {topology.workers.groups.flatMap(group => group.nodes.map(node => ({ ...node, instanceType: group.instanceType })))
+                          .map((node, index) => (
+                            <tr key={node.name} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                              <td className="py-1 px-3">{node.name}</td>
+                              <td className="py-1 px-3">{node.instanceType}</td>
+                              <td className="py-1 px-3">{node.zone}</td>
+                              <td className="py-1 px-3">{node.pods.join(', ')}</td>
+                              <td className="py-1 px-3 text-right">{(node.cpuUtilization * 100).toFixed(0)}%</td>
+                              <td className="py-1 px-3 text-right">{(node.memoryUtilization * 100).toFixed(0)}%</td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+              
               <div className="bg-green-50 p-4 rounded mb-6">
                 <h3 className="font-medium mb-3">Cost Comparison</h3>
-                <div className="grid grid-cols-2 gap-4 text-center">
+                <div className={`grid ${cloudCosts ? 'grid-cols-3' : 'grid-cols-2'} gap-4 text-center`}>
                   <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">PostgreSQL Monthly</div>
-                    <div className="text-2xl font-bold text-blue-700">${postgresMonthlyCost.toFixed(2)}</div>
+                    <div className="text-gray-600 text-sm">{source.label} Monthly</div>
+                    <div className={`text-2xl font-bold ${costs ? 'text-blue-700' : 'text-gray-400'}`}>
+                      {costs ? `$${costs.postgresMonthlyCost.toFixed(2)}` : 'Invalid'}
+                    </div>
+                    {costs && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {costs.labor.included ? 'incl.' : 'excl.'} {formatCurrency(costs.labor.postgres.total)} labor
+                      </div>
+                    )}
                   </div>
                   <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">TiDB Monthly</div>
-                    <div className="text-2xl font-bold text-green-700">${totalMonthlyCost.toFixed(2)}</div>
+                    <div className="text-gray-600 text-sm">{cloudCosts ? 'Self-managed TiDB Monthly' : 'TiDB Monthly'}</div>
+                    <div className={`text-2xl font-bold ${costs ? 'text-green-700' : 'text-gray-400'}`}>
+                      {costs ? `$${costs.totalMonthlyCost.toFixed(2)}` : 'Invalid'}
+                    </div>
+                    {costs && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        {costs.labor.included ? 'incl.' : 'excl.'} {formatCurrency(costs.labor.tidb.total)} labor
+                      </div>
+                    )}
+                    {monteCarloResult && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        P10–P90 {formatCurrency(monteCarloResult.totalMonthlyCost.p10)} – {formatCurrency(monteCarloResult.totalMonthlyCost.p90)}
+                      </div>
+                    )}
                   </div>
+                  {cloudCosts && (
+                    <div className="bg-white p-3 rounded shadow">
+                      <div className="text-gray-600 text-sm">{cloudCosts.label} Monthly</div>
+                      <div className="text-2xl font-bold text-purple-700">${cloudCosts.totalMonthlyCost.toFixed(2)}</div>
+                      <div className="text-xs text-gray-500 mt-1">
+                        {costs.labor.included ? 'incl.' : 'excl.'} {formatCurrency(cloudCosts.laborMonthlyCost)} labor
+                      </div>
+                    </div>
+                  )}
                   <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">Monthly Savings</div>
-                    <div className={`text-2xl font-bold ${monthlySavings >= 0 ? 'text-green-700' : 'text-red-700'}`}>
-                      ${monthlySavings.toFixed(2)}
+                    <div className="text-gray-600 text-sm">{cloudCosts ? 'Self-managed Savings' : 'Monthly Savings'}</div>
+                    <div className={`text-2xl font-bold ${!costs ? 'text-gray-400' : costs.monthlySavings >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                      {costs ? `$${costs.monthlySavings.toFixed(2)}` : 'Invalid'}
                     </div>
+                    {monteCarloResult && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        P10–P90 {formatCurrency(monteCarloResult.monthlySavings.p10)} – {formatCurrency(monteCarloResult.monthlySavings.p90)}
+                      </div>
+                    )}
                   </div>
                   <div className="bg-white p-3 rounded shadow">
-                    <div className="text-gray-600 text-sm">Savings %</div>
-                    <div className={`text-2xl font-bold ${savingsPercentage >= 0 ? 'text-green-700' : 'text-red-700'}`}>
-                      {savingsPercentage.toFixed(1)}%
+                    <div className="text-gray-600 text-sm">{cloudCosts ? 'Self-managed Savings %' : 'Savings %'}</div>
+                    <div className={`text-2xl font-bold ${!costs ? 'text-gray-400' : costs.savingsPercentage >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                      {costs ? `${costs.savingsPercentage.toFixed(1)}%` : 'Invalid'}
                     </div>
                   </div>
+                  {cloudCosts && (
+                    <div className="bg-white p-3 rounded shadow">
+                      <div className="text-gray-600 text-sm">TiDB Cloud Savings</div>
+                      <div className={`text-2xl font-bold ${cloudCosts.monthlySavings >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        ${cloudCosts.monthlySavings.toFixed(2)}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-1">{cloudCosts.savingsPercentage.toFixed(1)}% of {source.label}</div>
+                    </div>
+                  )}
                 </div>
-              </div>
-              
-              {/* Cost Breakdown */}
-              <div className="bg-yellow-50 p-4 rounded">
-                <h3 className="font-medium mb-3">TiDB Monthly Cost Breakdown</h3>
-                <div className="h-64 chart-container">
-                  <ResponsiveContainer width="100%" height="100%">
-                    <BarChart data={comparisonData.costBreakdown}>
-                      <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="name" />
-                      <YAxis tickFormatter={formatCurrency} />
-                      <Tooltip formatter={formatCurrency} />
-                      <Bar dataKey="value" fill="#4f46e5" />
-                    </BarChart>
-                  </ResponsiveContainer>
+                <div className="mt-3 text-sm text-gray-600 text-center">
+                  {!projection
+                    ? 'Fix the highlighted inputs to see costs and break-even'
+                    : projection.breakEvenMonth !== null
+                      ? `Break-even in month ${projection.breakEvenMonth} including the one-time migration cost (${projectionMonths}-month projection)`
+                      : `No break-even within ${projectionMonths} months including the one-time migration cost`}
                 </div>
               </div>
+              
+              {costs && (
+                <>
+                  {/* Cost Breakdown */}
+                  <div className="bg-yellow-50 p-4 rounded">
+                    <h3 className="font-medium mb-3">TiDB Monthly Cost Breakdown</h3>
+                    <div className="h-64 chart-container">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={costs.breakdown}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="name" />
+                          <YAxis tickFormatter={formatCurrency} />
+                          <Tooltip formatter={formatCurrency} />
+                          <Bar dataKey="value" fill="#4f46e5" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                    {!costs.labor.included && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        Labor lines are shown in every breakdown but left out of the monthly totals, savings and payback;
+                        turn on "Include labor in totals" under Operations Labor to count them.
+                      </p>
+                    )}
+                  </div>
+              
+                  {/* TiDB Cloud Cost Breakdown */}
+                  {cloudCosts && (
+                    <div className="bg-purple-50 p-4 rounded mt-6">
+                      <h3 className="font-medium mb-3">{cloudCosts.label} Monthly Cost Breakdown</h3>
+                      <div className="h-64 chart-container">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={cloudCosts.breakdown}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" />
+                            <YAxis tickFormatter={formatCurrency} />
+                            <Tooltip formatter={formatCurrency} />
+                            <Bar dataKey="value" fill="#7c3aed" />
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                      {cloudCosts.tiers && (
+                        <div className="overflow-hidden shadow rounded-lg mt-4">
+                          <table className="min-w-full bg-white">
+                            <thead className="bg-indigo-100">
+                              <tr>
+                                <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Tier</th>
+                                <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Node Size</th>
+                                <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Nodes</th>
+                                <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Storage per Node (GB)</th>
+                                <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Monthly</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                              {cloudCosts.tiers.map((tier, index) => (
+                                <tr key={tier.tier} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                                  <td className="py-2 px-3 text-sm">{tier.label}</td>
+                                  <td className="py-2 px-3 text-sm">{tier.nodeSize}</td>
+                                  <td className="py-2 px-3 text-sm text-right">{tier.nodes}</td>
+                                  <td className="py-2 px-3 text-sm text-right">{tier.tier === 'tidb' ? '—' : tier.storagePerNodeGB}</td>
+                                  <td className="py-2 px-3 text-sm text-right">{formatCurrency(tier.nodeCost + tier.storageCost)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </div>
+                  )}
+              
+                  {/* Source Database Cost Breakdown */}
+                  <div className="bg-blue-50 p-4 rounded mt-6">
+                    <h3 className="font-medium mb-3">{source.label} Monthly Cost Breakdown</h3>
+                    <div className="h-64 chart-container">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={costs.postgres.breakdown}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="name" />
+                          <YAxis tickFormatter={formatCurrency} />
+                          <Tooltip formatter={formatCurrency} />
+                          <Bar dataKey="value" fill="#2563eb" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+              
+                  {/* Effective discount per role */}
+                  <div className="overflow-hidden shadow rounded-lg mt-6">
+                    <table className="min-w-full bg-white">
+                      <thead className="bg-indigo-100">
+                        <tr>
+                          <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Role</th>
+                          <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Purchasing</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">On-Demand</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Effective Monthly</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Discount</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Upfront</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {[...costs.computeLines.map(line => ({ key: line.key, label: line.name })), { key: 'postgres', label: source.label }].map((role, index) => {
+                          const pricing = role.key === 'postgres' ? costs.purchasing.postgres : costs.purchasing.roles[role.key];
+                          return (
+                            <tr key={role.key} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                              <td className="py-2 px-3 text-sm text-gray-700">{role.label}</td>
+                              <td className="py-2 px-3 text-sm text-gray-700">{pricing.label}</td>
+                              <td className="py-2 px-3 text-sm text-right text-gray-700">${pricing.onDemand.toFixed(2)}</td>
+                              <td className="py-2 px-3 text-sm text-right text-green-700">${pricing.monthly.toFixed(2)}</td>
+                              <td className="py-2 px-3 text-sm text-right text-gray-700">{(pricing.discount * 100).toFixed(1)}%</td>
+                              <td className="py-2 px-3 text-sm text-right text-gray-700">${pricing.upfront.toFixed(2)}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    Upfront payments are amortized over the term in the monthly figures.
+                    TiDB upfront total: ${costs.purchasing.upfrontTotal.toFixed(2)}
+                  </p>
+                </>
+              )}
             </div>
           )}
           
           {/* Impact Analysis Tab */}
           {activeTab === 'visualizations' && (
             <div className="bg-white p-6 rounded shadow">
-              <h2 className="text-xl font-semibold mb-4">PostgreSQL Instance Type Impact Analysis</h2>
-              <p className="mb-4 text-sm">This visualization shows how different PostgreSQL instance types affect TiDB resources and costs.</p>
+              <h2 className="text-xl font-semibold mb-1">{source.label} Instance Type Impact Analysis</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel}</p>
+              <p className="mb-4 text-sm">This visualization shows how different {source.label} instance types affect TiDB resources and costs.</p>
               
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
                 {/* Chart for Instance Type Impact on TiDB Nodes */}
                 <div className="bg-indigo-50 p-4 rounded shadow">
-                  <h3 className="text-lg font-medium mb-3">TiDB Nodes by PostgreSQL Instance</h3>
+                  <h3 className="text-lg font-medium mb-3">TiDB Nodes by {source.label} Instance</h3>
                   <div className="h-64 chart-container">
                     <ResponsiveContainer width="100%" height="100%">
                       <BarChart data={instanceTypeImpactData}>
@@ -816,7 +2768,7 @@
                 
                 {/* Chart for Instance Type Impact on TiDB Cost */}
                 <div className="bg-indigo-50 p-4 rounded shadow">
-                  <h3 className="text-lg font-medium mb-3">TiDB Compute Cost by PostgreSQL Type</h3>
+                  <h3 className="text-lg font-medium mb-3">TiDB Compute Cost by {source.label} Type</h3>
                   <div className="h-64 chart-container">
                     <ResponsiveContainer width="100%" height="100%">
                       <BarChart data={instanceTypeImpactData}>
@@ -835,7 +2787,7 @@
                 <table className="min-w-full bg-white">
                   <thead className="bg-indigo-100">
                     <tr>
-                      <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">PostgreSQL Instance</th>
+                      <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">{source.label} Instance</th>
                       <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">vCPU</th>
                       <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Memory (GB)</th>
                       <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Recommended TiDB Instance</th>
@@ -859,92 +2811,646 @@
               <div className="bg-blue-100 p-4 rounded">
                 <h3 className="font-medium mb-2">Key Insights</h3>
                 <ul className="list-disc pl-5 space-y-1 text-sm">
-                  <li>Higher vCPU PostgreSQL instances lead to more TiDB nodes</li>
-                  <li>Memory-optimized PostgreSQL instances trigger recommendations for memory-optimized TiDB instances</li>
-                  <li>Instances with ≥64GB memory use r5.2xlarge for TiDB nodes</li>
-                  <li>Instances with ≥128GB memory use r5.4xlarge for TiDB nodes</li>
+                  <li>Higher vCPU source instances lead to more TiDB nodes</li>
+                  <li>Memory-optimized source instances trigger recommendations for memory-optimized TiDB instances</li>
+                  {provider.recommendedInstances.tidbByMemory.map(([minMemory, type]) => (
+                    <li key={type}>
+                      {minMemory > 0 ? `Instances with ≥${minMemory}GB memory use ${type}` : `Smaller instances use ${type}`} for TiDB nodes
+                    </li>
+                  ))}
                 </ul>
               </div>
             </div>
           )}
           
-          {/* Instance Comparison Tab */}
+          {/* Scenario Comparison Tab */}
           {activeTab === 'comparison' && (
             <div className="bg-white p-6 rounded shadow">
-              <h2 className="text-xl font-semibold mb-4">PostgreSQL vs. TiDB Configuration Comparison</h2>
+              <h2 className="text-xl font-semibold mb-1">Scenario Comparison</h2>
+              <p className="text-xs text-gray-500 mb-4">Each scenario is priced with its own catalog (shown below)</p>
               
-              <div className="overflow-hidden shadow rounded-lg mb-6">
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <h3 className="font-medium mb-2">Pick {MIN_SCENARIOS} to {MAX_SCENARIOS} scenarios</h3>
+                <div className="flex flex-wrap gap-4">
+                  {[{ id: 'current', name: 'Current inputs' }, ...savedScenarios].map(scenario => (
+                    <label key={scenario.id} className="flex items-center text-sm">
+                      <input
+                        type="checkbox"
+                        checked={comparisonIds.includes(scenario.id)}
+                        onChange={() => toggleComparison(scenario.id)}
+                        disabled={!comparisonIds.includes(scenario.id) && comparisonIds.length >= MAX_SCENARIOS}
+                        className="mr-2"
+                      />
+                      {scenario.name}
+                    </label>
+                  ))}
+                </div>
+                {savedScenarios.length === 0 && (
+                  <p className="text-sm text-gray-500 mt-2">Save scenarios on the Scenarios tab to compare them here.</p>
+                )}
+                {invalidComparisonNames.length > 0 && (
+                  <p className="text-sm text-red-700 mt-2">
+                    Left out because their inputs are invalid: {invalidComparisonNames.join(', ')}
+                  </p>
+                )}
+              </div>
+              
+              {!comparison ? (
+                <div className="bg-gray-50 p-6 rounded shadow text-center">
+                  <p>Select at least {MIN_SCENARIOS} scenarios to compare.</p>
+                </div>
+              ) : (
+                <div>
+                  {[['Topology', comparison.topology], ['Monthly Cost Breakdown', comparison.costs], ['Savings and Payback', comparison.summary]].map(([title, rows]) => (
+                    <div key={title} className="overflow-hidden shadow rounded-lg mb-6">
+                      <table className="min-w-full bg-white">
+                        <thead className="bg-indigo-100">
+                          <tr>
+                            <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">{title}</th>
+                            {comparison.names.map((name, i) => (
+                              <th key={i} className="py-2 px-3 text-right text-sm font-medium text-gray-600">{name}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {rows.map(row => (
+                            <tr key={row.label} className={row.differs ? 'bg-yellow-50' : 'bg-white'}>
+                              <td className="py-2 px-3 text-sm text-gray-700">{row.label}</td>
+                              {row.values.map((value, i) => (
+                                <td key={i} className={`py-2 px-3 text-sm text-right ${row.best === i ? 'text-green-700 font-bold' : 'text-gray-700'}`}>
+                                  {formatComparisonValue(row, value)}
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500 mb-6">Highlighted rows differ between scenarios; the best value in each row is in bold green.</p>
+                  
+                  <div className="bg-indigo-50 p-4 rounded shadow">
+                    <h3 className="text-lg font-medium mb-3">Monthly Cost by Category</h3>
+                    <div className="h-64 chart-container">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={comparison.chartData}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="name" />
+                          <YAxis tickFormatter={formatCurrency} />
+                          <Tooltip formatter={formatCurrency} />
+                          <Legend />
+                          {comparison.names.map((name, i) => (
+                            <Bar key={i} dataKey={`s${i}`} name={name} fill={scenarioColors[i]} />
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+          
+          {/* TCO Projection Tab */}
+          {/* Projection, sensitivity, uncertainty and deployment need a sizing result */}
+          {!sizing && ['projection', 'sensitivity', 'uncertainty', 'deployment'].includes(activeTab) && (
+            <div className="bg-white p-6 rounded shadow text-center">
+              <p className="text-red-700">Results are blocked by invalid inputs. Fix the fields highlighted on the Calculator tab.</p>
+            </div>
+          )}
+          
+          {activeTab === 'projection' && projectionError && (
+            <div className="bg-white p-6 rounded shadow text-center">
+              <p className="text-red-700">The projection could not be computed: {projectionError}</p>
+            </div>
+          )}
+          
+          {activeTab === 'projection' && projection && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Multi-Year TCO Projection</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel} · {assumptionsLabel}</p>
+              <p className="mb-4 text-sm">
+                Data grows {workload.dataGrowthRate}% per month. Both sides are re-sized each month as the data grows:
+                TiKV/TiFlash nodes are added as storage crosses the usage threshold, and the {source.label} instance is
+                upsized each time its data doubles. TiDB starts with the one-time migration cost.
+              </p>
+              {projection.stoppedAt && (
+                <p className="mb-4 p-3 rounded text-sm bg-yellow-50 text-yellow-800">
+                  {projection.stoppedAt.message} Totals and break-even cover months 1–{projection.stoppedAt.month - 1}.
+                </p>
+              )}
+              
+              <div className="flex items-center gap-2 mb-4">
+                <label className="text-sm font-medium">Horizon</label>
+                {projectionHorizons.map(months => (
+                  <button
+                    key={months}
+                    className={`py-1 px-3 rounded border text-sm ${projectionMonths === months ? 'bg-blue-600 text-white' : 'bg-white text-gray-700'}`}
+                    onClick={() => setProjectionMonths(months)}>
+                    {months} months
+                  </button>
+                ))}
+              </div>
+              
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center mb-6">
+                <div className="bg-gray-50 p-3 rounded shadow">
+                  <div className="text-gray-600 text-sm">{source.label} Total</div>
+                  <div className="text-xl font-bold text-blue-700">${projection.totalPostgres.toFixed(0)}</div>
+                </div>
+                <div className="bg-gray-50 p-3 rounded shadow">
+                  <div className="text-gray-600 text-sm">TiDB Total</div>
+                  <div className="text-xl font-bold text-green-700">${projection.totalTidb.toFixed(0)}</div>
+                </div>
+                <div className="bg-gray-50 p-3 rounded shadow">
+                  <div className="text-gray-600 text-sm">Net Savings</div>
+                  <div className={`text-xl font-bold ${projection.netSavings >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    ${projection.netSavings.toFixed(0)}
+                  </div>
+                </div>
+                <div className="bg-gray-50 p-3 rounded shadow">
+                  <div className="text-gray-600 text-sm">Break-even</div>
+                  <div className="text-xl font-bold">
+                    {projection.breakEvenMonth !== null ? `Month ${projection.breakEvenMonth}` : 'Not reached'}
+                  </div>
+                </div>
+              </div>
+              
+              <div className="bg-indigo-50 p-4 rounded shadow mb-6">
+                <h3 className="text-lg font-medium mb-3">Cumulative Cost</h3>
+                <div className="h-64 chart-container">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={projection.months}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="month" />
+                      <YAxis tickFormatter={formatCurrency} />
+                      <Tooltip formatter={formatCurrency} labelFormatter={(month) => `Month ${month}`} />
+                      <Legend />
+                      <Line type="monotone" dataKey="cumulativePostgres" stroke="#1d4ed8" name={source.label} dot={false} />
+                      <Line type="monotone" dataKey="cumulativeTidb" stroke="#10b981" name="TiDB" dot={false} />
+                      {projection.breakEvenMonth !== null && (
+                        <ReferenceLine x={projection.breakEvenMonth} stroke="#b91c1c" strokeDasharray="4 4" label="Break-even" />
+                      )}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+              
+              <div className="overflow-hidden shadow rounded-lg">
                 <table className="min-w-full bg-white">
                   <thead className="bg-indigo-100">
                     <tr>
-                      <th className="py-3 px-4 text-left text-sm font-medium text-gray-600">PostgreSQL Config</th>
-                      <th className="py-3 px-4 text-right text-sm font-medium text-gray-600">vCPU</th>
-                      <th className="py-3 px-4 text-right text-sm font-medium text-gray-600">Memory (GB)</th>
-                      <th className="py-3 px-4 text-right text-sm font-medium text-gray-600">Monthly Cost</th>
-                      <th className="py-3 px-4 text-right text-sm font-medium text-gray-600">TiDB Monthly Cost</th>
-                      <th className="py-3 px-4 text-right text-sm font-medium text-gray-600">Savings %</th>
+                      <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Month</th>
+                      <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Side</th>
+                      <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Scaling Event</th>
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {comparisonConfigs.map((config, index) => (
+                    {projection.events.length === 0 ? (
+                      <tr>
+                        <td colSpan="3" className="py-2 px-3 text-sm text-gray-500 text-center">No re-sizing within the horizon</td>
+                      </tr>
+                    ) : projection.events.map((event, index) => (
                       <tr key={index} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
-                        <td className="py-3 px-4 text-sm text-gray-700">
-                          <div className="font-medium">{config.name}</div>
-                          <div className="text-xs text-gray-500">{config.instanceType} x2</div>
-                        </td>
-                        <td className="py-3 px-4 text-sm text-right text-gray-700">{config.cpu * 2}</td>
-                        <td className="py-3 px-4 text-sm text-right text-gray-700">{config.memory * 2}</td>
-                        <td className="py-3 px-4 text-sm text-right text-blue-700 font-medium">${config.monthlyCost.toFixed(2)}</td>
-                        <td className="py-3 px-4 text-sm text-right text-green-700 font-medium">${config.tidb.monthlyCost.toFixed(2)}</td>
-                        <td className="py-3 px-4 text-sm text-right font-medium"
-                            style={{ color: config.tidb.savingsPercentage >= 0 ? '#047857' : '#b91c1c' }}>
-                          {config.tidb.savingsPercentage.toFixed(1)}%
-                        </td>
+                        <td className="py-2 px-3 text-sm text-gray-700">{event.month}</td>
+                        <td className="py-2 px-3 text-sm text-gray-700">{event.side}</td>
+                        <td className="py-2 px-3 text-sm text-gray-700">{event.change}</td>
                       </tr>
                     ))}
                   </tbody>
                 </table>
               </div>
+            </div>
+          )}
+          
+          {/* Migration Plan Tab */}
+          {activeTab === 'migration' && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Migration Plan</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel} · {assumptionsLabel}</p>
+              <p className="mb-4 text-sm">
+                Phase estimates for moving the data set onto the sized cluster. The initial load runs at the slower of the
+                {source.engine} export and the TiDB Lightning import (which scales with TiKV nodes). TiDB is billed from the load
+                until cutover and {source.label} through the rollback window; both, with engineering time, make up the one-time
+                cost used for break-even and payback.
+              </p>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-                {comparisonConfigs.map((config, index) => (
-                  <div key={index} className="p-4 border rounded shadow-sm">
-                    <div className="text-lg font-medium mb-2">{config.name}</div>
-                    <div className="text-sm mb-4">PostgreSQL: {config.instanceType} x2</div>
-                    <div className="space-y-2">
-                      <div className="flex justify-between">
-                        <span className="text-sm text-gray-600">TiDB Nodes:</span>
-                        <span className="text-sm font-medium">{config.tidb.tidbNodes}</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span className="text-sm text-gray-600">Instance Type:</span>
-                        <span className="text-sm font-medium">{config.tidb.instanceType}</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span className="text-sm text-gray-600">Monthly Cost:</span>
-                        <span className="text-sm font-medium">${config.tidb.monthlyCost.toFixed(2)}</span>
-                      </div>
-                      <div className="flex justify-between">
-                        <span className="text-sm text-gray-600">Savings:</span>
-                        <span className="text-sm font-medium" style={{ color: config.tidb.savings >= 0 ? '#047857' : '#b91c1c' }}>
-                          ${config.tidb.savings.toFixed(2)} ({config.tidb.savingsPercentage.toFixed(1)}%)
-                        </span>
-                      </div>
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  {migrationFields.map(field => (
+                    <div key={field.key}>
+                      <label className="block text-sm font-medium mb-2">{field.label}</label>
+                      <input
+                        type="number"
+                        name={field.key}
+                        value={migration[field.key]}
+                        onChange={handleMigrationChange}
+                        className="w-full p-2 border rounded"
+                        min="0"
+                        step={field.step}
+                      />
+                      <FieldError message={fieldErrors[`migration.${field.key}`]} />
+                    </div>
+                  ))}
+                </div>
+              </div>
+              
+              {!costs ? (
+                <p className="text-center text-red-700">Results are blocked by invalid inputs. Fix the highlighted fields.</p>
+              ) : (
+                <div>
+                  <p className="text-sm text-gray-600 mb-3">
+                    Initial load: {postgres.storageGB} GB at {costs.migration.throughputGBPerHour} GB/h
+                    ({topology.tikvNodes} TiKV nodes) takes about {costs.migration.loadHours.toFixed(1)} hours.
+                    Cutover on day {costs.migration.cutoverDay}; the project ends on day {costs.migration.durationDays}.
+                  </p>
+                  
+                  <div className="bg-gray-50 p-4 rounded shadow mb-6">
+                    <h3 className="font-medium mb-3">Timeline (days)</h3>
+                    <div className="h-64 chart-container">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart
+                          layout="vertical"
+                          data={costs.migration.phases.map(phase => ({
+                            name: phase.label,
+                            start: phase.startDay,
+                            days: phase.days
+                          }))}
+                        >
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis type="number" domain={[0, 'dataMax']} />
+                          <YAxis type="category" dataKey="name" width={210} tick={{ fontSize: 11 }} />
+                          <Tooltip formatter={(value, name) => name === 'Starts' ? `day ${value}` : `${value} days`} />
+                          <ReferenceLine x={costs.migration.cutoverDay} stroke="#dc2626" label="Cutover" />
+                          <Bar dataKey="start" name="Starts" stackId="timeline" fill="transparent" />
+                          <Bar dataKey="days" name="Duration" stackId="timeline" fill="#4f46e5" />
+                        </BarChart>
+                      </ResponsiveContainer>
                     </div>
                   </div>
-                ))}
+                  
+                  <div className="overflow-hidden shadow rounded-lg">
+                    <table className="min-w-full bg-white">
+                      <thead className="bg-indigo-100">
+                        <tr>
+                          <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">One-time Cost</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Amount</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {[
+                          ['Engineering (through cutover)', costs.migration.costs.labor],
+                          ['Replication instance', costs.migration.costs.replication],
+                          ['Dual running: TiDB before cutover', costs.migration.costs.dualRunTidb],
+                          [`Dual running: ${source.label} rollback window`, costs.migration.costs.dualRunPostgres],
+                          ['Other one-time costs', costs.migration.costs.additional]
+                        ].map(([label, value], index) => (
+                          <tr key={label} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                            <td className="py-2 px-3 text-sm text-gray-700">{label}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{formatCurrency(value)}</td>
+                          </tr>
+                        ))}
+                        <tr className="bg-indigo-50">
+                          <td className="py-2 px-3 text-sm font-medium">Total</td>
+                          <td className="py-2 px-3 text-sm text-right font-medium">{formatCurrency(costs.oneTimeCosts)}</td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+          
+          {/* Sensitivity Analysis Tab */}
+          {activeTab === 'sensitivity' && sizing && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Sensitivity Analysis</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel} · {assumptionsLabel}</p>
+              <p className="mb-4 text-sm">
+                Each input and sizing assumption is moved down and up by the percentage below, one at a time, and the
+                cluster is re-sized and re-priced. Bars show the change from the current result; the widest bars are the
+                inputs worth pinning down first.
+              </p>
+              
+              <div className="flex items-center gap-2 mb-4">
+                <label className="text-sm font-medium">Perturbation (±%)</label>
+                <input
+                  type="number"
+                  value={sensitivityPercent}
+                  onChange={(e) => setSensitivityPercent(Number(e.target.value))}
+                  className="w-24 p-1 border rounded"
+                  min={sensitivityPercentRange.min}
+                  max={sensitivityPercentRange.max}
+                />
+                {!sensitivityPercentValid && (
+                  <span className="text-xs text-red-600">
+                    Must be between {sensitivityPercentRange.min} and {sensitivityPercentRange.max}.
+                  </span>
+                )}
+              </div>
+              
+              {sensitivity && (
+                <div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                    {[
+                      ['TiDB Monthly Cost', 'totalMonthlyCost', 'costSwing'],
+                      ['Monthly Savings', 'monthlySavings', 'savingsSwing']
+                    ].map(([title, field, swingField]) => (
+                      <div key={field} className="bg-gray-50 p-4 rounded shadow">
+                        <h3 className="font-medium mb-1">{title}</h3>
+                        <p className="text-xs text-gray-500 mb-3">Current: {formatCurrency(sensitivity.base[field])}</p>
+                        <div className="h-96 chart-container">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart
+                              layout="vertical"
+                              stackOffset="sign"
+                              data={[...sensitivity.rows]
+                                .sort((a, b) => b[swingField] - a[swingField])
+                                .map(row => ({
+                                  name: row.label,
+                                  low: row.low[field] - sensitivity.base[field],
+                                  high: row.high[field] - sensitivity.base[field]
+                                }))}
+                            >
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis type="number" tickFormatter={formatCurrency} />
+                              <YAxis type="category" dataKey="name" width={170} tick={{ fontSize: 11 }} />
+                              <Tooltip formatter={formatCurrency} />
+                              <Legend />
+                              <ReferenceLine x={0} stroke="#374151" />
+                              <Bar dataKey="low" name={`−${sensitivity.percent}%`} stackId="swing" fill="#f59e0b" />
+                              <Bar dataKey="high" name={`+${sensitivity.percent}%`} stackId="swing" fill="#4f46e5" />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  
+                  <div className="overflow-hidden shadow rounded-lg">
+                    <table className="min-w-full bg-white">
+                      <thead className="bg-indigo-100">
+                        <tr>
+                          <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Input</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">−{sensitivity.percent}%</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">+{sensitivity.percent}%</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">TiDB Monthly Range</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Savings Range</th>
+                          {sensitivityTiers.map(tier => (
+                            <th key={tier.id} className="py-2 px-3 text-center text-sm font-medium text-gray-600">{tier.label}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {sensitivity.rows.map((row, index) => (
+                          <tr key={row.id} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                            <td className="py-2 px-3 text-sm text-gray-700">{row.label}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{row.low.value}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{row.high.value}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">
+                              {formatCurrency(row.low.totalMonthlyCost)} – {formatCurrency(row.high.totalMonthlyCost)}
+                            </td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">
+                              {formatCurrency(row.low.monthlySavings)} – {formatCurrency(row.high.monthlySavings)}
+                            </td>
+                            {sensitivityTiers.map(tier => (
+                              <td key={tier.id} className="py-2 px-3 text-sm text-center">
+                                {row.tiers[tier.id] ? <span className="text-indigo-700 font-medium">●</span> : <span className="text-gray-300">—</span>}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    ● marks the tiers whose node count or cost changes when the input moves.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+          
+          {/* Monte Carlo Uncertainty Tab */}
+          {activeTab === 'uncertainty' && sizing && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Uncertainty Ranges</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel} · {assumptionsLabel}</p>
+              <p className="mb-4 text-sm">
+                Give the inputs you are unsure of a distribution, then run the simulation: each iteration draws every
+                distribution, re-sizes and re-prices the cluster. Draws come from the seed, so the same seed, iterations
+                and distributions always reproduce the same ranges. Settings are saved with the scenario.
+              </p>
+              
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Seed</label>
+                    <input
+                      type="number"
+                      name="seed"
+                      value={uncertainty.seed}
+                      onChange={handleUncertaintyChange}
+                      className="w-full p-2 border rounded"
+                      min={uncertaintyRanges.seed.min}
+                      max={uncertaintyRanges.seed.max}
+                    />
+                    <FieldError message={uncertaintyValidation.fieldErrors.seed} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium mb-2">Iterations</label>
+                    <input
+                      type="number"
+                      name="iterations"
+                      value={uncertainty.iterations}
+                      onChange={handleUncertaintyChange}
+                      className="w-full p-2 border rounded"
+                      min={uncertaintyRanges.iterations.min}
+                      max={uncertaintyRanges.iterations.max}
+                      step="50"
+                    />
+                    <FieldError message={uncertaintyValidation.fieldErrors.iterations} />
+                  </div>
+                  <div className="flex items-end">
+                    <button
+                      onClick={handleRunMonteCarlo}
+                      disabled={!uncertaintyValidation.valid}
+                      className={`w-full py-2 px-4 rounded font-medium ${uncertaintyValidation.valid ? 'bg-blue-600 text-white' : 'bg-gray-300 text-gray-500'}`}>
+                      Run Simulation
+                    </button>
+                  </div>
+                </div>
+                
+                <div className="overflow-hidden shadow rounded-lg">
+                  <table className="min-w-full bg-white">
+                    <thead className="bg-indigo-100">
+                      <tr>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Vary</th>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Input</th>
+                        <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Current</th>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Distribution</th>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Parameters</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {sensitivityParameters.map((parameter, index) => {
+                        const distribution = uncertainty.distributions[parameter.id];
+                        const fields = distribution && distribution.type === 'normal'
+                          ? [['mean', 'Mean'], ['sd', 'SD']]
+                          : [['min', 'Min'], ['likely', 'Likely'], ['max', 'Max']];
+                        return (
+                          <tr key={parameter.id} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                            <td className="py-2 px-3 text-sm">
+                              <input type="checkbox" checked={!!distribution} onChange={() => toggleDistribution(parameter)} />
+                            </td>
+                            <td className="py-2 px-3 text-sm text-gray-700">
+                              {parameter.label}
+                              {parameter.multiplier && <span className="text-xs text-gray-500"> (multiplier)</span>}
+                            </td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{parameter.get(sizingInputs)}</td>
+                            <td className="py-2 px-3 text-sm">
+                              {distribution && (
+                                <select
+                                  value={distribution.type}
+                                  onChange={(e) => changeDistributionType(parameter, e.target.value)}
+                                  className="p-1 border rounded">
+                                  {distributionTypes.map(type => (
+                                    <option key={type.id} value={type.id}>{type.label}</option>
+                                  ))}
+                                </select>
+                              )}
+                            </td>
+                            <td className="py-2 px-3 text-sm">
+                              {distribution && (
+                                <>
+                                  <div className="flex gap-2">
+                                    {fields.map(([name, label]) => (
+                                      <label key={name} className="text-xs text-gray-600">
+                                        {label}
+                                        <input
+                                          type="number"
+                                          name={name}
+                                          value={distribution[name]}
+                                          onChange={(e) => handleDistributionChange(parameter, e)}
+                                          className="w-24 p-1 border rounded block"
+                                        />
+                                      </label>
+                                    ))}
+                                  </div>
+                                  <FieldError message={uncertaintyValidation.fieldErrors[`distributions.${parameter.id}`]} />
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Draws outside an input's valid range are clamped to it; price multipliers scale every price in the catalog table.
+                </p>
               </div>
+              
+              {monteCarlo.error && <p className="text-sm text-red-700 mb-4">{monteCarlo.error}</p>}
+              {monteCarloStale && (
+                <p className="text-sm text-yellow-700 mb-4">Inputs or settings changed since the last run. Run the simulation again.</p>
+              )}
+              
+              {monteCarloResult && (
+                <div>
+                  <p className="text-sm text-gray-600 mb-3">
+                    {monteCarloResult.iterations} iterations with seed {monteCarloResult.seed}, varying{' '}
+                    {monteCarloResult.parameters.length > 0
+                      ? monteCarloResult.parameters.map(parameter => parameter.label).join(', ')
+                      : 'nothing (every iteration matches the point estimate)'}.
+                  </p>
+                  <div className="overflow-hidden shadow rounded-lg mb-6">
+                    <table className="min-w-full bg-white">
+                      <thead className="bg-indigo-100">
+                        <tr>
+                          <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Result</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Point Estimate</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">P10</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">P50</th>
+                          <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">P90</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {[
+                          ['TiDB Monthly Cost', monteCarloResult.totalMonthlyCost, formatCurrency(costs.totalMonthlyCost), formatCurrency],
+                          ['Monthly Savings', monteCarloResult.monthlySavings, formatCurrency(costs.monthlySavings), formatCurrency],
+                          [
+                            'Payback',
+                            monteCarloResult.paybackMonths,
+                            formatMonths(costs.monthlySavings > 0 ? costs.oneTimeCosts / costs.monthlySavings : null),
+                            formatMonths
+                          ]
+                        ].map(([label, range, point, format], index) => (
+                          <tr key={label} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                            <td className="py-2 px-3 text-sm text-gray-700">{label}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{point}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{format(range.p10)}</td>
+                            <td className="py-2 px-3 text-sm text-right font-medium">{format(range.p50)}</td>
+                            <td className="py-2 px-3 text-sm text-right text-gray-700">{format(range.p90)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {monteCarloResult.paybackMonths.neverPaysBackShare > 0 && (
+                    <p className="text-xs text-gray-500 -mt-4 mb-6">
+                      {(monteCarloResult.paybackMonths.neverPaysBackShare * 100).toFixed(0)}% of iterations have no monthly
+                      savings and never pay back the one-time migration cost.
+                    </p>
+                  )}
+                  
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    {[
+                      ['TiDB Monthly Cost', monteCarloResult.totalMonthlyCost, formatCurrency, '#4f46e5'],
+                      ['Monthly Savings', monteCarloResult.monthlySavings, formatCurrency, '#10b981'],
+                      ['Payback (months)', monteCarloResult.paybackMonths, (value) => value.toFixed(1), '#f59e0b']
+                    ].map(([title, range, format, color]) => (
+                      <div key={title} className="bg-gray-50 p-4 rounded shadow">
+                        <h3 className="font-medium mb-3">{title}</h3>
+                        {range.histogram.length === 0 ? (
+                          <p className="text-sm text-gray-500">No iteration pays back.</p>
+                        ) : (
+                          <div className="h-64 chart-container">
+                            <ResponsiveContainer width="100%" height="100%">
+                              <BarChart
+                                data={range.histogram.map(bin => ({
+                                  name: format((bin.from + bin.to) / 2),
+                                  range: `${format(bin.from)} – ${format(bin.to)}`,
+                                  count: bin.count
+                                }))}
+                              >
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+                                <YAxis allowDecimals={false} />
+                                <Tooltip labelFormatter={(label, payload) => payload && payload[0] ? payload[0].payload.range : label} />
+                                <Bar dataKey="count" name="Iterations" fill={color} />
+                              </BarChart>
+                            </ResponsiveContainer>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           )}
           
           {/* Change History Tab */}
           {activeTab === 'history' && (
             <div className="bg-white p-6 rounded shadow">
-              <h2 className="text-xl font-semibold mb-4">Configuration Change History</h2>
+              <h2 className="text-xl font-semibold mb-1">Configuration Change History</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel}</p>
               
               {comparisonData.history.length === 0 ? (
                 <div className="bg-gray-50 p-6 rounded shadow text-center">
-                  <p>No changes recorded yet. Try changing the PostgreSQL instance type to see the impact.</p>
+                  <p>No changes recorded yet. Try changing the source instance type to see the impact.</p>
                 </div>
               ) : (
                 <div className="space-y-4">
@@ -952,7 +3458,7 @@
                     <div key={index} className="bg-indigo-50 p-4 rounded shadow">
                       <div className="flex justify-between items-center mb-3">
                         <h3 className="text-lg font-medium">Change #{change.id + 1}</h3>
-                        <span className="text-sm text-gray-500">PostgreSQL Instance Type Change</span>
+                        <span className="text-sm text-gray-500">Source Instance Type Change</span>
                       </div>
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-3">
                         <div>
@@ -999,6 +3505,177 @@
               )}
             </div>
           )}
+          
+          {/* Scenarios Tab */}
+          {activeTab === 'scenarios' && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Scenarios</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel}</p>
+              
+              {scenarioMessage && (
+                <div className="bg-blue-50 p-3 rounded mb-4 text-sm">{scenarioMessage}</div>
+              )}
+              
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div className="bg-gray-50 p-4 rounded">
+                  <h3 className="font-medium mb-3">Save Current Inputs</h3>
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={scenarioName}
+                      onChange={(e) => setScenarioName(e.target.value)}
+                      placeholder="Scenario name"
+                      className="flex-1 p-2 border rounded"
+                    />
+                    <button className="py-2 px-4 rounded bg-blue-600 text-white" onClick={handleSaveScenario}>
+                      Save
+                    </button>
+                  </div>
+                  <div className="flex gap-2 mt-3">
+                    <button
+                      className="py-1 px-3 rounded border text-sm"
+                      onClick={() => handleExportScenario({
+                        name: scenarioName.trim() || 'current-scenario',
+                        version: SCENARIO_FORMAT_VERSION,
+                        state: scenarioState
+                      })}>
+                      Export current as JSON
+                    </button>
+                    <label className="py-1 px-3 rounded border text-sm cursor-pointer">
+                      Import JSON
+                      <input type="file" accept="application/json,.json" onChange={handleImportScenario} className="hidden" />
+                    </label>
+                  </div>
+                </div>
+                
+                <div className="bg-gray-50 p-4 rounded">
+                  <h3 className="font-medium mb-3">Share</h3>
+                  <p className="text-sm mb-3">
+                    The address bar always holds the full calculator state. Anyone opening the link sees exactly this calculation.
+                  </p>
+                  <button className="py-1 px-3 rounded border text-sm" onClick={handleCopyLink}>
+                    Copy shareable link
+                  </button>
+                </div>
+              </div>
+              
+              {savedScenarios.length === 0 ? (
+                <div className="bg-gray-50 p-6 rounded shadow text-center">
+                  <p>No saved scenarios yet.</p>
+                </div>
+              ) : (
+                <div className="overflow-hidden shadow rounded-lg">
+                  <table className="min-w-full bg-white">
+                    <thead className="bg-indigo-100">
+                      <tr>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Name</th>
+                        <th className="py-2 px-3 text-left text-sm font-medium text-gray-600">Saved</th>
+                        <th className="py-2 px-3 text-right text-sm font-medium text-gray-600">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      {savedScenarios.map((scenario, index) => (
+                        <tr key={scenario.id} className={index % 2 === 0 ? 'bg-gray-50' : 'bg-white'}>
+                          <td className="py-2 px-3 text-sm text-gray-700">
+                            {renaming.id === scenario.id ? (
+                              <div className="flex gap-2">
+                                <input
+                                  type="text"
+                                  value={renaming.name}
+                                  onChange={(e) => setRenaming({ id: scenario.id, name: e.target.value })}
+                                  className="flex-1 p-1 border rounded"
+                                />
+                                <button className="py-1 px-2 rounded border text-xs" onClick={handleRenameScenario}>OK</button>
+                              </div>
+                            ) : scenario.name}
+                          </td>
+                          <td className="py-2 px-3 text-sm text-gray-500">{new Date(scenario.savedAt).toLocaleString()}</td>
+                          <td className="py-2 px-3 text-sm text-right space-x-2">
+                            <button className="text-blue-600" onClick={() => handleLoadScenario(scenario)}>Load</button>
+                            <button className="text-blue-600" onClick={() => setSavedScenarios(duplicateScenario(window.localStorage, scenario.id))}>Duplicate</button>
+                            <button className="text-blue-600" onClick={() => setRenaming({ id: scenario.id, name: scenario.name })}>Rename</button>
+                            <button className="text-blue-600" onClick={() => handleExportScenario(scenario)}>Export</button>
+                            <button className="text-red-600" onClick={() => setSavedScenarios(deleteScenario(window.localStorage, scenario.id))}>Delete</button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+          
+          {/* Export Deployment Tab */}
+          {activeTab === 'deployment' && deployment && (
+            <div className="bg-white p-6 rounded shadow">
+              <h2 className="text-xl font-semibold mb-1">Export Deployment</h2>
+              <p className="text-xs text-gray-500 mb-4">{catalogLabel}</p>
+              
+              {topology.deploymentMode === 'eks' ? (
+                <p className="text-sm text-gray-600 mb-4">
+                  TiDB Operator manifests and the {serviceNames.kubernetes} cluster definition for the current result: {topology.pdNodes} PD,{' '}
+                  {topology.tikvNodes} TiKV, {topology.tidbNodes} TiDB{topology.tiflashNodes > 0 ? `, ${topology.tiflashNodes} TiFlash` : ''}{' '}
+                  and 1 monitoring pod, packed onto {topology.k8sWorkerNodes} worker nodes in{' '}
+                  {topology.workers.groups.filter(group => group.nodeCount > 0).length} managed node group(s) spread over {topology.availabilityZones} availability zone(s).
+                </p>
+              ) : (
+                <p className="text-sm text-gray-600 mb-4">
+                  TiUP topology for the current result: {topology.pdNodes} PD, {topology.tikvNodes} TiKV,{' '}
+                  {topology.tidbNodes} TiDB{topology.tiflashNodes > 0 ? `, ${topology.tiflashNodes} TiFlash` : ''} and 1 monitoring host,
+                  spread over {topology.availabilityZones} availability zone(s). Replace the placeholder host names with your {serviceNames.compute} addresses.
+                </p>
+              )}
+              
+              <div className="bg-gray-50 p-4 rounded mb-6">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  {[
+                    ['clusterName', 'Cluster Name'],
+                    ['namespace', 'Namespace', true],
+                    ['tidbVersion', 'TiDB Version'],
+                    ['kubernetesVersion', 'Kubernetes Version', true]
+                  ].filter(([, , eksOnly]) => !eksOnly || topology.deploymentMode === 'eks').map(([name, label]) => (
+                    <div key={name}>
+                      <label className="block text-sm font-medium mb-2">{label}</label>
+                      <input
+                        type="text"
+                        name={name}
+                        value={deploymentOptions[name]}
+                        onChange={handleDeploymentOptionChange}
+                        className="w-full p-2 border rounded"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+              
+              {deploymentMessage && (
+                <div className="bg-blue-50 p-3 rounded mb-4 text-sm">{deploymentMessage}</div>
+              )}
+              {deployment.warnings.map((warning, i) => (
+                <div key={i} className="bg-yellow-50 p-3 rounded mb-4 text-sm">{warning.message}</div>
+              ))}
+              
+              {deployment.files.map(file => (
+                <div key={file.filename} className="mb-6">
+                  <div className="flex justify-between items-center mb-2">
+                    <h3 className="font-medium">{file.title} <span className="text-xs text-gray-500">{file.filename}</span></h3>
+                    <div className="flex gap-2">
+                      <button className="py-1 px-3 rounded border text-sm" onClick={() => handleCopyDeployment(file)}>
+                        Copy
+                      </button>
+                      <button
+                        className="py-1 px-3 rounded border text-sm"
+                        onClick={() => downloadFile(file.filename, file.content, file.mimeType)}>
+                        Download
+                      </button>
+                    </div>
+                  </div>
+                  <pre className="bg-gray-900 text-gray-100 text-xs p-4 rounded overflow-auto max-h-96">{file.content}</pre>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       );
     };
@@ -0,0 +1,126 @@
+// Sizing assumptions.
+// The rule-of-thumb constants the sizing engine derives node counts from, with the range each may
+// take and why it has its default. A scenario carries its own set (overridable field by field), and
+// three presets bracket the defaults: conservative sizes for more headroom, aggressive for less.
+// Exposes window.TiDBAssumptions in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBAssumptions = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Every assumption, in panel order
+  const assumptionFields = [
+    {
+      key: 'compressionRatio', label: 'Compression Ratio', min: 0.05, max: 1, step: 0.05,
+      rationale: 'TiKV data size per GB of source database data; RocksDB compression typically keeps 30-50%.'
+    },
+    {
+      key: 'storageUsageRatio', label: 'Max Storage Usage', min: 0.1, max: 1, step: 0.05,
+      rationale: 'Share of each TiKV/TiFlash disk to fill; PD throttles scheduling on stores above 80%.'
+    },
+    {
+      key: 'defaultNodeCapacity', label: 'Node Capacity (GB)', min: 100, max: 100000, step: 100,
+      rationale: 'Data per TiKV node; 4 TB is the recommended maximum on PCIe SSD for fast recovery.'
+    },
+    {
+      key: 'writesPerTikvNode', label: 'Writes/s per TiKV Node', min: 100, max: 1000000, step: 500,
+      rationale: 'Sustained write operations one TiKV node absorbs; Raft replication makes writes CPU-bound.'
+    },
+    {
+      key: 'readsPerTidbNode', label: 'Reads/s per TiDB Node', min: 100, max: 1000000, step: 500,
+      rationale: 'Point reads one TiDB server handles; all reads pass through the SQL layer.'
+    },
+    {
+      key: 'connectionsPerTidbNode', label: 'Connections per TiDB Node', min: 1, max: 100000, step: 50,
+      integer: true,
+      rationale: 'Concurrent client connections per TiDB server before memory and scheduling suffer.'
+    },
+    {
+      key: 'writeHeavyFactor5050', label: 'TiKV Factor at 50/50', min: 1, max: 10, step: 0.25,
+      rationale: 'Extra TiKV nodes for a 50/50 read/write mix, where compaction and Raft logging dominate.'
+    },
+    {
+      key: 'writeHeavyFactor3070', label: 'TiKV Factor at 30/70', min: 1, max: 10, step: 0.25,
+      rationale: 'Extra TiKV nodes for a write-dominated 30/70 mix.'
+    },
+    {
+      key: 'spikeFactorCap', label: 'Spike Factor Cap', min: 1, max: 10, step: 0.25,
+      rationale: 'TiDB nodes scale by half the peak ratio up to this cap; beyond it, scale out on demand instead.'
+    },
+    {
+      key: 'tiflashReplicas', label: 'TiFlash Replicas', min: 1, max: 5, step: 1, integer: true,
+      rationale: 'Columnar copies per analytic table; 2 keeps analytics available through a node loss.'
+    }
+  ];
+
+  // Presets; typical holds the long-standing defaults
+  const assumptionPresets = [
+    {
+      id: 'conservative',
+      label: 'Conservative',
+      values: {
+        compressionRatio: 0.5,
+        storageUsageRatio: 0.7,
+        defaultNodeCapacity: 3000,
+        writesPerTikvNode: 4000,
+        readsPerTidbNode: 8000,
+        connectionsPerTidbNode: 400,
+        writeHeavyFactor5050: 1.75,
+        writeHeavyFactor3070: 2.5,
+        spikeFactorCap: 2.5,
+        tiflashReplicas: 2
+      }
+    },
+    {
+      id: 'typical',
+      label: 'Typical',
+      values: {
+        compressionRatio: 0.4,
+        storageUsageRatio: 0.8,
+        defaultNodeCapacity: 4000,
+        writesPerTikvNode: 5000,
+        readsPerTidbNode: 10000,
+        connectionsPerTidbNode: 500,
+        writeHeavyFactor5050: 1.5,
+        writeHeavyFactor3070: 2,
+        spikeFactorCap: 2,
+        tiflashReplicas: 2
+      }
+    },
+    {
+      id: 'aggressive',
+      label: 'Aggressive',
+      values: {
+        compressionRatio: 0.3,
+        storageUsageRatio: 0.85,
+        defaultNodeCapacity: 6000,
+        writesPerTikvNode: 7000,
+        readsPerTidbNode: 15000,
+        connectionsPerTidbNode: 800,
+        writeHeavyFactor5050: 1.25,
+        writeHeavyFactor3070: 1.5,
+        spikeFactorCap: 1.5,
+        tiflashReplicas: 2
+      }
+    }
+  ];
+
+  // Default assumptions (the typical preset)
+  const defaultAssumptions = assumptionPresets.find(preset => preset.id === 'typical').values;
+
+  // Name a set of assumptions: the preset it matches exactly, otherwise custom
+  const describeAssumptions = (assumptions) => {
+    const preset = assumptionPresets.find(item =>
+      assumptionFields.every(({ key }) => item.values[key] === assumptions[key]));
+    return preset ? { id: preset.id, label: preset.label } : { id: 'custom', label: 'Custom' };
+  };
+
+  return {
+    assumptionFields,
+    assumptionPresets,
+    defaultAssumptions,
+    describeAssumptions
+  };
+});
@@ -0,0 +1,206 @@
+// High-availability and fault-tolerance checks.
+// Each rule looks at a sized topology (plus the calculator inputs it was sized from) and returns
+// zero or more findings: { code, severity: 'error' | 'warning', message, explanation }. Rules are
+// exported individually so each can be exercised on its own; validateAvailability runs them all.
+// Exposes window.TiDBAvailability in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBAvailability = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // TiFlash replicas per table assumed when the sizing did not set one
+  const DEFAULT_TIFLASH_REPLICAS = 2;
+
+  // Raft majority for a group of n voters
+  const quorum = (n) => Math.floor(n / 2) + 1;
+
+  // Most members of a group that share one AZ when spread as evenly as possible
+  const largestAzShare = (count, zones) => Math.ceil(count / Math.max(1, zones));
+
+  // Does a Raft group of `members`, spread evenly over `zones`, keep quorum after losing one AZ?
+  const survivesAzLoss = (members, zones) => members - largestAzShare(members, zones) >= quorum(members);
+
+  const finding = (code, severity, message, explanation) => ({ code, severity, message, explanation });
+
+  // A single-AZ cluster cannot survive an AZ outage at all; the AZ-loss rules below assume 2+ AZs
+  const singleAz = ({ availabilityZones }) => availabilityZones < 2
+    ? [finding('SINGLE_AZ', 'warning',
+      'The cluster runs in a single availability zone.',
+      'An AZ outage takes down every PD, TiKV and TiDB instance at once. Use 3 AZs for zone-level fault tolerance.')]
+    : [];
+
+  // PD is a Raft group: fewer than 3 members cannot lose one and keep quorum
+  const pdQuorum = ({ pdNodes }) => pdNodes < 3
+    ? [finding('PD_NO_QUORUM_ON_NODE_LOSS', 'error',
+      `${pdNodes} PD node(s) cannot lose a member and keep quorum.`,
+      `PD needs a majority (${quorum(pdNodes)} of ${pdNodes}) to elect a leader and hand out timestamps; without it ` +
+      'no transaction can start. Run at least 3 PD nodes.')]
+    : [];
+
+  // An even PD count tolerates no more failures than the odd count below it
+  const pdOddCount = ({ pdNodes }) => pdNodes >= 3 && pdNodes % 2 === 0
+    ? [finding('PD_EVEN_COUNT', 'warning',
+      `${pdNodes} PD nodes tolerate the same failures as ${pdNodes - 1}.`,
+      `A majority of ${pdNodes} is ${quorum(pdNodes)}, so only ${pdNodes - quorum(pdNodes)} failure(s) are survivable, ` +
+      `as with ${pdNodes - 1} nodes. Use an odd PD count.`)]
+    : [];
+
+  // PD spread over the AZs must keep quorum when the AZ holding the most PD members fails
+  const pdAzLoss = ({ pdNodes, availabilityZones }) =>
+    availabilityZones >= 2 && pdNodes >= 3 && !survivesAzLoss(pdNodes, availabilityZones)
+      ? [finding('PD_AZ_LOSS_LOSES_QUORUM', 'error',
+        `Losing one AZ takes out ${largestAzShare(pdNodes, availabilityZones)} of ${pdNodes} PD nodes and breaks quorum.`,
+        `With ${pdNodes} PD nodes over ${availabilityZones} AZs the busiest AZ holds more than a minority. ` +
+        'Use 3 AZs with an odd PD count, e.g. 3 or 5.')]
+      : [];
+
+  // Raft replication factor: below 3 a single node loss loses quorum (or data); even factors add no tolerance
+  const replicationQuorum = ({ dataReplicationFactor }) => {
+    if (dataReplicationFactor < 3) {
+      return [finding('REPLICATION_NO_QUORUM_ON_NODE_LOSS', 'error',
+        `Replication factor ${dataReplicationFactor} cannot survive losing a TiKV node.`,
+        dataReplicationFactor === 1
+          ? 'Every Region has a single copy; a failed node loses its data.'
+          : 'Each Region needs 2 of 2 replicas for a majority, so one failed node makes its Regions unavailable.')];
+    }
+    if (dataReplicationFactor % 2 === 0) {
+      return [finding('REPLICATION_EVEN', 'warning',
+        `Replication factor ${dataReplicationFactor} tolerates the same failures as ${dataReplicationFactor - 1}.`,
+        'An even Raft group needs a larger majority for the same fault tolerance, adding storage and write cost. ' +
+        'Use an odd replication factor.')];
+    }
+    return [];
+  };
+
+  // With more replicas than AZs, one AZ holds several copies of each Region
+  const replicationAzLoss = ({ dataReplicationFactor, availabilityZones }) => {
+    if (availabilityZones < 2 || dataReplicationFactor < 3) return [];
+    if (!survivesAzLoss(dataReplicationFactor, availabilityZones)) {
+      return [finding('AZ_LOSS_LOSES_QUORUM', 'error',
+        `Losing one AZ removes ${largestAzShare(dataReplicationFactor, availabilityZones)} of ` +
+        `${dataReplicationFactor} replicas of some Regions and breaks their quorum.`,
+        `The replication factor (${dataReplicationFactor}) exceeds what ${availabilityZones} AZs can hold as a minority ` +
+        'each. Use at least as many AZs as replicas (e.g. 3 replicas over 3 AZs).')];
+    }
+    if (dataReplicationFactor > availabilityZones) {
+      return [finding('REPLICATION_EXCEEDS_AZS', 'warning',
+        `Replication factor ${dataReplicationFactor} is higher than the ${availabilityZones} AZs.`,
+        'Some AZs hold two copies of a Region, so an AZ loss removes more replicas than necessary.')];
+    }
+    return [];
+  };
+
+  // TiKV node count against the replicas it must place
+  const tikvPlacement = ({ tikvNodes, dataReplicationFactor, availabilityZones }) => {
+    if (tikvNodes < dataReplicationFactor) {
+      return [finding('TIKV_FEWER_NODES_THAN_REPLICAS', 'error',
+        `${tikvNodes} TiKV node(s) cannot hold ${dataReplicationFactor} replicas of each Region.`,
+        'PD never places two replicas of a Region on one store, so Regions stay under-replicated. ' +
+        'Run at least as many TiKV nodes as the replication factor.')];
+    }
+    const findings = [];
+    if (tikvNodes === dataReplicationFactor) {
+      findings.push(finding('TIKV_NO_SPARE_NODE', 'warning',
+        `With ${tikvNodes} TiKV nodes and ${dataReplicationFactor} replicas there is no node to re-replicate to.`,
+        'After a node failure its Regions keep running on the remaining replicas but stay under-replicated until ' +
+        'the node is replaced.'));
+    }
+    if (availabilityZones >= 2 && tikvNodes % availabilityZones !== 0) {
+      findings.push(finding('TIKV_UNEVEN_AZ_SPREAD', 'warning',
+        `${tikvNodes} TiKV nodes do not divide evenly across ${availabilityZones} AZs.`,
+        'With zone labels each AZ holds one replica of every Region, so the AZ with the fewest nodes fills up ' +
+        `and runs hottest first. Use a multiple of ${availabilityZones}.`));
+    }
+    return findings;
+  };
+
+  // After losing the largest AZ, the surviving TiKV nodes must still hold every replica
+  const tikvAzLossCapacity = (topology, { storage }) => {
+    const { tikvNodes, availabilityZones, dataReplicationFactor, factors } = topology;
+    const nodeCapacityGB = (topology.tikvInstanceStorageSize || 0) + (storage.tikvAdditionalEbsSize || 0);
+    if (availabilityZones < 2 || nodeCapacityGB <= 0 || !factors) return [];
+    const survivors = tikvNodes - largestAzShare(tikvNodes, availabilityZones);
+    if (survivors <= 0) return [];
+    const requiredGB = factors.compressedDataGB * dataReplicationFactor;
+    const usage = requiredGB / (survivors * nodeCapacityGB);
+    const detail = `${Math.round(requiredGB)} GB of replicas on ${survivors} surviving TiKV nodes of ` +
+      `${nodeCapacityGB} GB is ${(usage * 100).toFixed(0)}% full.`;
+    if (usage > 1) {
+      return [finding('TIKV_AZ_LOSS_OUT_OF_SPACE', 'error',
+        'After losing an AZ the remaining TiKV nodes cannot hold the data.', detail +
+        ' Re-replication would fill the disks and stop writes. Add TiKV nodes or larger instances.')];
+    }
+    if (usage > factors.storageUsageRatio) {
+      return [finding('TIKV_AZ_LOSS_LOW_HEADROOM', 'warning',
+        `After losing an AZ TiKV storage runs above ${(factors.storageUsageRatio * 100).toFixed(0)}%.`, detail +
+        ' TiKV slows down and PD stops scheduling to stores near their capacity.')];
+    }
+    return [];
+  };
+
+  // TiFlash replicas need distinct nodes, ideally in distinct AZs
+  const tiflashPlacement = ({ tiflashNodes, availabilityZones, factors }) => {
+    if (tiflashNodes === 0) return [];
+    const replicas = (factors && factors.tiflashReplicas) || DEFAULT_TIFLASH_REPLICAS;
+    if (tiflashNodes < replicas) {
+      return [finding('TIFLASH_FEWER_NODES_THAN_REPLICAS', 'error',
+        `${tiflashNodes} TiFlash node(s) cannot hold ${replicas} TiFlash replicas.`,
+        'Each TiFlash replica of a table must be on its own node; tables stay partly unreplicated and analytic ' +
+        'queries fall back to TiKV.')];
+    }
+    if (availabilityZones >= 2 && tiflashNodes < availabilityZones) {
+      return [finding('TIFLASH_AZ_LOSS', 'warning',
+        `${tiflashNodes} TiFlash nodes do not cover all ${availabilityZones} AZs.`,
+        'Losing an AZ that holds TiFlash nodes removes their replicas; analytic queries run on TiKV until rebuilt.')];
+    }
+    return [];
+  };
+
+  // TiDB is stateless, but a single server is still a single point of failure
+  const tidbRedundancy = ({ tidbNodes, availabilityZones }) => {
+    if (tidbNodes < 2) {
+      return [finding('TIDB_SINGLE_NODE', 'error',
+        'A single TiDB server is a single point of failure.',
+        'Applications lose their SQL endpoint when it fails. Run at least 2 TiDB servers behind the load balancer.')];
+    }
+    if (availabilityZones >= 2 && tidbNodes < availabilityZones) {
+      return [finding('TIDB_AZ_COVERAGE', 'warning',
+        `${tidbNodes} TiDB servers do not cover all ${availabilityZones} AZs.`,
+        'Losing an AZ can take out more than its share of SQL capacity.')];
+    }
+    return [];
+  };
+
+  // All rules, by name
+  const availabilityRules = {
+    singleAz,
+    pdQuorum,
+    pdOddCount,
+    pdAzLoss,
+    replicationQuorum,
+    replicationAzLoss,
+    tikvPlacement,
+    tikvAzLossCapacity,
+    tiflashPlacement,
+    tidbRedundancy
+  };
+
+  // Run every rule. topology: sizeCluster topology; inputs: the calculator inputs (storage).
+  // Errors come first.
+  const validateAvailability = (topology, inputs) => {
+    const findings = Object.values(availabilityRules).flatMap(rule => rule(topology, inputs));
+    return [
+      ...findings.filter(item => item.severity === 'error'),
+      ...findings.filter(item => item.severity !== 'error')
+    ];
+  };
+
+  return {
+    quorum,
+    survivesAzLoss,
+    availabilityRules,
+    validateAvailability
+  };
+});
@@ -0,0 +1,106 @@
+// Side-by-side comparison of sized scenarios.
+// Takes already-sized results (sizeCluster + projectTco per scenario) and lines them up row by
+// row: topology, every cost breakdown line and the savings summary, flagging rows that differ.
+// Exposes window.TiDBComparison in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBComparison = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MIN_SCENARIOS = 2;
+  const MAX_SCENARIOS = 4;
+
+  // Topology rows: [label, accessor]
+  const topologyRows = [
+    ['Pricing Catalog', entry => `${entry.sizing.catalog.name} (${entry.sizing.catalog.effectiveDate})`],
+    ['Sizing Assumptions', entry => entry.sizing.assumptions.label],
+    ['Source Database', entry => entry.sizing.topology.source.label],
+    ['Source Shards', entry => entry.sizing.topology.source.shards],
+    ['Deployment Mode', entry => entry.sizing.topology.deploymentMode.toUpperCase()],
+    ['TiDB Nodes', entry => entry.sizing.topology.tidbNodes],
+    ['TiDB Instance', entry => entry.sizing.topology.instances.tidbInstanceType],
+    ['TiKV Nodes', entry => entry.sizing.topology.tikvNodes],
+    ['TiKV Instance', entry => entry.sizing.topology.instances.tikvInstanceType],
+    ['PD Nodes', entry => entry.sizing.topology.pdNodes],
+    ['PD Instance', entry => entry.sizing.topology.instances.pdInstanceType],
+    ['TiFlash Nodes', entry => entry.sizing.topology.tiflashNodes],
+    ['TiFlash Instance', entry => entry.sizing.topology.instances.tiflashInstanceType],
+    ['K8s Worker Nodes', entry => entry.sizing.topology.k8sWorkerNodes],
+    ['Total Storage (GB)', entry => entry.sizing.topology.totalStorageGB]
+  ];
+
+  // A TiDB Cloud figure, or null when the scenario leaves TiDB Cloud out
+  const cloudValue = (entry, field) => entry.sizing.costs.tidbCloud ? entry.sizing.costs.tidbCloud[field] : null;
+
+  // Summary rows; lowerIsBetter drives which value is highlighted as best
+  const summaryRows = [
+    ['Source Monthly', entry => entry.sizing.costs.postgresMonthlyCost, { currency: true, lowerIsBetter: true }],
+    ['TiDB Monthly', entry => entry.sizing.costs.totalMonthlyCost, { currency: true, lowerIsBetter: true }],
+    ['Monthly Savings', entry => entry.sizing.costs.monthlySavings, { currency: true, lowerIsBetter: false }],
+    ['Savings %', entry => entry.sizing.costs.savingsPercentage, { percent: true, lowerIsBetter: false }],
+    ['TiDB Cloud Target', entry => entry.sizing.costs.tidbCloud ? entry.sizing.costs.tidbCloud.label : 'Not compared'],
+    ['TiDB Cloud Monthly', entry => cloudValue(entry, 'totalMonthlyCost'), { currency: true, lowerIsBetter: true }],
+    ['TiDB Cloud Savings', entry => cloudValue(entry, 'monthlySavings'), { currency: true, lowerIsBetter: false }],
+    ['Labor in Totals', entry => entry.sizing.costs.labor.included ? 'Yes' : 'No'],
+    ['Source Labor', entry => entry.sizing.costs.labor.postgres.total, { currency: true, lowerIsBetter: true }],
+    ['TiDB Labor', entry => entry.sizing.costs.labor.tidb.total, { currency: true, lowerIsBetter: true }],
+    ['One-time Cost', entry => entry.sizing.costs.oneTimeCosts, { currency: true, lowerIsBetter: true }],
+    ['Break-even Month', entry => entry.projection.breakEvenMonth, { lowerIsBetter: true }]
+  ];
+
+  // Index of the best numeric value in a row, or null when the row has no spread
+  const bestIndex = (values, lowerIsBetter) => {
+    const numeric = values.map(value => (typeof value === 'number' && isFinite(value)) ? value : null);
+    const candidates = numeric.filter(value => value !== null);
+    if (candidates.length < 2 || Math.min(...candidates) === Math.max(...candidates)) return null;
+    const best = lowerIsBetter ? Math.min(...candidates) : Math.max(...candidates);
+    return numeric.indexOf(best);
+  };
+
+  const buildRow = (label, values, options = {}) => ({
+    label,
+    values,
+    differs: values.some(value => value !== values[0]),
+    best: options.lowerIsBetter === undefined ? null : bestIndex(values, options.lowerIsBetter),
+    currency: !!options.currency,
+    percent: !!options.percent
+  });
+
+  // Line up scenarios. entries: [{ name, sizing, projection }]
+  const compareScenarios = (entries) => {
+    const topology = topologyRows.map(([label, get]) => buildRow(label, entries.map(get)));
+
+    // Cost lines are keyed by breakdown key so scenarios with different line sets still align
+    const costKeys = [];
+    entries.forEach(entry => entry.sizing.costs.breakdown.forEach(line => {
+      if (!costKeys.find(item => item.key === line.key)) {
+        costKeys.push({ key: line.key, name: line.name });
+      }
+    }));
+    const lineValue = (entry, key) => {
+      const line = entry.sizing.costs.breakdown.find(item => item.key === key);
+      return line ? line.value : 0;
+    };
+    const costs = costKeys.map(({ key, name }) =>
+      buildRow(name, entries.map(entry => lineValue(entry, key)), { currency: true, lowerIsBetter: true }));
+
+    const summary = summaryRows.map(([label, get, options]) => buildRow(label, entries.map(get), options));
+
+    // Grouped bar chart data: one group per cost category, one bar per scenario
+    const chartData = costKeys.map(({ key, name }) => {
+      const group = { name };
+      entries.forEach((entry, i) => { group[`s${i}`] = lineValue(entry, key); });
+      return group;
+    });
+
+    return { names: entries.map(entry => entry.name), topology, costs, summary, chartData };
+  };
+
+  return {
+    MIN_SCENARIOS,
+    MAX_SCENARIOS,
+    compareScenarios
+  };
+});
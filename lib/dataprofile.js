@@ -0,0 +1,216 @@
+// Per-table data profile.
+// Parses the output of the source's profile query (pasted psql or mysql output, CSV or JSON rows) into a list of
+// tables and estimates each table's size in TiDB: compressed row data plus index data, with index
+// KV overhead, and the TiFlash columnar copy for tables flagged as needing one. The sizing engine
+// sizes TiKV and TiFlash from these estimates instead of the whole-database storageGB. The table list
+// stays in the page; calculator state, saved scenarios and links keep only the condensed totals.
+// Exposes window.TiDBDataProfile in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBDataProfile = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Catalog query producing the profile; run it with psql (aligned or --csv) against the source database
+  const tableProfileQuery = [
+    'SELECT n.nspname AS table_schema,',
+    '       c.relname AS table_name,',
+    '       c.reltuples::bigint AS row_count,',
+    '       pg_table_size(c.oid) - COALESCE(pg_total_relation_size(c.reltoastrelid), 0) AS table_bytes,',
+    '       pg_indexes_size(c.oid) AS index_bytes,',
+    '       COALESCE(pg_total_relation_size(c.reltoastrelid), 0) AS toast_bytes,',
+    '       pg_total_relation_size(c.oid) AS total_bytes',
+    'FROM pg_class c',
+    'JOIN pg_namespace n ON n.oid = c.relnamespace',
+    "WHERE c.relkind IN ('r', 'p') AND n.nspname NOT IN ('pg_catalog', 'information_schema')",
+    '  AND n.nspname NOT LIKE \'pg_toast%\'',
+    'ORDER BY total_bytes DESC;'
+  ].join('\n');
+
+  // The same profile from a MySQL source (information_schema estimates; InnoDB row data includes
+  // the clustered primary key); run it with the mysql client (table or --batch output)
+  const mysqlTableProfileQuery = [
+    'SELECT table_schema,',
+    '       table_name,',
+    '       table_rows AS row_count,',
+    '       data_length AS table_bytes,',
+    '       index_length AS index_bytes,',
+    '       data_length + index_length AS total_bytes',
+    'FROM information_schema.tables',
+    "WHERE table_type = 'BASE TABLE'",
+    "  AND table_schema NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys')",
+    'ORDER BY total_bytes DESC;'
+  ].join('\n');
+
+  // Profile query for each source database engine (lib/sources.js)
+  const tableProfileQueries = { PostgreSQL: tableProfileQuery, MySQL: mysqlTableProfileQuery };
+
+  // Each TiDB index entry repeats the row handle in its key, so index data grows relative to
+  // PostgreSQL's B-tree size
+  const INDEX_OVERHEAD = 1.3;
+
+  const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+  // Accepted column names for each profile field
+  const profileColumns = {
+    schema: ['schema', 'schemaname', 'table_schema', 'nspname'],
+    table: ['table', 'table_name', 'tablename', 'relname'],
+    rowCount: ['row_count', 'rows', 'reltuples', 'n_live_tup'],
+    tableBytes: ['table_bytes', 'table_size'],
+    indexBytes: ['index_bytes', 'index_size', 'indexes_size'],
+    toastBytes: ['toast_bytes', 'toast_size'],
+    totalBytes: ['total_bytes', 'total_size', 'pg_total_relation_size']
+  };
+
+  const sizeUnits = { bytes: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+  // Bytes from a number or a pg_size_pretty string ("8192 bytes", "16 kB", "3 GB")
+  const parseSize = (value) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const match = String(value).trim().match(/^(-?[\d.]+)\s*(bytes|kb|mb|gb|tb)?$/i);
+    if (!match) return null;
+    return Number(match[1]) * sizeUnits[(match[2] || 'bytes').toLowerCase()];
+  };
+
+  // Split pasted text into rows: psql aligned output ("a | b" with a dashed rule), mysql table output
+  // ("| a | b |" between "+---+" rules), CSV or TSV
+  const splitRows = (text) => {
+    const lines = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '' && !/^[-+]+$/.test(line) && !/^\(\d+ rows?\)$/.test(line) &&
+        !/^\d+ rows? in set/.test(line));
+    const delimiter = lines[0].includes('|') ? '|' : (lines[0].includes('\t') ? '\t' : ',');
+    return lines
+      .map(line => delimiter === '|' ? line.replace(/^\|/, '').replace(/\|$/, '') : line)
+      .map(line => line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+  };
+
+  // Parse pasted or uploaded profile output into [{ schema, table, rowCount, tableBytes, indexBytes, toastBytes }]
+  const parseTableProfile = (text) => {
+    const trimmed = text.trim();
+    if (trimmed === '') {
+      throw new Error('The table profile is empty');
+    }
+    let records;
+    if (trimmed.startsWith('[')) {
+      try {
+        records = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error(`Table profile is not valid JSON: ${err.message}`);
+      }
+    } else {
+      const [header, ...rows] = splitRows(trimmed);
+      records = rows.map(row => {
+        const record = {};
+        header.forEach((key, i) => { record[key] = row[i]; });
+        return record;
+      });
+    }
+    if (records.length === 0) {
+      throw new Error('The table profile has no rows');
+    }
+
+    const keys = Object.keys(records[0]);
+    const column = (field) => keys.find(key => profileColumns[field].includes(key.toLowerCase()));
+    const columns = {};
+    Object.keys(profileColumns).forEach(field => { columns[field] = column(field); });
+    if (!columns.table || (!columns.tableBytes && !columns.totalBytes)) {
+      throw new Error('Table profile needs at least a table column and table_bytes or total_bytes; use the profile query');
+    }
+
+    return records.map((record, i) => {
+      const size = (field) => columns[field] ? parseSize(record[columns[field]]) : 0;
+      const indexBytes = size('indexBytes');
+      const toastBytes = size('toastBytes');
+      // Without a table size column, the row data is what remains of the total
+      const tableBytes = columns.tableBytes ? size('tableBytes') : size('totalBytes') - indexBytes - toastBytes;
+      if ([tableBytes, indexBytes, toastBytes].some(value => value === null || isNaN(value))) {
+        throw new Error(`Table profile row ${i + 1} (${record[columns.table]}) has an unreadable size`);
+      }
+      return {
+        schema: columns.schema ? record[columns.schema] : 'public',
+        table: record[columns.table],
+        rowCount: columns.rowCount ? Math.max(0, Number(record[columns.rowCount]) || 0) : 0,
+        tableBytes: Math.max(0, tableBytes),
+        indexBytes,
+        toastBytes,
+        tiflash: false
+      };
+    });
+  };
+
+  // Profile state for a parsed table list
+  const createDataProfile = (tables) => ({ importedAt: new Date().toISOString(), tables });
+
+  const sumBytes = (tables, bytes) => tables.reduce((sum, table) => sum + bytes(table), 0);
+  const rowBytes = (table) => table.tableBytes + table.toastBytes;
+
+  // The totals sizing needs from a profile: { importedAt, tableCount, dataBytes, indexBytes,
+  // tiflashTables, tiflashDataBytes }. A profile that is already condensed is returned as is, so
+  // scenarios saved with the full table list still load.
+  const condenseProfile = (profile) => {
+    if (!profile.tables) return profile;
+    const flagged = profile.tables.filter(table => table.tiflash);
+    return {
+      importedAt: profile.importedAt,
+      tableCount: profile.tables.length,
+      dataBytes: sumBytes(profile.tables, rowBytes),
+      indexBytes: sumBytes(profile.tables, table => table.indexBytes),
+      tiflashTables: flagged.length,
+      tiflashDataBytes: sumBytes(flagged, rowBytes)
+    };
+  };
+
+  // Size of the profiled data in the source database (GB), from a full or condensed profile
+  const profileSizeGB = (profile) => {
+    const { dataBytes, indexBytes } = condenseProfile(profile);
+    return (dataBytes + indexBytes) / BYTES_PER_GB;
+  };
+
+  // Per-table TiDB estimates (one replica, GB). scale grows the profile to the current storageGB,
+  // so data growth projections still apply.
+  const estimateTable = (table, compressionRatio, scale = 1) => {
+    const dataGB = (table.tableBytes + table.toastBytes) / BYTES_PER_GB * scale;
+    const indexGB = table.indexBytes / BYTES_PER_GB * scale;
+    return {
+      ...table,
+      postgresGB: dataGB + indexGB,
+      tikvGB: (dataGB + indexGB * INDEX_OVERHEAD) * compressionRatio,
+      // TiFlash keeps a columnar copy of the rows only, no secondary indexes
+      tiflashGB: table.tiflash ? dataGB * compressionRatio : 0
+    };
+  };
+
+  // The totals the sizing engine uses, from a full or condensed profile: the sums of estimateTable
+  // over every table. Per-table estimates come from estimateTable with the returned scale.
+  const summarizeProfile = (profile, storageGB, compressionRatio) => {
+    const summary = condenseProfile(profile);
+    const profiledGB = profileSizeGB(summary);
+    const scale = profiledGB > 0 ? storageGB / profiledGB : 1;
+    const dataGB = summary.dataBytes / BYTES_PER_GB * scale;
+    const indexGB = summary.indexBytes / BYTES_PER_GB * scale;
+    return {
+      tableCount: summary.tableCount,
+      scale,
+      postgresGB: dataGB + indexGB,
+      tikvGB: (dataGB + indexGB * INDEX_OVERHEAD) * compressionRatio,
+      tiflashGB: summary.tiflashDataBytes / BYTES_PER_GB * scale * compressionRatio,
+      tiflashTables: summary.tiflashTables
+    };
+  };
+
+  return {
+    tableProfileQuery,
+    mysqlTableProfileQuery,
+    tableProfileQueries,
+    INDEX_OVERHEAD,
+    parseSize,
+    parseTableProfile,
+    createDataProfile,
+    condenseProfile,
+    profileSizeGB,
+    estimateTable,
+    summarizeProfile
+  };
+});
@@ -0,0 +1,582 @@
+// Deployment export.
+// Turns a sizeCluster result into deployable files. On Kubernetes: a TiDB Operator TidbCluster +
+// TidbMonitor (with the StorageClasses they reference) and the cluster definition with one node
+// group per worker group of the packed topology (lib/scheduler.js) -- an eksctl ClusterConfig on
+// EKS, a gcloud script on GKE, an az aks script on AKS. On bare VMs: a TiUP cluster topology.yaml.
+// Replicas and instance types are taken from the sized topology as-is, so the export always matches
+// the TiDB Configuration card.
+// Exposes window.TiDBDeployment in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./providers'));
+  } else {
+    root.TiDBDeployment = factory(root.TiDBProviders);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBProviders) {
+  const { catalogProvider, zonesFor } = TiDBProviders;
+
+  // Defaults for the export form
+  const defaultDeploymentOptions = {
+    clusterName: 'tidb-cluster',
+    namespace: 'tidb-cluster',
+    tidbVersion: 'v7.5.1',
+    kubernetesVersion: '1.29'
+  };
+
+  // Node label / taint key dedicating each node group to the roles it runs
+  const ROLE_LABEL = 'dedicated';
+
+  // Mount point of the NVMe instance store / local SSD on hosts deployed with TiUP
+  const NVME_MOUNT = '/mnt/nvme';
+
+  // Storage class backing TiKV when it runs on the instance's NVMe (local-volume-provisioner, one
+  // PersistentVolume per local disk)
+  const LOCAL_STORAGE_CLASS = 'local-storage';
+
+  // Catalog and input sizes are decimal GB; Kubernetes quantities are written in GiB
+  const GIB_PER_GB = 1e9 / Math.pow(2, 30);
+
+  // Share of a local disk its PersistentVolume reports once formatted (ext4 metadata, reserved blocks)
+  const LOCAL_DISK_USABLE_SHARE = 0.95;
+
+  // Azure Disk CSI SKU of each managed disk type
+  const azureDiskSkus = {
+    'premium-ssd-v2': 'PremiumV2_LRS',
+    'premium-ssd': 'Premium_LRS',
+    'standard-ssd': 'StandardSSD_LRS',
+    'ultra-disk': 'UltraSSD_LRS'
+  };
+
+  // Per provider: the CSI driver behind the StorageClasses (named <classPrefix>-<volume type>) and
+  // the annotations that put the TiDB service on an internal load balancer
+  const kubernetesPlatforms = {
+    aws: {
+      classPrefix: 'ebs',
+      provisioner: 'ebs.csi.aws.com',
+      volumeParameters: (type) => ({ type, fsType: 'ext4' }),
+      serviceAnnotations: {
+        'service.beta.kubernetes.io/aws-load-balancer-type': 'nlb',
+        'service.beta.kubernetes.io/aws-load-balancer-internal': 'true'
+      }
+    },
+    gcp: {
+      classPrefix: 'gke',
+      provisioner: 'pd.csi.storage.gke.io',
+      volumeParameters: (type) => ({ type, 'csi.storage.k8s.io/fstype': 'ext4' }),
+      serviceAnnotations: { 'networking.gke.io/load-balancer-type': 'Internal' }
+    },
+    azure: {
+      classPrefix: 'aks',
+      provisioner: 'disk.csi.azure.com',
+      // Premium SSD v2 and Ultra Disk do not support host caching
+      volumeParameters: (type) => ({
+        skuName: azureDiskSkus[type] || type,
+        cachingMode: type === 'premium-ssd-v2' || type === 'ultra-disk' ? 'None' : 'ReadOnly',
+        fsType: 'ext4'
+      }),
+      serviceAnnotations: { 'service.beta.kubernetes.io/azure-load-balancer-internal': 'true' }
+    }
+  };
+
+  // ---- Minimal YAML emitter (block style; strings quoted whenever YAML could misread them) ----
+
+  const needsQuotes = (text) =>
+    text === '' ||
+    /^[\s\-?:,\[\]{}#&*!|>'"%@`]/.test(text) ||
+    /[:#]\s|:$|\s$/.test(text) ||
+    /^(true|false|yes|no|on|off|null|~)$/i.test(text) ||
+    !isNaN(Number(text));
+
+  const scalar = (value) => {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'string') return needsQuotes(value) ? JSON.stringify(value) : value;
+    return String(value);
+  };
+
+  const isBlock = (value) => value !== null && typeof value === 'object' &&
+    (Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0);
+
+  const emptyCollection = (value) => Array.isArray(value) ? '[]' : '{}';
+
+  const toYamlLines = (value, indent) => {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value)) {
+      return value.flatMap(item => {
+        if (!isBlock(item)) {
+          return [`${pad}- ${typeof item === 'object' && item !== null ? emptyCollection(item) : scalar(item)}`];
+        }
+        // First key of a mapping shares the "- " line
+        const lines = toYamlLines(item, indent + 2);
+        return [`${pad}- ${lines[0].trimStart()}`, ...lines.slice(1)];
+      });
+    }
+    return Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .flatMap(key => {
+        const item = value[key];
+        if (isBlock(item)) return [`${pad}${scalar(key)}:`, ...toYamlLines(item, indent + 2)];
+        const text = typeof item === 'object' && item !== null ? emptyCollection(item) : scalar(item);
+        return [`${pad}${scalar(key)}: ${text}`];
+      });
+  };
+
+  // Serialize one or more documents
+  const toYaml = (...documents) => documents
+    .map(doc => toYamlLines(doc, 0).join('\n'))
+    .join('\n---\n') + '\n';
+
+  // ---- Manifest builders ----
+
+  // Pod requests for a role, as used by the worker node packing
+  const requestsFor = (topology, role) => {
+    const { cpu, memory } = topology.workers.requests[role];
+    return { cpu: String(cpu), memory: `${memory}Gi` };
+  };
+
+  // Claim for a provisioned volume of at least sizeGB
+  const volumeQuantity = (sizeGB) => `${Math.ceil(sizeGB * GIB_PER_GB)}Gi`;
+
+  // Claim that binds to a local disk of diskGB
+  const localDiskQuantity = (diskGB) => `${Math.floor(diskGB * GIB_PER_GB * LOCAL_DISK_USABLE_SHARE)}Gi`;
+
+  const storageClassFor = (provider, volumeType) => `${kubernetesPlatforms[provider.id].classPrefix}-${volumeType}`;
+
+  // TiKV data lives on the instance store when it is in use, otherwise on the additional block volume.
+  // The instance store may be split over several disks of diskGB each; splitDisksNeeded is set when
+  // one of them cannot hold a node's share of the replicas at the sizing's storage usage ratio.
+  const tikvStorage = (topology, storage, provider, warnings) => {
+    const onInstanceStore = topology.tikvInstanceStorageSize > 0;
+    const sizeGB = onInstanceStore ? topology.tikvInstanceStorageSize : storage.tikvAdditionalEbsSize;
+    const disks = onInstanceStore ? (topology.tikvLocalDisks || 1) : 1;
+    if (sizeGB <= 0) {
+      const { localDisk, volumes } = provider.names;
+      warnings.push({
+        code: 'TIKV_NO_STORAGE',
+        message: `TiKV has no ${localDisk} and no additional ${volumes} volume; set a TiKV volume size before deploying.`
+      });
+    }
+    const diskGB = sizeGB / disks;
+    const { factors } = topology;
+    const nodeDataGB = factors ? factors.compressedDataGB * topology.dataReplicationFactor / topology.tikvNodes : 0;
+    const splitDisksNeeded = onInstanceStore && disks > 1 &&
+      (!factors || nodeDataGB > diskGB * factors.storageUsageRatio);
+    return { onInstanceStore, sizeGB, disks, diskGB, nodeDataGB, splitDisksNeeded };
+  };
+
+  // Pin a role's pods to the worker group the packing placed them on
+  const placement = (topology, role) => {
+    const group = topology.workers.roleGroups[role] || role;
+    return {
+      nodeSelector: { [ROLE_LABEL]: group },
+      tolerations: [{ key: ROLE_LABEL, operator: 'Equal', value: group, effect: 'NoSchedule' }]
+    };
+  };
+
+  // TidbCluster custom resource matching the sized topology
+  const buildTidbCluster = (topology, storage, provider, options, warnings) => {
+    const tikv = tikvStorage(topology, storage, provider, warnings);
+    const storageClass = (volumeType) => storageClassFor(provider, volumeType);
+    // A claim on the instance store binds to one local disk's PersistentVolume
+    if (tikv.splitDisksNeeded) {
+      warnings.push({
+        code: 'TIKV_LOCAL_DISKS_SPLIT',
+        message: `TiKV claims one of the ${tikv.disks} ${provider.names.localDisk} disks on each node ` +
+          `(${tikv.diskGB} of ${tikv.sizeGB} GB), too small for its ${Math.round(tikv.nodeDataGB)} GB of replicas. ` +
+          'Merge the disks into one RAID 0 volume before installing the local-volume-provisioner and raise ' +
+          'the TiKV storage request.'
+      });
+    }
+
+    const spec = {
+      version: options.tidbVersion,
+      timezone: 'UTC',
+      pvReclaimPolicy: 'Retain',
+      configUpdateStrategy: 'RollingUpdate',
+      enableDynamicConfiguration: true,
+      topologySpreadConstraints: [{ topologyKey: 'topology.kubernetes.io/zone' }],
+      pd: {
+        baseImage: 'pingcap/pd',
+        replicas: topology.pdNodes,
+        requests: { ...requestsFor(topology, 'pd'), storage: volumeQuantity(storage.pdEbsSize) },
+        storageClassName: storageClass(storage.pdEbsType),
+        ...placement(topology, 'pd'),
+        config: {}
+      },
+      tikv: {
+        baseImage: 'pingcap/tikv',
+        replicas: topology.tikvNodes,
+        requests: {
+          ...requestsFor(topology, 'tikv'),
+          storage: tikv.onInstanceStore ? localDiskQuantity(tikv.diskGB) : volumeQuantity(tikv.sizeGB)
+        },
+        storageClassName: tikv.onInstanceStore ? LOCAL_STORAGE_CLASS : storageClass(storage.tikvAdditionalEbsType),
+        ...placement(topology, 'tikv'),
+        config: {
+          storage: { 'reserve-space': '0MB' },
+          raftstore: { 'max-peer-down-duration': '10m' }
+        }
+      },
+      tidb: {
+        baseImage: 'pingcap/tidb',
+        replicas: topology.tidbNodes,
+        requests: requestsFor(topology, 'tidb'),
+        service: {
+          type: 'LoadBalancer',
+          annotations: kubernetesPlatforms[provider.id].serviceAnnotations
+        },
+        ...placement(topology, 'tidb'),
+        config: {}
+      }
+    };
+
+    if (topology.tiflashNodes > 0) {
+      spec.tiflash = {
+        baseImage: 'pingcap/tiflash',
+        replicas: topology.tiflashNodes,
+        requests: requestsFor(topology, 'tiflash'),
+        storageClaims: [{
+          resources: { requests: { storage: volumeQuantity(storage.tiflashEbsSize) } },
+          storageClassName: storageClass(storage.tiflashEbsType)
+        }],
+        ...placement(topology, 'tiflash')
+      };
+    }
+
+    return {
+      apiVersion: 'pingcap.com/v1alpha1',
+      kind: 'TidbCluster',
+      metadata: { name: options.clusterName, namespace: options.namespace },
+      spec
+    };
+  };
+
+  // TidbMonitor (Prometheus + Grafana) on the monitoring node, on the provider's default volume type
+  const buildTidbMonitor = (topology, provider, options) => ({
+    apiVersion: 'pingcap.com/v1alpha1',
+    kind: 'TidbMonitor',
+    metadata: { name: `${options.clusterName}-monitor`, namespace: options.namespace },
+    spec: {
+      clusters: [{ name: options.clusterName }],
+      persistent: true,
+      storageClassName: storageClassFor(provider, provider.defaultVolumeType),
+      storage: '100Gi',
+      prometheus: {
+        baseImage: 'prom/prometheus',
+        version: 'v2.27.1',
+        requests: requestsFor(topology, 'monitoring')
+      },
+      grafana: { baseImage: 'grafana/grafana', version: '7.5.11' },
+      initializer: { baseImage: 'pingcap/tidb-monitor-initializer', version: options.tidbVersion },
+      reloader: { baseImage: 'pingcap/tidb-monitor-reloader', version: 'v1.0.1' },
+      prometheusReloader: { baseImage: 'quay.io/prometheus-operator/prometheus-config-reloader', version: 'v0.49.0' },
+      imagePullPolicy: 'IfNotPresent',
+      ...placement(topology, 'monitoring')
+    }
+  });
+
+  // StorageClasses for every volume type the manifests reference
+  const buildStorageClasses = (storage, topology, provider) => {
+    const platform = kubernetesPlatforms[provider.id];
+    const types = [storage.pdEbsType, provider.defaultVolumeType];
+    if (!(topology.tikvInstanceStorageSize > 0)) types.push(storage.tikvAdditionalEbsType);
+    if (topology.tiflashNodes > 0) types.push(storage.tiflashEbsType);
+    return [...new Set(types)].map(type => ({
+      apiVersion: 'storage.k8s.io/v1',
+      kind: 'StorageClass',
+      metadata: { name: storageClassFor(provider, type) },
+      provisioner: platform.provisioner,
+      parameters: platform.volumeParameters(type),
+      volumeBindingMode: 'WaitForFirstConsumer',
+      reclaimPolicy: 'Retain',
+      allowVolumeExpansion: true
+    }));
+  };
+
+  // eksctl ClusterConfig: one managed node group per packed worker group, at its node count
+  const buildEksctlConfig = (topology, catalog, options) => {
+    // eksctl needs at least two zones for the control plane; node groups use the requested ones
+    const clusterZones = zonesFor(catalog, Math.max(2, topology.availabilityZones));
+
+    return {
+      apiVersion: 'eksctl.io/v1alpha5',
+      kind: 'ClusterConfig',
+      metadata: { name: options.clusterName, region: catalog.region, version: options.kubernetesVersion },
+      availabilityZones: clusterZones,
+      addons: [{ name: 'aws-ebs-csi-driver' }],
+      managedNodeGroups: topology.workers.groups.filter(group => group.nodeCount > 0).map(group => ({
+        name: group.name,
+        instanceType: group.instanceType,
+        desiredCapacity: group.nodeCount,
+        minSize: group.nodeCount,
+        maxSize: group.nodeCount,
+        privateNetworking: true,
+        availabilityZones: topology.workers.zones,
+        labels: { [ROLE_LABEL]: group.name },
+        taints: [{ key: ROLE_LABEL, value: group.name, effect: 'NoSchedule' }]
+      }))
+    };
+  };
+
+  // Worker groups that received nodes, with the node count in each zone
+  const populatedGroups = (topology) => topology.workers.groups
+    .filter(group => group.nodeCount > 0)
+    .map(group => {
+      const zoneCounts = {};
+      group.nodes.forEach(node => { zoneCounts[node.zone] = (zoneCounts[node.zone] || 0) + 1; });
+      return { ...group, zoneCounts };
+    });
+
+  // Node pool name from a worker group name: lowercase letters, digits and hyphens
+  const poolName = (name, maxLength) => name.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/^-+|-+$/g, '')
+    .slice(0, maxLength) || 'workers';
+
+  const shellCommand = (lines) => lines.join(' \\\n  ');
+
+  // gcloud script for a regional GKE cluster: one node pool per worker group. A regional pool runs
+  // the same node count in each of its zones, so a group whose zones differ gets one pool per zone.
+  // Local-SSD machine types (the catalog's -lssd entries) attach their SSDs as raw block devices for
+  // the local-volume-provisioner.
+  const buildGkeScript = (topology, catalog, options) => {
+    const { clusterName } = options;
+    const instanceTypes = catalog[catalogProvider(catalog).tables.instances];
+    const common = [`--cluster ${clusterName}`, `--region ${catalog.region}`];
+
+    const pools = populatedGroups(topology).flatMap(group => {
+      const zones = Object.keys(group.zoneCounts);
+      const counts = [...new Set(Object.values(group.zoneCounts))];
+      const name = poolName(group.name, 40);
+      const split = counts.length > 1
+        ? zones.map(zone => ({
+          name: poolName(`${name}-${zone.slice(-1)}`, 40),
+          zones: [zone],
+          perZone: group.zoneCounts[zone]
+        }))
+        : [{ name, zones, perZone: counts[0] }];
+      const instance = instanceTypes[group.instanceType];
+      return split.map(pool => shellCommand([
+        `gcloud container node-pools create ${pool.name}`,
+        ...common,
+        `--node-locations ${pool.zones.join(',')}`,
+        `--machine-type ${instance.machineType || group.instanceType}`,
+        ...(instance.localSsdCount ? [`--local-nvme-ssd-block count=${instance.localSsdCount}`] : []),
+        `--num-nodes ${pool.perZone}`,
+        `--node-labels ${ROLE_LABEL}=${group.name}`,
+        `--node-taints ${ROLE_LABEL}=${group.name}:NoSchedule`
+      ]));
+    });
+
+    return [
+      '#!/usr/bin/env bash',
+      `# GKE cluster for ${clusterName}: one node pool per worker group of the sized topology`,
+      'set -euo pipefail',
+      '',
+      shellCommand([
+        `gcloud container clusters create ${clusterName}`,
+        `--region ${catalog.region}`,
+        `--node-locations ${topology.workers.zones.join(',')}`,
+        `--cluster-version ${options.kubernetesVersion}`,
+        '--num-nodes 1',
+        '--addons GcePersistentDiskCsiDriver'
+      ]),
+      '',
+      ...pools.flatMap(command => [command, '']),
+      '# The default pool only bootstraps the cluster',
+      `gcloud container node-pools delete default-pool --cluster ${clusterName} --region ${catalog.region} --quiet`
+    ].join('\n') + '\n';
+  };
+
+  // az script for an AKS cluster: a system node pool, then one user node pool per worker group across
+  // the group's zones (AKS spreads a pool's nodes over its zones). Pool names are at most 12
+  // lowercase letters and digits.
+  const buildAksScript = (topology, catalog, options) => {
+    const { clusterName } = options;
+    const resourceGroup = `${clusterName}-rg`;
+    const zoneNumbers = (zones) => zones.map(zone => zone.split('-').pop()).join(' ');
+    const used = new Set(['system']);
+
+    const pools = populatedGroups(topology).map(group => {
+      const base = group.name.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 12) || 'workers';
+      let name = base;
+      for (let i = 2; used.has(name); i++) name = `${base.slice(0, 12 - String(i).length)}${i}`;
+      used.add(name);
+      return shellCommand([
+        `az aks nodepool add --name ${name}`,
+        `--resource-group ${resourceGroup}`,
+        `--cluster-name ${clusterName}`,
+        '--mode User',
+        `--node-vm-size ${group.instanceType}`,
+        `--node-count ${group.nodeCount}`,
+        `--zones ${zoneNumbers(Object.keys(group.zoneCounts))}`,
+        `--labels ${ROLE_LABEL}=${group.name}`,
+        `--node-taints ${ROLE_LABEL}=${group.name}:NoSchedule`
+      ]);
+    });
+
+    return [
+      '#!/usr/bin/env bash',
+      `# AKS cluster for ${clusterName}: one user node pool per worker group of the sized topology`,
+      'set -euo pipefail',
+      '',
+      `az group create --name ${resourceGroup} --location ${catalog.region}`,
+      '',
+      shellCommand([
+        `az aks create --name ${clusterName}`,
+        `--resource-group ${resourceGroup}`,
+        `--location ${catalog.region}`,
+        `--kubernetes-version ${options.kubernetesVersion}`,
+        '--nodepool-name system',
+        '--node-count 3',
+        `--zones ${zoneNumbers(topology.workers.zones)}`,
+        '--generate-ssh-keys'
+      ]),
+      '',
+      ...pools.flatMap(command => [command, ''])
+    ].join('\n');
+  };
+
+  // The cluster definition file for the provider's Kubernetes service
+  const clusterDefinitionFile = (topology, catalog, provider, options) => {
+    const { clusterName } = options;
+    if (provider.id === 'gcp') {
+      return {
+        filename: `${clusterName}-gke.sh`,
+        title: 'GKE cluster (gcloud)',
+        mimeType: 'text/x-shellscript',
+        content: buildGkeScript(topology, catalog, options)
+      };
+    }
+    if (provider.id === 'azure') {
+      return {
+        filename: `${clusterName}-aks.sh`,
+        title: 'AKS cluster (az)',
+        mimeType: 'text/x-shellscript',
+        content: buildAksScript(topology, catalog, options)
+      };
+    }
+    return {
+      filename: `${clusterName}-eksctl.yaml`,
+      title: 'eksctl ClusterConfig',
+      mimeType: 'application/yaml',
+      content: toYaml(buildEksctlConfig(topology, catalog, options))
+    };
+  };
+
+  // TiUP hosts for one role: placeholder host names assigned round-robin over the zones,
+  // listed zone by zone. Each host carries zone/host labels for replica placement.
+  const tiupHosts = (role, count, zones) => Array.from({ length: count }, (_, i) => {
+    const zone = zones[i % zones.length];
+    return { host: `${role}-${i + 1}-${zone}`, zone };
+  }).sort((a, b) => a.zone.localeCompare(b.zone));
+
+  // TiUP cluster topology.yaml for a deployment on bare VMs
+  const buildTiupTopology = (topology, storage, catalog, options, warnings) => {
+    const zones = zonesFor(catalog, topology.availabilityZones);
+    const provider = catalogProvider(catalog);
+    const tikv = tikvStorage(topology, storage, provider, warnings);
+    if (tikv.splitDisksNeeded) {
+      warnings.push({
+        code: 'TIKV_LOCAL_DISKS_SPLIT',
+        message: `Each TiKV host has ${tikv.disks} ${provider.names.localDisk} disks of ${tikv.diskGB} GB, too small ` +
+          `for its ${Math.round(tikv.nodeDataGB)} GB of replicas; mount them as one RAID 0 volume at ${NVME_MOUNT} ` +
+          `so TiKV can use all ${tikv.sizeGB} GB.`
+      });
+    }
+    const labels = ({ host, zone }) => ({ zone, host });
+
+    const spec = {
+      global: {
+        user: 'tidb',
+        ssh_port: 22,
+        deploy_dir: '/tidb-deploy',
+        data_dir: '/tidb-data',
+        arch: 'amd64'
+      },
+      server_configs: {
+        pd: {
+          'replication.location-labels': ['zone', 'host'],
+          'replication.max-replicas': topology.dataReplicationFactor
+        }
+      },
+      pd_servers: tiupHosts('pd', topology.pdNodes, zones).map(({ host }) => ({ host })),
+      tikv_servers: tiupHosts('tikv', topology.tikvNodes, zones).map(server => ({
+        host: server.host,
+        data_dir: tikv.onInstanceStore ? `${NVME_MOUNT}/tidb-data/tikv-20160` : undefined,
+        config: { 'server.labels': labels(server) }
+      })),
+      tidb_servers: tiupHosts('tidb', topology.tidbNodes, zones).map(({ host }) => ({ host }))
+    };
+
+    if (topology.tiflashNodes > 0) {
+      spec.tiflash_servers = tiupHosts('tiflash', topology.tiflashNodes, zones).map(server => ({
+        host: server.host,
+        learner_config: { 'server.labels': labels(server) }
+      }));
+    }
+
+    const [monitoringHost] = tiupHosts('monitoring', 1, zones);
+    spec.monitoring_servers = [{ host: monitoringHost.host }];
+    spec.grafana_servers = [{ host: monitoringHost.host }];
+    spec.alertmanager_servers = [{ host: monitoringHost.host }];
+
+    return spec;
+  };
+
+  // All deployment files for a sized cluster, for the topology's deployment mode.
+  // sizing: sizeCluster result; inputs: the state passed to sizeCluster (storage, catalog).
+  const generateDeployment = (sizing, inputs, options = defaultDeploymentOptions) => {
+    const { topology } = sizing;
+    const { storage, catalog } = inputs;
+    const provider = catalogProvider(catalog);
+    const warnings = [];
+
+    if (topology.deploymentMode === 'ec2') {
+      const tiup = buildTiupTopology(topology, storage, catalog, options, warnings);
+      return {
+        files: [{
+          filename: `${options.clusterName}-topology.yaml`,
+          title: 'TiUP topology.yaml',
+          mimeType: 'application/yaml',
+          content: toYaml(tiup)
+        }],
+        warnings
+      };
+    }
+
+    if (topology.workers.unschedulable.length > 0) {
+      warnings.push({
+        code: 'UNSCHEDULABLE_PODS',
+        message: `${topology.workers.unschedulable.length} pod(s) do not fit the worker groups and will stay Pending; ` +
+          'adjust the worker groups before deploying.'
+      });
+    }
+
+    const tidbCluster = buildTidbCluster(topology, storage, provider, options, warnings);
+    const tidbMonitor = buildTidbMonitor(topology, provider, options);
+    const storageClasses = buildStorageClasses(storage, topology, provider);
+
+    return {
+      files: [
+        clusterDefinitionFile(topology, catalog, provider, options),
+        {
+          filename: `${options.clusterName}-tidb.yaml`,
+          title: 'TidbCluster + TidbMonitor',
+          mimeType: 'application/yaml',
+          content: toYaml(...storageClasses, tidbCluster, tidbMonitor)
+        }
+      ],
+      warnings
+    };
+  };
+
+  return {
+    defaultDeploymentOptions,
+    toYaml,
+    buildTidbCluster,
+    buildTidbMonitor,
+    buildEksctlConfig,
+    buildGkeScript,
+    buildAksScript,
+    buildTiupTopology,
+    generateDeployment
+  };
+});
@@ -0,0 +1,59 @@
+// Operational labor cost model.
+// Prices the staff time each side needs -- DBA time on the source database, operations time on a
+// self-managed TiDB cluster, the smaller share TiDB Cloud leaves to the customer -- at a fully-loaded
+// FTE cost, plus optional on-call and training lines for the self-managed TiDB team.
+// Exposes window.TiDBLabor in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBLabor = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MONTHS_PER_YEAR = 12;
+
+  // Default labor state
+  const defaultLabor = {
+    includeInTotals: false, // Labor lines always show in the breakdowns; opt in to add them to totals, savings and payback
+    fteAnnualCost: 180000, // Salary, benefits and overhead per FTE per year
+    postgresFTE: 0.2, // DBA time on the source (on RDS / Aurora patching, backups and failover are AWS's)
+    tidbFTE: 0.5, // Upgrades, scaling, backups and incident response on a self-managed cluster
+    tidbCloudFTE: 0.1, // Schema changes, query tuning and cost reviews on TiDB Cloud
+    onCall: false,
+    onCallMonthlyCost: 2000, // 24/7 rota stipend for the self-managed cluster
+    training: false,
+    trainingAnnualCost: 15000 // Courses and certification for the TiDB team
+  };
+
+  // Monthly labor per side. Returns { included, postgres: { staff, total },
+  // tidb: { staff, onCall, training, total }, tidbCloud: { staff, total }, lines } where lines are
+  // the self-managed TiDB breakdown lines.
+  const calculateLaborCosts = (labor) => {
+    const monthlyFteCost = labor.fteAnnualCost / MONTHS_PER_YEAR;
+    const postgres = { staff: labor.postgresFTE * monthlyFteCost };
+    postgres.total = postgres.staff;
+
+    const tidb = {
+      staff: labor.tidbFTE * monthlyFteCost,
+      onCall: labor.onCall ? labor.onCallMonthlyCost : 0,
+      training: labor.training ? labor.trainingAnnualCost / MONTHS_PER_YEAR : 0
+    };
+    tidb.total = tidb.staff + tidb.onCall + tidb.training;
+
+    const tidbCloud = { staff: labor.tidbCloudFTE * monthlyFteCost };
+    tidbCloud.total = tidbCloud.staff;
+
+    const lines = [
+      { key: 'laborStaff', name: 'Operations Staff', value: tidb.staff },
+      ...(labor.onCall ? [{ key: 'laborOnCall', name: 'On-call', value: tidb.onCall }] : []),
+      ...(labor.training ? [{ key: 'laborTraining', name: 'Training', value: tidb.training }] : [])
+    ];
+
+    return { included: labor.includeInTotals, postgres, tidb, tidbCloud, lines };
+  };
+
+  return {
+    defaultLabor,
+    calculateLaborCosts
+  };
+});
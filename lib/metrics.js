@@ -0,0 +1,384 @@
+// Workload metrics import.
+// Parses locally exported monitoring data -- CloudWatch RDS metrics (CSV or the JSON printed by
+// `aws cloudwatch get-metric-data` / `get-metric-statistics`) and pg_stat_database /
+// pg_stat_statements snapshots (CSV from \copy, or JSON rows) -- into one time series, then derives
+// the workload inputs the sizing engine uses: read/write rates, peak ratio, connections, read share.
+// Exposes window.TiDBMetrics in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBMetrics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // CloudWatch RDS metrics we read, and the sample field each one fills
+  const cloudWatchMetrics = {
+    ReadIOPS: 'readOps',
+    WriteIOPS: 'writeOps',
+    CPUUtilization: 'cpu',
+    DatabaseConnections: 'connections',
+    FreeStorageSpace: 'freeStorageGB'
+  };
+
+  // Column names accepted as the sample time in CSV / JSON rows
+  const timeColumns = ['timestamp', 'time', 'snapshot_time', 'captured_at', 'now', 'date'];
+
+  // Statement kinds counted as writes in pg_stat_statements
+  const writeStatement = /^\s*(insert|update|delete|merge|copy\s+\S+\s+from)\b/i;
+  const readStatement = /^\s*(select|with|table|values)\b/i;
+
+  const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+  // ---- Parsing helpers ----
+
+  // RFC 4180 CSV (quoted fields may hold commas, quotes and newlines) into row objects
+  const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+    const [header, ...rows] = records.filter(row => row.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+    const keys = header.map(key => key.trim());
+    return rows.map(row => {
+      const item = {};
+      keys.forEach((key, i) => { item[key] = row[i] === undefined ? '' : row[i].trim(); });
+      return item;
+    });
+  };
+
+  // Epoch milliseconds from an ISO string or epoch seconds / milliseconds
+  const parseTime = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!isNaN(number)) return number < 1e12 ? number * 1000 : number;
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  };
+
+  const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  };
+
+  // Case-insensitive column lookup
+  const findColumn = (row, names) => Object.keys(row).find(key => names.includes(key.toLowerCase()));
+
+  // CloudWatch metric named in a column header, label or query id ("ReadIOPS (Average)", "readiops")
+  const matchMetric = (text) => Object.keys(cloudWatchMetrics)
+    .find(metric => String(text).toLowerCase().includes(metric.toLowerCase()));
+
+  // Convert a metric value to the unit the sample field uses
+  const metricValue = (metric, value) => metric === 'FreeStorageSpace' ? value / BYTES_PER_GB : value;
+
+  // ---- Format readers; each returns [{ time, ...fields }] ----
+
+  // CloudWatch rows: wide (one column per metric) or long (MetricName + Value / Average columns)
+  const readCloudWatchRows = (rows) => {
+    const timeKey = findColumn(rows[0], timeColumns);
+    const nameKey = findColumn(rows[0], ['metricname', 'metric', 'label']);
+    const samples = [];
+    rows.forEach(row => {
+      const time = parseTime(row[timeKey]);
+      if (time === null) return;
+      const sample = { time };
+      if (nameKey) {
+        const metric = matchMetric(row[nameKey]);
+        const valueKey = findColumn(row, ['value', 'average', 'maximum']);
+        const value = toNumber(row[valueKey]);
+        if (metric && value !== null) sample[cloudWatchMetrics[metric]] = metricValue(metric, value);
+      } else {
+        Object.keys(row).forEach(key => {
+          const metric = matchMetric(key);
+          const value = toNumber(row[key]);
+          if (metric && value !== null) sample[cloudWatchMetrics[metric]] = metricValue(metric, value);
+        });
+      }
+      if (Object.keys(sample).length > 1) samples.push(sample);
+    });
+    return samples;
+  };
+
+  // CloudWatch CLI JSON: get-metric-data (MetricDataResults) or get-metric-statistics (Datapoints)
+  const readCloudWatchJson = (json) => {
+    const samples = [];
+    const add = (metric, time, value) => {
+      if (!metric || time === null || value === null || value === undefined) return;
+      samples.push({ time, [cloudWatchMetrics[metric]]: metricValue(metric, value) });
+    };
+    if (Array.isArray(json.MetricDataResults)) {
+      json.MetricDataResults.forEach(result => {
+        const metric = matchMetric(result.Label || '') || matchMetric(result.Id || '');
+        (result.Timestamps || []).forEach((timestamp, i) => add(metric, parseTime(timestamp), result.Values[i]));
+      });
+    } else {
+      const metric = matchMetric(json.Label || '');
+      json.Datapoints.forEach(point => {
+        const value = point.Average !== undefined ? point.Average : point.Maximum;
+        add(metric, parseTime(point.Timestamp), value);
+      });
+    }
+    return samples;
+  };
+
+  // Group snapshot rows by capture time, oldest first
+  const groupSnapshots = (rows) => {
+    const timeKey = findColumn(rows[0], timeColumns);
+    const groups = new Map();
+    rows.forEach(row => {
+      const time = timeKey ? parseTime(row[timeKey]) : null;
+      if (!groups.has(time)) groups.set(time, []);
+      groups.get(time).push(row);
+    });
+    return [...groups.entries()]
+      .map(([time, group]) => ({ time, rows: group }))
+      .sort((a, b) => a.time - b.time);
+  };
+
+  // Per-second rates between consecutive snapshots of cumulative counters.
+  // A counter that went backwards (stats reset) yields no sample for that interval.
+  const snapshotRates = (snapshots, counters, gauges = () => ({})) => {
+    const samples = [];
+    for (let i = 1; i < snapshots.length; i++) {
+      const previous = snapshots[i - 1];
+      const current = snapshots[i];
+      const seconds = (current.time - previous.time) / 1000;
+      if (!(seconds > 0)) continue;
+      const before = counters(previous.rows);
+      const after = counters(current.rows);
+      const sample = { time: current.time, ...gauges(current.rows) };
+      let reset = false;
+      Object.keys(after).forEach(field => {
+        const delta = after[field] - before[field];
+        if (delta < 0) reset = true;
+        sample[field] = delta / seconds;
+      });
+      if (!reset) samples.push(sample);
+    }
+    return samples;
+  };
+
+  const sumColumn = (rows, column) => rows.reduce((sum, row) => sum + (toNumber(row[column]) || 0), 0);
+
+  // pg_stat_database: rows fetched are reads; rows inserted, updated and deleted are writes.
+  // Columns are read through the header names the export uses, whatever their case.
+  const readPgStatDatabase = (rows) => {
+    const column = (name) => findColumn(rows[0], [name]);
+    return snapshotRates(
+      groupSnapshots(rows),
+      group => ({
+        readOps: sumColumn(group, column('tup_fetched')),
+        writeOps: ['tup_inserted', 'tup_updated', 'tup_deleted']
+          .reduce((sum, name) => sum + sumColumn(group, column(name)), 0)
+      }),
+      group => ({ connections: sumColumn(group, column('numbackends')) })
+    );
+  };
+
+  // Calls of read and write statements in one pg_stat_statements snapshot; columns: the export's
+  // header names for calls and query
+  const statementCalls = (rows, columns) => rows.reduce((totals, row) => {
+    const calls = toNumber(row[columns.calls]) || 0;
+    const query = row[columns.query] || '';
+    if (writeStatement.test(query)) totals.writeOps += calls;
+    else if (readStatement.test(query)) totals.readOps += calls;
+    return totals;
+  }, { readOps: 0, writeOps: 0 });
+
+  // pg_stat_statements: statement calls per second between snapshots. A single snapshot has no
+  // rates but its call counts still give the read/write mix.
+  const readPgStatStatements = (rows) => {
+    const columns = { calls: findColumn(rows[0], ['calls']), query: findColumn(rows[0], ['query']) };
+    const snapshots = groupSnapshots(rows);
+    const latest = statementCalls(snapshots[snapshots.length - 1].rows, columns);
+    return { samples: snapshotRates(snapshots, group => statementCalls(group, columns)), totals: latest };
+  };
+
+  // Parse one exported file. Returns { format, samples, totals } (totals only for a lone
+  // pg_stat_statements snapshot); throws when the file is not a recognised export.
+  const parseMetricsFile = (text, filename = 'metrics') => {
+    const trimmed = text.trim();
+    let json = null;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        json = JSON.parse(trimmed);
+      } catch (err) {
+        throw new Error(`${filename} is not valid JSON: ${err.message}`);
+      }
+    }
+
+    if (json && !Array.isArray(json)) {
+      if (!Array.isArray(json.MetricDataResults) && !Array.isArray(json.Datapoints)) {
+        throw new Error(`${filename} is not a CloudWatch get-metric-data or get-metric-statistics export`);
+      }
+      return { format: 'CloudWatch', samples: readCloudWatchJson(json), totals: null };
+    }
+
+    const rows = json || parseCsv(text);
+    if (rows.length === 0) {
+      throw new Error(`${filename} has no rows`);
+    }
+    const columns = Object.keys(rows[0]).map(key => key.toLowerCase());
+    if (columns.includes('query') && columns.includes('calls')) {
+      return { format: 'pg_stat_statements', ...readPgStatStatements(rows) };
+    }
+    if (columns.includes('tup_fetched') && columns.includes('tup_inserted')) {
+      return { format: 'pg_stat_database', samples: readPgStatDatabase(rows), totals: null };
+    }
+    if (findColumn(rows[0], timeColumns) && Object.keys(rows[0]).some(key => matchMetric(key) || /metric|label/i.test(key))) {
+      return { format: 'CloudWatch', samples: readCloudWatchRows(rows), totals: null };
+    }
+    throw new Error(`${filename} is not a recognised CloudWatch, pg_stat_database or pg_stat_statements export`);
+  };
+
+  // ---- Derivation ----
+
+  // Merge samples from several files on their timestamps, oldest first
+  const mergeSamples = (sampleLists) => {
+    const byTime = new Map();
+    sampleLists.forEach(samples => samples.forEach(sample => {
+      byTime.set(sample.time, { ...(byTime.get(sample.time) || {}), ...sample });
+    }));
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+  };
+
+  // Nearest-rank percentile (p in 0..100)
+  const percentile = (values, p) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+  };
+
+  const summarize = (values) => values.length === 0 ? null : {
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    p95: percentile(values, 95),
+    p99: percentile(values, 99),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+
+  const fieldValues = (samples, field) => samples
+    .map(sample => sample[field])
+    .filter(value => typeof value === 'number' && isFinite(value));
+
+  // Statistics over the merged series. parsed: parseMetricsFile results.
+  const deriveWorkload = (parsed) => {
+    const samples = mergeSamples(parsed.map(file => file.samples));
+    const stats = {};
+    ['readOps', 'writeOps', 'connections', 'cpu', 'freeStorageGB'].forEach(field => {
+      stats[field] = summarize(fieldValues(samples, field));
+    });
+
+    // Peak-to-normal ratio of total operations (p99 over average)
+    const totalOps = samples
+      .filter(sample => sample.readOps !== undefined && sample.writeOps !== undefined)
+      .map(sample => sample.readOps + sample.writeOps);
+    const total = summarize(totalOps);
+    const peakRatio = total && total.avg > 0 ? total.p99 / total.avg : null;
+
+    // Read share from the series, or from a lone pg_stat_statements snapshot
+    let readShare = null;
+    if (stats.readOps && stats.writeOps) {
+      readShare = stats.readOps.avg / (stats.readOps.avg + stats.writeOps.avg);
+    } else {
+      const totals = parsed.map(file => file.totals).find(Boolean);
+      if (totals && totals.readOps + totals.writeOps > 0) {
+        readShare = totals.readOps / (totals.readOps + totals.writeOps);
+      }
+    }
+
+    return {
+      formats: [...new Set(parsed.map(file => file.format))],
+      samples,
+      start: samples.length > 0 ? samples[0].time : null,
+      end: samples.length > 0 ? samples[samples.length - 1].time : null,
+      stats,
+      peakRatio,
+      readShare
+    };
+  };
+
+  // Closest "reads/writes" option to a read share, e.g. 0.78 -> '80/20'
+  const nearestReadWriteRatio = (readShare, ratios) => ratios.reduce((best, ratio) => {
+    const distance = Math.abs(Number(ratio.split('/')[0]) / 100 - readShare);
+    const bestDistance = Math.abs(Number(best.split('/')[0]) / 100 - readShare);
+    return distance < bestDistance ? ratio : best;
+  });
+
+  // Calculator inputs implied by the derived workload; only fields the data supports are returned.
+  // Averages feed readOps / writeOps and the p99 spike is expressed through peakRatio, so the peak
+  // is not counted twice.
+  const workloadInputsFromMetrics = (derived, ratios) => {
+    const postgres = {};
+    const workload = {};
+    const { stats } = derived;
+    if (stats.readOps) postgres.readOps = Math.round(stats.readOps.avg);
+    if (stats.writeOps) postgres.writeOps = Math.round(stats.writeOps.avg);
+    if (stats.connections) workload.concurrentConnections = Math.ceil(stats.connections.p95);
+    if (derived.peakRatio !== null) {
+      workload.peakRatio = Math.max(1, Math.round(derived.peakRatio * 2) / 2);
+      workload.trafficSpikes = workload.peakRatio > 1;
+    }
+    if (derived.readShare !== null) workload.readWriteRatio = nearestReadWriteRatio(derived.readShare, ratios);
+    return { postgres, workload };
+  };
+
+  // Average the series into at most maxPoints buckets for a preview chart
+  const previewSeries = (samples, maxPoints = 120) => {
+    const size = Math.max(1, Math.ceil(samples.length / maxPoints));
+    const points = [];
+    for (let i = 0; i < samples.length; i += size) {
+      const bucket = samples.slice(i, i + size);
+      const point = { time: bucket[0].time };
+      ['readOps', 'writeOps', 'connections'].forEach(field => {
+        const values = fieldValues(bucket, field);
+        if (values.length > 0) point[field] = values.reduce((sum, value) => sum + value, 0) / values.length;
+      });
+      points.push(point);
+    }
+    return points;
+  };
+
+  return {
+    cloudWatchMetrics,
+    parseCsv,
+    parseMetricsFile,
+    mergeSamples,
+    percentile,
+    deriveWorkload,
+    nearestReadWriteRatio,
+    workloadInputsFromMetrics,
+    previewSeries
+  };
+});
@@ -0,0 +1,121 @@
+// Migration project plan.
+// Estimates how long each phase of a migration to TiDB takes -- schema conversion, the initial load
+// (exported from the source database as CSV or with Dumpling, imported by TiDB Lightning), incremental replication
+// (TiDB DM / AWS DMS) through validation and cutover, and a rollback window -- and what the project
+// costs one-time: engineering time, the replication instance, and the dual-running period in which
+// both databases are billed. The total is the one-time cost the sizing engine uses for payback.
+// Exposes window.TiDBMigration in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBMigration = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const HOURS_PER_DAY = 24;
+  const DAYS_PER_MONTH = 30.4;
+
+  // Default migration state
+  const defaultMigration = {
+    schemaObjects: 150, // Tables, views, functions and triggers to convert
+    schemaObjectsPerDay: 30, // Converted and reviewed per engineer-team day
+    exportGBPerHour: 200, // Source export rate (CSV, or Dumpling from MySQL)
+    importGBPerHourPerTikvNode: 50, // TiDB Lightning physical import rate per TiKV node
+    replicationDays: 7, // Incremental replication until caught up and stable
+    replicationMonthlyCost: 250, // DM workers / DMS replication instance
+    validationDays: 5, // Data and query validation (sync-diff-inspector, shadow reads)
+    cutoverDays: 1,
+    rollbackDays: 14, // Source database kept running as a fallback after cutover
+    engineers: 2,
+    engineerDailyRate: 800, // Fully-loaded cost per engineer per project day
+    additionalCost: 0 // Licences, professional services, training
+  };
+
+  // Plan inputs, in panel order
+  const migrationFields = [
+    { key: 'schemaObjects', label: 'Schema Objects', step: 10 },
+    { key: 'schemaObjectsPerDay', label: 'Objects Converted per Day', step: 5 },
+    { key: 'exportGBPerHour', label: 'Export Rate (GB/h)', step: 10 },
+    { key: 'importGBPerHourPerTikvNode', label: 'Import Rate per TiKV Node (GB/h)', step: 10 },
+    { key: 'replicationDays', label: 'Replication Catch-up (days)', step: 1 },
+    { key: 'replicationMonthlyCost', label: 'Replication Instance ($/month)', step: 50 },
+    { key: 'validationDays', label: 'Validation (days)', step: 1 },
+    { key: 'cutoverDays', label: 'Cutover (days)', step: 1 },
+    { key: 'rollbackDays', label: 'Rollback Window (days)', step: 1 },
+    { key: 'engineers', label: 'Engineers', step: 0.5 },
+    { key: 'engineerDailyRate', label: 'Engineer Cost ($/day)', step: 50 },
+    { key: 'additionalCost', label: 'Other One-time Costs ($)', step: 1000 }
+  ];
+
+  // Phases in plan order; replication runs alongside validation and cutover
+  const migrationPhases = [
+    { id: 'schema', label: 'Schema Conversion' },
+    { id: 'load', label: 'Initial Load (Lightning)' },
+    { id: 'replication', label: 'Incremental Replication (DM/DMS)' },
+    { id: 'validation', label: 'Validation' },
+    { id: 'cutover', label: 'Cutover' },
+    { id: 'rollback', label: 'Rollback Window' }
+  ];
+
+  const roundDays = (days) => Math.round(days * 10) / 10;
+
+  // Plan the migration. migration: the migration inputs; context: { storageGB, tikvNodes,
+  // tidbMonthlyCost, postgresMonthlyCost } from the sized cluster. The export and the import run as
+  // a pipeline, so the initial load moves at the slower of the two.
+  // Returns { phases: [{ id, label, startDay, days }], loadHours, throughputGBPerHour, durationDays,
+  // cutoverDay, costs: { labor, replication, dualRunTidb, dualRunPostgres, additional }, totalCost }.
+  const planMigration = (migration, { storageGB, tikvNodes, tidbMonthlyCost, postgresMonthlyCost }) => {
+    const throughputGBPerHour = Math.min(migration.exportGBPerHour, migration.importGBPerHourPerTikvNode * tikvNodes);
+    const loadHours = throughputGBPerHour > 0 ? storageGB / throughputGBPerHour : 0;
+
+    const schemaDays = migration.schemaObjectsPerDay > 0
+      ? Math.ceil(migration.schemaObjects / migration.schemaObjectsPerDay)
+      : 0;
+    const loadDays = roundDays(loadHours / HOURS_PER_DAY);
+    const loadEnd = schemaDays + loadDays;
+    const validationStart = loadEnd + migration.replicationDays;
+    const cutoverStart = validationStart + migration.validationDays;
+    const cutoverDay = cutoverStart + migration.cutoverDays;
+
+    const phases = [
+      { id: 'schema', startDay: 0, days: schemaDays },
+      { id: 'load', startDay: schemaDays, days: loadDays },
+      { id: 'replication', startDay: loadEnd, days: cutoverDay - loadEnd },
+      { id: 'validation', startDay: validationStart, days: migration.validationDays },
+      { id: 'cutover', startDay: cutoverStart, days: migration.cutoverDays },
+      { id: 'rollback', startDay: cutoverDay, days: migration.rollbackDays }
+    ].map(phase => ({
+      ...phase,
+      label: migrationPhases.find(item => item.id === phase.id).label,
+      startDay: roundDays(phase.startDay),
+      days: roundDays(phase.days)
+    }));
+
+    // Dual running: TiDB is billed from the initial load until cutover while the source still serves
+    // production, and the source stays billed through the rollback window after it
+    const costs = {
+      labor: migration.engineers * migration.engineerDailyRate * cutoverDay,
+      replication: migration.replicationMonthlyCost * (cutoverDay - loadEnd) / DAYS_PER_MONTH,
+      dualRunTidb: tidbMonthlyCost * (cutoverDay - schemaDays) / DAYS_PER_MONTH,
+      dualRunPostgres: postgresMonthlyCost * migration.rollbackDays / DAYS_PER_MONTH,
+      additional: migration.additionalCost
+    };
+
+    return {
+      phases,
+      loadHours,
+      throughputGBPerHour,
+      durationDays: roundDays(cutoverDay + migration.rollbackDays),
+      cutoverDay: roundDays(cutoverDay),
+      costs,
+      totalCost: Object.values(costs).reduce((sum, cost) => sum + cost, 0)
+    };
+  };
+
+  return {
+    defaultMigration,
+    migrationFields,
+    migrationPhases,
+    planMigration
+  };
+});
@@ -0,0 +1,202 @@
+// Monte Carlo uncertainty ranges.
+// Any parameter the sensitivity analysis perturbs can be given a distribution -- triangular
+// (min / likely / max) or normal (mean / sd). The simulation draws every distribution from a seeded
+// generator, sizes and prices the cluster once per draw, and reports P10 / P50 / P90 of TiDB monthly
+// cost, monthly savings and payback with histograms. The same seed, iterations and distributions
+// always give the same result, so a range quoted in a review can be reproduced exactly.
+// Exposes window.TiDBMonteCarlo in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./sizing'), require('./sensitivity'), require('./metrics'), require('./assumptions'), require('./network')
+    );
+  } else {
+    root.TiDBMonteCarlo = factory(
+      root.TiDBSizing, root.TiDBSensitivity, root.TiDBMetrics, root.TiDBAssumptions, root.TiDBNetwork
+    );
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBSizing, TiDBSensitivity, TiDBMetrics, TiDBAssumptions, TiDBNetwork) {
+  const { sizeCluster } = TiDBSizing;
+  const { sensitivityParameters } = TiDBSensitivity;
+  const { percentile } = TiDBMetrics;
+  const { defaultAssumptions } = TiDBAssumptions;
+  const { defaultNetwork } = TiDBNetwork;
+
+  // Settings a new scenario starts with: no distributions, so the simulation is a single point
+  const defaultUncertainty = { seed: 42, iterations: 500, distributions: {} };
+
+  const uncertaintyRanges = {
+    seed: { min: 0, max: 4294967295 },
+    iterations: { min: 50, max: 5000 }
+  };
+
+  const distributionTypes = [
+    { id: 'triangular', label: 'Min / Likely / Max' },
+    { id: 'normal', label: 'Normal (mean, sd)' }
+  ];
+
+  const HISTOGRAM_BINS = 20;
+
+  // Seeded uniform generator on [0, 1) (mulberry32)
+  const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  };
+
+  // One draw. Triangular by inverse CDF; normal by Box-Muller (two uniforms per draw, so the
+  // sequence does not depend on which distributions came before)
+  const sampleDistribution = (distribution, random) => {
+    if (distribution.type === 'normal') {
+      const u1 = 1 - random();
+      const u2 = random();
+      return distribution.mean + distribution.sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    }
+    const { min, likely, max } = distribution;
+    const u = random();
+    if (max === min) return min;
+    const split = (likely - min) / (max - min);
+    return u < split
+      ? min + Math.sqrt(u * (max - min) * (likely - min))
+      : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+  };
+
+  const round4 = (value) => Math.round(value * 10000) / 10000;
+
+  // A starting distribution for a parameter: ±spread around its current value
+  const defaultDistribution = (parameter, inputs, type = 'triangular', spread = 0.2) => {
+    const value = parameter.get(inputs);
+    return type === 'normal'
+      ? { type, mean: value, sd: round4(value * spread / 2) }
+      : { type, min: round4(value * (1 - spread)), likely: value, max: round4(value * (1 + spread)) };
+  };
+
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+  // Error message for one distribution, or null when it is usable
+  const checkDistribution = (distribution) => {
+    if (distribution.type === 'normal') {
+      if (!isNumber(distribution.mean) || !isNumber(distribution.sd)) return 'Mean and sd must be numbers.';
+      if (distribution.sd < 0) return 'The sd cannot be negative.';
+      return null;
+    }
+    if (distribution.type !== 'triangular') return `Unknown distribution type "${distribution.type}".`;
+    const { min, likely, max } = distribution;
+    if (![min, likely, max].every(isNumber)) return 'Min, likely and max must be numbers.';
+    if (!(min <= likely && likely <= max)) return 'Needs min ≤ likely ≤ max.';
+    return null;
+  };
+
+  // Validate uncertainty settings. Returns { valid, fieldErrors } keyed 'seed', 'iterations' and
+  // 'distributions.<parameter id>'.
+  const validateUncertainty = (uncertainty) => {
+    const fieldErrors = {};
+    ['seed', 'iterations'].forEach(field => {
+      const value = uncertainty[field];
+      const { min, max } = uncertaintyRanges[field];
+      if (!Number.isInteger(value)) {
+        fieldErrors[field] = 'Must be a whole number.';
+      } else if (value < min || value > max) {
+        fieldErrors[field] = `Must be between ${min} and ${max}.`;
+      }
+    });
+    Object.keys(uncertainty.distributions || {}).forEach(id => {
+      const message = sensitivityParameters.some(parameter => parameter.id === id)
+        ? checkDistribution(uncertainty.distributions[id])
+        : `Unknown parameter "${id}".`;
+      if (message) fieldErrors[`distributions.${id}`] = message;
+    });
+    return { valid: Object.keys(fieldErrors).length === 0, fieldErrors };
+  };
+
+  // Equal-width bins over the observed range: [{ from, to, count }]
+  const histogram = (values, bins = HISTOGRAM_BINS) => {
+    if (values.length === 0) return [];
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (max === min) return [{ from: min, to: max, count: values.length }];
+    const width = (max - min) / bins;
+    const result = Array.from({ length: bins }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+    values.forEach(value => { result[Math.min(bins - 1, Math.floor((value - min) / width))].count += 1; });
+    return result;
+  };
+
+  const summarizeDraws = (values) => ({
+    p10: percentile(values, 10),
+    p50: percentile(values, 50),
+    p90: percentile(values, 90),
+    histogram: histogram(values)
+  });
+
+  // Run the simulation. inputs: the (valid) object sizeCluster takes; uncertainty: { seed, iterations,
+  // distributions }. Parameters are drawn in sensitivityParameters order, so adding a distribution
+  // never reorders the draws of the others. A draw without positive savings never pays back: it counts
+  // towards the payback percentiles as unbounded (a percentile that lands on one is null) and towards
+  // neverPaysBackShare, and is left out of the payback histogram.
+  const runMonteCarlo = (sizingInputs, uncertainty) => {
+    const inputs = {
+      ...sizingInputs,
+      assumptions: sizingInputs.assumptions || defaultAssumptions,
+      network: sizingInputs.network || defaultNetwork
+    };
+    const { valid, fieldErrors } = validateUncertainty(uncertainty);
+    if (!valid) {
+      throw new Error(`Invalid uncertainty settings: ${Object.entries(fieldErrors)
+        .map(([field, message]) => `${field}: ${message}`).join('; ')}`);
+    }
+    const distributions = uncertainty.distributions || {};
+    const varied = sensitivityParameters.filter(parameter => distributions[parameter.id]);
+    const random = createRandom(uncertainty.seed);
+
+    const costs = [];
+    const savings = [];
+    const paybacks = [];
+    for (let i = 0; i < uncertainty.iterations; i++) {
+      const draw = varied.reduce((current, parameter) =>
+        parameter.set(current, sampleDistribution(distributions[parameter.id], random)).inputs, inputs);
+      const sizing = sizeCluster(draw);
+      costs.push(sizing.costs.totalMonthlyCost);
+      savings.push(sizing.costs.monthlySavings);
+      paybacks.push(sizing.costs.monthlySavings > 0
+        ? sizing.costs.oneTimeCosts / sizing.costs.monthlySavings
+        : Infinity);
+    }
+    const paybackPercentile = (p) => {
+      const value = percentile(paybacks, p);
+      return isFinite(value) ? value : null;
+    };
+    const finitePaybacks = paybacks.filter(value => isFinite(value));
+
+    return {
+      seed: uncertainty.seed,
+      iterations: uncertainty.iterations,
+      parameters: varied.map(parameter => ({ id: parameter.id, label: parameter.label })),
+      totalMonthlyCost: summarizeDraws(costs),
+      monthlySavings: summarizeDraws(savings),
+      paybackMonths: {
+        p10: paybackPercentile(10),
+        p50: paybackPercentile(50),
+        p90: paybackPercentile(90),
+        histogram: histogram(finitePaybacks),
+        neverPaysBackShare: (paybacks.length - finitePaybacks.length) / paybacks.length
+      }
+    };
+  };
+
+  return {
+    defaultUncertainty,
+    uncertaintyRanges,
+    distributionTypes,
+    createRandom,
+    sampleDistribution,
+    defaultDistribution,
+    validateUncertainty,
+    histogram,
+    runMonteCarlo
+  };
+});
@@ -0,0 +1,135 @@
+// Network traffic model.
+// Estimates the monthly bytes of each network flow from the workload (read and write operations,
+// average row and result size, read fan-out) and the layout of the databases (zones, replication
+// factor, TiFlash learners, Multi-AZ standbys and read replicas), and prices the flows the cloud
+// bills: inter-AZ transfer (catalog.networkPricePerGB), internet and VPC egress, and NAT gateway
+// hours and processing. The TiDB cluster and the source database are modelled from the same
+// workload, so the comparison does not depend on a traffic guess for either side.
+// Exposes window.TiDBNetwork in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBNetwork = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SECONDS_PER_MONTH = 730 * 3600;
+  const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+  // Default network state
+  const defaultNetwork = {
+    avgRowBytes: 1024, // Bytes per write: the row, its index entries and log overhead
+    avgResultBytes: 2048, // Bytes returned to the client per read
+    readFanOut: 2, // Bytes TiDB reads from TiKV per byte it returns (scans, multi-region reads)
+    zoneAwareClients: false, // Clients reach a database node in their own zone (zone-aware load balancing)
+    internetEgressGB: 100, // Results served to clients outside the cloud
+    vpcEgressGB: 0, // Traffic to application VPCs / VNets over peering or a transit gateway
+    natGateway: true, // Private nodes reach the internet through one NAT gateway per zone
+    natProcessedGB: 200 // Image pulls, package updates and telemetry through the NAT gateways
+  };
+
+  // Network inputs, in panel order
+  const networkFields = [
+    { key: 'avgRowBytes', label: 'Average Row Size (bytes)', step: 128 },
+    { key: 'avgResultBytes', label: 'Average Result Size (bytes)', step: 256 },
+    { key: 'readFanOut', label: 'Read Fan-out (TiKV bytes per result byte)', step: 0.5 },
+    { key: 'internetEgressGB', label: 'Internet Egress (GB/month)', step: 100 },
+    { key: 'vpcEgressGB', label: 'VPC Egress (GB/month)', step: 100 },
+    { key: 'natProcessedGB', label: 'NAT Processed (GB/month)', step: 100 }
+  ];
+
+  const monthlyGB = (bytesPerSecond) => bytesPerSecond * SECONDS_PER_MONTH / BYTES_PER_GB;
+
+  // Share of traffic between two endpoints placed independently over the zones that crosses zones
+  const crossZoneShare = (zones) => zones > 1 ? (zones - 1) / zones : 0;
+
+  // A priced flow. billed: false for traffic the provider carries for free (the flow is still
+  // reported with its volume).
+  const flow = (key, name, gb, pricePerGB, billed = true) => ({
+    key,
+    name,
+    gb,
+    pricePerGB: billed ? pricePerGB : 0,
+    cost: billed ? gb * pricePerGB : 0,
+    billed
+  });
+
+  // Egress and NAT flows both sides share: the clients and their traffic are the same whichever
+  // database serves them. natGateways: gateways the side needs (0 when its nodes need no NAT).
+  const egressFlows = (network, catalog, natGateways) => [
+    flow('internetEgress', 'Internet Egress', network.internetEgressGB, catalog.internetEgressPricePerGB),
+    flow('vpcEgress', 'VPC Egress', network.vpcEgressGB, catalog.vpcTransferPricePerGB),
+    ...(natGateways > 0
+      ? [
+        { ...flow('natHours', 'NAT Gateways', 0, 0), cost: natGateways * catalog.natGatewayMonthlyCost },
+        flow('natProcessing', 'NAT Processing', network.natProcessedGB, catalog.natGatewayPricePerGB)
+      ]
+      : [])
+  ];
+
+  const total = (flows) => flows.reduce((sum, item) => sum + item.cost, 0);
+
+  // Client traffic: requests in, results out. It crosses zones unless clients are routed to their
+  // own zone.
+  const clientBytesPerSecond = ({ readOps, writeOps }, network) =>
+    readOps * network.avgResultBytes + writeOps * network.avgRowBytes;
+
+  // Flows of the TiDB cluster. layout: { readOps, writeOps, zones, replicationFactor,
+  // tiflashReplicas }. Raft sends each write from the region leader to its followers, placed one
+  // per zone by PD's location labels, so all but the replicas sharing the leader's zone cross; TiFlash
+  // learners receive every write of the replicated tables wherever they are. TiDB nodes reach the
+  // leaders of any zone.
+  // Returns { flows, interAzGB, total }.
+  const estimateTidbTraffic = (layout, network, catalog) => {
+    const { readOps, writeOps, zones, replicationFactor, tiflashReplicas } = layout;
+    const share = crossZoneShare(zones);
+    const writeBytes = writeOps * network.avgRowBytes;
+    const remoteFollowers = zones > 1 ? replicationFactor - Math.ceil(replicationFactor / zones) : 0;
+    const price = catalog.networkPricePerGB;
+
+    const interAz = [
+      flow('raft', 'Raft Replication', monthlyGB(writeBytes * remoteFollowers), price),
+      flow('tiflashLearners', 'TiFlash Learners', monthlyGB(writeBytes * tiflashReplicas * share), price),
+      flow('tidbTikv', 'TiDB to TiKV',
+        monthlyGB((readOps * network.avgResultBytes * network.readFanOut + writeBytes) * share), price),
+      flow('clients', 'Clients to TiDB',
+        monthlyGB(network.zoneAwareClients ? 0 : clientBytesPerSecond(layout, network) * share), price)
+    ];
+    const flows = [...interAz, ...egressFlows(network, catalog, network.natGateway ? zones : 0)];
+    return { flows, interAzGB: interAz.reduce((sum, item) => sum + item.gb, 0), total: total(flows) };
+  };
+
+  // Flows of the source database. layout: { readOps, writeOps, zones, shards, multiAZ, readReplicas,
+  // hosting, managed }. Each shard's primary sits in one zone and clients are spread over the zones.
+  // A Multi-AZ standby receives every write in another zone, and each read replica receives the
+  // write stream from wherever it is placed. RDS bills neither (Multi-AZ and in-region replica
+  // replication are free); between self-managed VMs they are ordinary inter-AZ transfer. Aurora
+  // replicates below the instances, in its shared cluster volume, so it has no replication flows.
+  // Managed databases need no NAT gateway.
+  // Returns { flows, interAzGB, total }.
+  const estimateSourceTraffic = (layout, network, catalog) => {
+    const { writeOps, zones, shards, multiAZ, readReplicas, hosting, managed } = layout;
+    const share = crossZoneShare(zones);
+    const writeBytes = writeOps * network.avgRowBytes;
+    const replicated = hosting !== 'aurora';
+    const price = catalog.networkPricePerGB;
+
+    const interAz = [
+      flow('clients', 'Clients to Database',
+        monthlyGB(network.zoneAwareClients ? 0 : clientBytesPerSecond(layout, network) * share), price),
+      flow('multiAz', 'Multi-AZ Standby', monthlyGB(replicated && multiAZ ? writeBytes : 0), price, !managed),
+      // writeOps is the whole database's; each replica follows one shard
+      flow('replicas', 'Read Replicas',
+        monthlyGB(replicated ? writeBytes / shards * readReplicas * share : 0), price, !managed)
+    ];
+    const flows = [...interAz, ...egressFlows(network, catalog, !managed && network.natGateway ? zones : 0)];
+    return { flows, interAzGB: interAz.reduce((sum, item) => sum + item.gb, 0), total: total(flows) };
+  };
+
+  return {
+    defaultNetwork,
+    networkFields,
+    estimateTidbTraffic,
+    estimateSourceTraffic
+  };
+});
@@ -0,0 +1,125 @@
+// Pricing catalogs.
+// Each catalog is a JSON file in catalogs/ holding the instance, volume and service prices for one
+// region of one cloud provider (AWS, Google Cloud or Azure) at one effective date;
+// catalogs/index.json lists them. TiDB Cloud prices live apart in catalogs/tidb-cloud.json, one entry
+// per region (see lib/tidbcloud.js). Loaded with fetch() in the browser (exposes window.TiDBPricing)
+// and from disk in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('fs'), require('path'));
+  } else {
+    root.TiDBPricing = factory(null, null);
+  }
+})(typeof self !== 'undefined' ? self : this, function (fs, path) {
+  // Base location of the catalog files, relative to the page in the browser
+  const CATALOG_BASE_URL = 'catalogs/';
+
+  // Keys every catalog must provide, and the ones its cloud provider adds (AWS when unset): compute,
+  // block volume and object storage prices, plus the RDS and Aurora tables on AWS. The network prices
+  // (inter-AZ, internet egress, VPC transfer, NAT gateway) price the flows of lib/network.js.
+  const requiredCatalogKeys = [
+    'id', 'name', 'region', 'effectiveDate', 'networkPricePerGB', 'internetEgressPricePerGB', 'vpcTransferPricePerGB',
+    'natGatewayMonthlyCost', 'natGatewayPricePerGB', 'kubernetesControlPlaneCost', 'purchaseDiscounts'
+  ];
+  const providerCatalogKeys = {
+    aws: [
+      'ec2InstanceTypes', 'ebsVolumeTypes', 'postgresInstanceTypes', 'mysqlInstanceTypes', 'rdsStorageTypes',
+      'rdsBackupPricePerGB', 'rdsPerformanceInsightsPricePerVcpu', 'auroraPostgres', 'auroraMysql', 's3PricePerGB'
+    ],
+    gcp: ['gceMachineTypes', 'persistentDiskTypes', 'gcsPricePerGB'],
+    azure: ['azureVmSizes', 'managedDiskTypes', 'blobPricePerGB']
+  };
+
+  // Keys every region of the TiDB Cloud catalog must provide, per model
+  const requiredTidbCloudKeys = {
+    dedicated: ['nodeSizes', 'minNodes', 'storagePricePerGB', 'crossAzTransferPerGB', 'internetEgressPerGB'],
+    serverless: [
+      'requestUnitPricePerMillion', 'rowStoragePricePerGB', 'columnarStoragePricePerGB', 'freeRequestUnitsMillions',
+      'freeRowStorageGB', 'freeColumnarStorageGB', 'internetEgressPerGB'
+    ]
+  };
+
+  // Read a catalog file: from disk in Node, over HTTP in the browser
+  const readCatalogFile = (file) => {
+    if (fs) {
+      const fullPath = path.join(__dirname, '..', 'catalogs', file);
+      return Promise.resolve(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+    }
+    return fetch(CATALOG_BASE_URL + file).then(response => {
+      if (!response.ok) {
+        throw new Error(`Failed to load pricing catalog ${file}: HTTP ${response.status}`);
+      }
+      return response.json();
+    });
+  };
+
+  // Check that a catalog has every section the sizing engine prices from
+  const validateCatalog = (catalog) => {
+    const provider = catalog.provider || 'aws';
+    if (!providerCatalogKeys[provider]) {
+      throw new Error(`Pricing catalog ${catalog.id || '(unnamed)'} has an unknown provider "${provider}"`);
+    }
+    const missing = [...requiredCatalogKeys, ...providerCatalogKeys[provider]]
+      .filter(key => catalog[key] === undefined || catalog[key] === null);
+    if (missing.length > 0) {
+      throw new Error(`Pricing catalog ${catalog.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    return catalog;
+  };
+
+  // Check the TiDB Cloud catalog: every region prices Dedicated and every Dedicated tier; Serverless
+  // is checked only in the regions that offer it (AWS)
+  const validateTidbCloudCatalog = (cloudCatalog) => {
+    const missing = ['id', 'name', 'effectiveDate', 'regions'].filter(key => !cloudCatalog[key]);
+    Object.keys(cloudCatalog.regions || {}).forEach(region => {
+      Object.keys(requiredTidbCloudKeys)
+        .filter(model => model === 'dedicated' || cloudCatalog.regions[region][model])
+        .forEach(model => {
+          const prices = cloudCatalog.regions[region][model] || {};
+          requiredTidbCloudKeys[model]
+            .filter(key => prices[key] === undefined || prices[key] === null)
+            .forEach(key => missing.push(`${region}.${model}.${key}`));
+        });
+      const nodeSizes = (cloudCatalog.regions[region].dedicated || {}).nodeSizes || {};
+      ['tidb', 'tikv', 'tiflash']
+        .filter(tier => !nodeSizes[tier] || Object.keys(nodeSizes[tier]).length === 0)
+        .forEach(tier => missing.push(`${region}.dedicated.nodeSizes.${tier}`));
+    });
+    if (missing.length > 0) {
+      throw new Error(`TiDB Cloud catalog ${cloudCatalog.id || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+    return cloudCatalog;
+  };
+
+  // List the available catalogs: { default, catalogs: [{ id, name, region, effectiveDate, file }] }
+  const listCatalogs = () => readCatalogFile('index.json');
+
+  // Load and validate a catalog by id
+  const loadCatalog = (id) => {
+    return listCatalogs().then(index => {
+      const entry = index.catalogs.find(item => item.id === id);
+      if (!entry) {
+        throw new Error(`Unknown pricing catalog "${id}"`);
+      }
+      return readCatalogFile(entry.file);
+    }).then(validateCatalog);
+  };
+
+  // Load and validate the TiDB Cloud catalog
+  const loadTidbCloudCatalog = () => readCatalogFile('tidb-cloud.json').then(validateTidbCloudCatalog);
+
+  // Short label for showing which prices produced a result
+  const describeCatalog = (catalog) => `${catalog.name} · prices effective ${catalog.effectiveDate}`;
+
+  return {
+    requiredCatalogKeys,
+    providerCatalogKeys,
+    validateCatalog,
+    listCatalogs,
+    loadCatalog,
+    requiredTidbCloudKeys,
+    validateTidbCloudCatalog,
+    loadTidbCloudCatalog,
+    describeCatalog
+  };
+});
@@ -0,0 +1,134 @@
+// Multi-year TCO projection.
+// Grows the data set month by month at workload.dataGrowthRate, re-sizes both sides with the
+// grown data and accumulates source database vs TiDB cost (TiDB starting with the one-time migration cost
+// from the migration plan). The projection stops early at the first month whose grown inputs would
+// leave the validation bounds (lib/validation.js), and says so in stoppedAt.
+// Exposes window.TiDBProjection in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./sizing'), require('./sources'), require('./validation'));
+  } else {
+    root.TiDBProjection = factory(root.TiDBSizing, root.TiDBSources, root.TiDBValidation);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBSizing, TiDBSources, TiDBValidation) {
+  const { sizeCluster } = TiDBSizing;
+  const { getSource, calculateSourceInstanceCost, nextSourceInstanceType } = TiDBSources;
+  const { validateInputs } = TiDBValidation;
+
+  // Projection horizons offered in the UI (months)
+  const projectionHorizons = [12, 24, 36, 60];
+
+  // First month (1-based) where cumulative TiDB cost is at or below cumulative source database cost
+  const findBreakEvenMonth = (months) => {
+    const point = months.find(m => m.month > 0 && m.cumulativeTidb <= m.cumulativePostgres);
+    return point ? point.month : null;
+  };
+
+  // Project monthly and cumulative costs over the given number of months.
+  // inputs: the same object sizeCluster takes (including catalog).
+  // Returns { months, events, breakEvenMonth, totalPostgres, totalTidb, netSavings, stoppedAt }, where
+  // stoppedAt is null, or { month, message } for the first month left out because its grown inputs
+  // are invalid (the data outgrows the storage limit); totals then cover the months before it.
+  const projectTco = (inputs, months) => {
+    const { postgres, workload, operational, catalog } = inputs;
+    const monthlyGrowth = workload.dataGrowthRate / 100;
+    const basePostgresCost = calculateSourceInstanceCost(postgres, catalog);
+    const sourceLabel = getSource(postgres.source).label;
+
+    // The source instance is upsized to the next size in its family each time the data
+    // doubles from the size the current instance was carrying
+    let postgresInstanceType = postgres.instanceType;
+    let upsizeAtGB = postgres.storageGB * 2;
+
+    let cumulativePostgres = 0;
+    let cumulativeTidb = sizeCluster(inputs).costs.oneTimeCosts;
+    let previous = null;
+    let stoppedAt = null;
+    const events = [];
+    const points = [{
+      month: 0,
+      storageGB: postgres.storageGB,
+      cumulativePostgres,
+      cumulativeTidb
+    }];
+
+    for (let month = 1; month <= months; month++) {
+      const growth = Math.pow(1 + monthlyGrowth, month - 1);
+      const storageGB = Math.round(postgres.storageGB * growth);
+
+      while (storageGB >= upsizeAtGB && upsizeAtGB > 0) {
+        const next = nextSourceInstanceType({ ...postgres, instanceType: postgresInstanceType }, catalog);
+        if (!next) break;
+        events.push({ month, side: sourceLabel, change: `${postgresInstanceType} → ${next}` });
+        postgresInstanceType = next;
+        upsizeAtGB *= 2;
+      }
+
+      // Source: the current on-demand instance bill plus any instance upsize; sizeCluster applies
+      // its purchasing option and re-prices storage and backups at the grown size
+      const upsizedPostgres = { ...postgres, instanceType: postgresInstanceType };
+      const postgresOnDemand = postgres.monthlyCost +
+        (calculateSourceInstanceCost(upsizedPostgres, catalog) - basePostgresCost);
+
+      // TiDB: re-run sizing with the grown data set; backups grow with the data
+      const monthInputs = {
+        ...inputs,
+        postgres: { ...upsizedPostgres, storageGB, monthlyCost: postgresOnDemand },
+        operational: { ...operational, backupSizeGB: operational.backupSizeGB * growth }
+      };
+      const validation = validateInputs(monthInputs);
+      if (!validation.valid) {
+        stoppedAt = {
+          month,
+          message: `The projection stops after month ${month - 1}: ` +
+            validation.errors.map(error => `${error.field}: ${error.message}`).join(' ')
+        };
+        break;
+      }
+      const sizing = sizeCluster(monthInputs);
+      const { topology } = sizing;
+      const postgresMonthly = sizing.costs.postgresMonthlyCost;
+      const tidbMonthly = sizing.costs.totalMonthlyCost;
+
+      if (previous) {
+        ['tikvNodes', 'tiflashNodes', 'tidbNodes'].forEach(field => {
+          if (topology[field] !== previous[field]) {
+            events.push({ month, side: 'TiDB', change: `${field} ${previous[field]} → ${topology[field]}` });
+          }
+        });
+      }
+      previous = topology;
+
+      cumulativePostgres += postgresMonthly;
+      cumulativeTidb += tidbMonthly;
+      points.push({
+        month,
+        storageGB,
+        postgresInstanceType,
+        postgresMonthly,
+        tidbMonthly,
+        tidbNodes: topology.tidbNodes,
+        tikvNodes: topology.tikvNodes,
+        tiflashNodes: topology.tiflashNodes,
+        cumulativePostgres,
+        cumulativeTidb
+      });
+    }
+
+    return {
+      months: points,
+      events,
+      breakEvenMonth: findBreakEvenMonth(points),
+      totalPostgres: cumulativePostgres,
+      totalTidb: cumulativeTidb,
+      netSavings: cumulativePostgres - cumulativeTidb,
+      stoppedAt
+    };
+  };
+
+  return {
+    projectionHorizons,
+    findBreakEvenMonth,
+    projectTco
+  };
+});
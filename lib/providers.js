@@ -0,0 +1,144 @@
+// Cloud providers.
+// The TiDB cluster can be priced on AWS (EKS / EC2), Google Cloud (GKE / Compute Engine) or Azure
+// (AKS / Virtual Machines); the pricing catalog's provider decides which. Each provider names its
+// services for the UI, says which catalog tables price its instances, volumes and object storage
+// (validation checks catalog keys against these tables), and picks its own default instance type per
+// TiDB role -- local-SSD / NVMe types for TiKV and TiFlash, as i3 is on AWS -- and its default volume
+// type.
+// Exposes window.TiDBProviders in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBProviders = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // tables: the catalog entries the provider's compute instances, block volumes and object storage
+  // are priced from; purchaseService is their key in catalog.purchaseDiscounts.
+  // tidbByMemory: TiDB instance type by the source's memory per instance (GB), first match wins.
+  // zoneName: the zone label of the index-th zone of a region.
+  const cloudProviders = [
+    {
+      id: 'aws',
+      label: 'AWS',
+      names: { kubernetes: 'EKS', compute: 'EC2', volumes: 'EBS', objectStorage: 'S3', localDisk: 'NVMe instance store' },
+      tables: { instances: 'ec2InstanceTypes', volumes: 'ebsVolumeTypes', objectStorage: 's3PricePerGB', purchaseService: 'ec2' },
+      defaultVolumeType: 'gp3',
+      recommendedInstances: {
+        tidbByMemory: [[128, 'r5.4xlarge'], [64, 'r5.2xlarge'], [0, 'c5.4xlarge']],
+        tikv: 'i3.4xlarge',
+        pd: 'm5.4xlarge',
+        tiflash: 'i3.8xlarge',
+        monitoring: 'c5.2xlarge'
+      },
+      zoneName: (region, index) => region + 'abcdef'[index]
+    },
+    {
+      id: 'gcp',
+      label: 'Google Cloud',
+      names: { kubernetes: 'GKE', compute: 'Compute Engine', volumes: 'Persistent Disk', objectStorage: 'GCS', localDisk: 'local SSD' },
+      tables: { instances: 'gceMachineTypes', volumes: 'persistentDiskTypes', objectStorage: 'gcsPricePerGB', purchaseService: 'gce' },
+      defaultVolumeType: 'pd-balanced',
+      recommendedInstances: {
+        tidbByMemory: [[128, 'n2-highmem-16'], [64, 'n2-highmem-8'], [0, 'c2-standard-16']],
+        tikv: 'n2-highmem-16-lssd',
+        pd: 'n2-standard-16',
+        tiflash: 'n2-highmem-32-lssd',
+        monitoring: 'n2-standard-8'
+      },
+      zoneName: (region, index) => `${region}-${'abcdef'[index]}`
+    },
+    {
+      id: 'azure',
+      label: 'Azure',
+      names: { kubernetes: 'AKS', compute: 'Azure VM', volumes: 'Managed Disk', objectStorage: 'Blob Storage', localDisk: 'local NVMe' },
+      tables: { instances: 'azureVmSizes', volumes: 'managedDiskTypes', objectStorage: 'blobPricePerGB', purchaseService: 'azureVm' },
+      defaultVolumeType: 'premium-ssd-v2',
+      recommendedInstances: {
+        tidbByMemory: [[128, 'Standard_E16s_v5'], [64, 'Standard_E8s_v5'], [0, 'Standard_D16s_v5']],
+        tikv: 'Standard_L16s_v3',
+        pd: 'Standard_D16s_v5',
+        tiflash: 'Standard_L32s_v3',
+        monitoring: 'Standard_D8s_v5'
+      },
+      zoneName: (region, index) => `${region}-${index + 1}`
+    }
+  ];
+
+  const getProvider = (id) => {
+    const provider = cloudProviders.find(item => item.id === id);
+    if (!provider) {
+      throw new Error(`Unknown cloud provider "${id}"`);
+    }
+    return provider;
+  };
+
+  // The provider a pricing catalog belongs to (catalogs without one are AWS)
+  const catalogProvider = (catalog) => getProvider(catalog.provider || 'aws');
+
+  // The catalog tables of a pricing catalog's provider ({} for an unknown provider, which validation
+  // then reports as unknown catalog keys)
+  const catalogTables = (catalog) => {
+    const provider = cloudProviders.find(item => item.id === (catalog.provider || 'aws'));
+    return provider ? provider.tables : {};
+  };
+
+  // Look up a catalog entry, failing loudly instead of substituting a default
+  const requireCatalogEntry = (catalog, table, key) => {
+    const entry = catalog[table] && catalog[table][key];
+    if (!entry) {
+      throw new Error(`Unknown ${table} key "${key}" in pricing catalog ${catalog.id}`);
+    }
+    return entry;
+  };
+
+  // How the cluster is run: TiDB Operator on the provider's Kubernetes service, or TiUP directly on
+  // its VMs. The ids predate other providers ('eks' is any managed Kubernetes, 'ec2' any VMs).
+  const deploymentModesFor = (provider) => [
+    { id: 'eks', label: `${provider.names.kubernetes} (TiDB Operator)` },
+    { id: 'ec2', label: `${provider.names.compute} (TiUP)` }
+  ];
+
+  // Zone names for a region: us-east-1a, us-central1-a or eastus-1, ...
+  const zonesFor = (catalog, count) => {
+    const provider = catalogProvider(catalog);
+    return Array.from({ length: Math.max(1, count) }, (_, i) => provider.zoneName(catalog.region, i));
+  };
+
+  // Move the TiDB instance, volume and worker group choices into another catalog: pinned instance
+  // types the catalog lacks follow the recommendation again, volume types it lacks become the
+  // provider's default, and worker groups on unknown instance types go back to one group per role
+  const adaptToCatalog = ({ instances, storage, kubernetes }, catalog) => {
+    const provider = catalogProvider(catalog);
+    const instanceTypes = catalog[provider.tables.instances];
+    const volumeTypes = catalog[provider.tables.volumes];
+
+    const nextInstances = {};
+    Object.keys(instances).forEach(field => {
+      nextInstances[field] = instances[field] && instanceTypes[instances[field]] ? instances[field] : null;
+    });
+    const nextStorage = { ...storage };
+    ['tidbEbsType', 'tikvAdditionalEbsType', 'pdEbsType', 'tiflashEbsType'].forEach(field => {
+      if (!volumeTypes[storage[field]]) nextStorage[field] = provider.defaultVolumeType;
+    });
+    const groupsValid = !kubernetes.workerGroups ||
+      kubernetes.workerGroups.every(group => instanceTypes[group.instanceType]);
+
+    return {
+      instances: nextInstances,
+      storage: nextStorage,
+      kubernetes: groupsValid ? kubernetes : { ...kubernetes, workerGroups: null }
+    };
+  };
+
+  return {
+    cloudProviders,
+    getProvider,
+    catalogProvider,
+    catalogTables,
+    requireCatalogEntry,
+    deploymentModesFor,
+    zonesFor,
+    adaptToCatalog
+  };
+});
@@ -0,0 +1,112 @@
+// Purchasing options: on-demand, Reserved Instances (committed use discounts on Google Cloud),
+// Compute Savings Plans and Spot.
+// Discount rates come from the pricing catalog (catalog.purchaseDiscounts); upfront payments are
+// amortized over the term so every option is compared as an effective monthly cost.
+// Exposes window.TiDBPurchasing in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBPurchasing = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Purchase options; upfrontFraction is the share of the term's total paid on day one
+  const purchaseOptions = [
+    { id: 'on-demand', label: 'On-Demand', termMonths: 0, upfrontFraction: 0 },
+    { id: 'ri-1yr-no-upfront', label: '1yr Reserved, No Upfront', termMonths: 12, upfrontFraction: 0 },
+    { id: 'ri-1yr-partial-upfront', label: '1yr Reserved, Partial Upfront', termMonths: 12, upfrontFraction: 0.5 },
+    { id: 'ri-1yr-all-upfront', label: '1yr Reserved, All Upfront', termMonths: 12, upfrontFraction: 1 },
+    { id: 'ri-3yr-no-upfront', label: '3yr Reserved, No Upfront', termMonths: 36, upfrontFraction: 0 },
+    { id: 'ri-3yr-partial-upfront', label: '3yr Reserved, Partial Upfront', termMonths: 36, upfrontFraction: 0.5 },
+    { id: 'ri-3yr-all-upfront', label: '3yr Reserved, All Upfront', termMonths: 36, upfrontFraction: 1 },
+    { id: 'spot', label: 'Spot', termMonths: 0, upfrontFraction: 0 }
+  ];
+
+  // Spot capacity can be reclaimed at any time, so only stateless roles may use it
+  const spotEligibleRoles = ['tidb', 'monitoring'];
+
+  const savingsPlanTerms = ['1yr', '3yr'];
+
+  // Default purchasing state: everything on-demand, no Savings Plan
+  const defaultPurchasing = {
+    tidb: 'on-demand',
+    tikv: 'on-demand',
+    pd: 'on-demand',
+    tiflash: 'on-demand',
+    monitoring: 'on-demand',
+    postgres: 'on-demand',
+    savingsPlanCoverage: 0, // % of remaining on-demand instance spend covered by a Compute Savings Plan
+    savingsPlanTerm: '1yr'
+  };
+
+  // Options a role can choose from (Spot only for stateless roles, never for RDS)
+  const optionsForRole = (role) => purchaseOptions.filter(option =>
+    option.id !== 'spot' || spotEligibleRoles.includes(role));
+
+  // Price one line of on-demand spend under a purchase option.
+  // service is the catalog.purchaseDiscounts entry: 'ec2', 'gce', 'azureVm' or 'rds'. Returns the amortized monthly cost and the upfront payment.
+  const applyPurchaseOption = (onDemandMonthly, optionId, service, catalog) => {
+    const option = purchaseOptions.find(item => item.id === optionId) || purchaseOptions[0];
+    const discount = option.id === 'on-demand' ? 0 : (catalog.purchaseDiscounts[service][option.id] || 0);
+    const monthly = onDemandMonthly * (1 - discount);
+    return {
+      option: option.id,
+      label: option.label,
+      onDemand: onDemandMonthly,
+      monthly,
+      upfront: monthly * option.termMonths * option.upfrontFraction,
+      recurring: monthly * (1 - option.upfrontFraction),
+      discount
+    };
+  };
+
+  // Price the TiDB roles' instance spend. roleCosts: { tidb: onDemandMonthly, ... }; service: the
+  // provider's instance service ('ec2', 'gce', 'azureVm'). A Compute Savings Plan then covers savingsPlanCoverage % of whatever is still on-demand.
+  const priceRoles = (roleCosts, purchasing, catalog, warnings, service = 'ec2') => {
+    const roles = {};
+    let onDemandRemaining = 0;
+
+    Object.keys(roleCosts).forEach(role => {
+      let optionId = purchasing[role] || 'on-demand';
+      if (optionId === 'spot' && !spotEligibleRoles.includes(role)) {
+        warnings.push({
+          code: 'SPOT_NOT_ALLOWED',
+          message: `Spot is not offered for stateful ${role} nodes; priced as on-demand.`
+        });
+        optionId = 'on-demand';
+      }
+      roles[role] = applyPurchaseOption(roleCosts[role], optionId, service, catalog);
+      if (optionId === 'on-demand') {
+        onDemandRemaining += roleCosts[role];
+      }
+    });
+
+    const coverage = Math.min(100, Math.max(0, purchasing.savingsPlanCoverage)) / 100;
+    const planDiscount = catalog.purchaseDiscounts.computeSavingsPlan[purchasing.savingsPlanTerm] || 0;
+    if (coverage > 0 && onDemandRemaining > 0) {
+      Object.keys(roles).forEach(role => {
+        if (roles[role].option !== 'on-demand') return;
+        roles[role].monthly = roles[role].onDemand * (1 - coverage * planDiscount);
+        roles[role].recurring = roles[role].monthly;
+        roles[role].discount = coverage * planDiscount;
+        roles[role].label = `On-Demand + ${purchasing.savingsPlanCoverage}% Savings Plan`;
+      });
+    }
+
+    return {
+      roles,
+      savingsPlanCommitment: onDemandRemaining * coverage * (1 - planDiscount),
+      upfrontTotal: Object.values(roles).reduce((sum, role) => sum + role.upfront, 0)
+    };
+  };
+
+  return {
+    purchaseOptions,
+    spotEligibleRoles,
+    savingsPlanTerms,
+    defaultPurchasing,
+    optionsForRole,
+    applyPurchaseOption,
+    priceRoles
+  };
+});
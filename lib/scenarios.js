@@ -0,0 +1,179 @@
+// Named scenarios: save/load to localStorage, JSON import/export and shareable URL hashes.
+// A scenario wraps a snapshot of the calculator state; this module treats that state as opaque
+// and leaves the choice of state keys to the caller.
+// Exposes window.TiDBScenarios in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBScenarios = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SCENARIO_FORMAT_VERSION = 1;
+  const STORAGE_KEY = 'tidb-calculator.scenarios';
+  const HASH_PREFIX = '#scenario=';
+  // Longest URL hash written to the address bar; larger states are shared as scenario files
+  const MAX_HASH_LENGTH = 32000;
+  // Bytes passed to String.fromCharCode at a time (spreading a whole state overflows the stack)
+  const BYTE_CHUNK_SIZE = 8192;
+
+  const generateId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+  const createScenario = (name, state) => ({
+    id: generateId(),
+    name,
+    savedAt: new Date().toISOString(),
+    version: SCENARIO_FORMAT_VERSION,
+    state
+  });
+
+  // Saved scenarios, oldest first. store is window.localStorage or anything with getItem/setItem.
+  const readScenarios = (store) => {
+    try {
+      return JSON.parse(store.getItem(STORAGE_KEY)) || [];
+    } catch (err) {
+      return [];
+    }
+  };
+
+  const writeScenarios = (store, scenarios) => {
+    store.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return scenarios;
+  };
+
+  // Save state under a name, replacing an existing scenario with the same name
+  const saveScenario = (store, name, state) => {
+    const scenarios = readScenarios(store);
+    const scenario = createScenario(name, state);
+    const existing = scenarios.findIndex(item => item.name === name);
+    if (existing >= 0) {
+      scenarios[existing] = { ...scenario, id: scenarios[existing].id };
+    } else {
+      scenarios.push(scenario);
+    }
+    return writeScenarios(store, scenarios);
+  };
+
+  // Add an imported scenario as a new entry (a fresh id avoids clashing with local copies)
+  const addScenario = (store, scenario) => {
+    const scenarios = readScenarios(store);
+    scenarios.push({ ...scenario, id: generateId() });
+    return writeScenarios(store, scenarios);
+  };
+
+  const renameScenario = (store, id, name) => {
+    return writeScenarios(store, readScenarios(store).map(item => item.id === id ? { ...item, name } : item));
+  };
+
+  const duplicateScenario = (store, id) => {
+    const scenarios = readScenarios(store);
+    const original = scenarios.find(item => item.id === id);
+    if (!original) return scenarios;
+    scenarios.push(createScenario(`${original.name} (copy)`, original.state));
+    return writeScenarios(store, scenarios);
+  };
+
+  const deleteScenario = (store, id) => {
+    return writeScenarios(store, readScenarios(store).filter(item => item.id !== id));
+  };
+
+  // JSON file form of a scenario
+  const serializeScenario = (scenario) => JSON.stringify(scenario, null, 2);
+
+  // Parse and check an imported scenario file
+  const parseScenario = (text) => {
+    let scenario;
+    try {
+      scenario = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Scenario file is not valid JSON: ${err.message}`);
+    }
+    if (!scenario || typeof scenario.state !== 'object' || scenario.state === null) {
+      throw new Error('Scenario file has no calculator state');
+    }
+    if (scenario.version > SCENARIO_FORMAT_VERSION) {
+      throw new Error(`Scenario file version ${scenario.version} is newer than this calculator supports`);
+    }
+    return {
+      ...scenario,
+      name: scenario.name || 'Imported scenario',
+      version: scenario.version || SCENARIO_FORMAT_VERSION
+    };
+  };
+
+  // Binary string of UTF-8 bytes for btoa, converted a chunk at a time
+  const bytesToBinary = (bytes) => {
+    const chunks = [];
+    for (let start = 0; start < bytes.length; start += BYTE_CHUNK_SIZE) {
+      chunks.push(String.fromCharCode.apply(null, bytes.subarray(start, start + BYTE_CHUNK_SIZE)));
+    }
+    return chunks.join('');
+  };
+
+  // UTF-8 safe base64url, in the browser and in Node
+  const toBase64Url = (text) => {
+    const base64 = typeof Buffer !== 'undefined'
+      ? Buffer.from(text, 'utf8').toString('base64')
+      : btoa(bytesToBinary(new TextEncoder().encode(text)));
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  const fromBase64Url = (encoded) => {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(base64, 'base64').toString('utf8');
+    }
+    const binary = atob(base64);
+    return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+  };
+
+  // URL hash holding the full calculator state (callers check it against MAX_HASH_LENGTH)
+  const encodeScenarioHash = (state) => HASH_PREFIX + toBase64Url(JSON.stringify({
+    version: SCENARIO_FORMAT_VERSION,
+    state
+  }));
+
+  // State from a URL hash, or null when the hash is not a scenario link
+  const decodeScenarioHash = (hash) => {
+    if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    } catch (err) {
+      throw new Error('Shared link is corrupted and could not be read');
+    }
+    return parseScenario(JSON.stringify(payload)).state;
+  };
+
+  // Overlay saved state on the current defaults so scenarios saved before a field existed still load
+  const mergeScenarioState = (defaults, state) => {
+    const merged = {};
+    Object.keys(defaults).forEach(key => {
+      const value = state[key];
+      if (value === undefined) {
+        merged[key] = defaults[key];
+      } else if (defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key])) {
+        merged[key] = { ...defaults[key], ...value };
+      } else {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  };
+
+  return {
+    SCENARIO_FORMAT_VERSION,
+    MAX_HASH_LENGTH,
+    readScenarios,
+    saveScenario,
+    addScenario,
+    renameScenario,
+    duplicateScenario,
+    deleteScenario,
+    serializeScenario,
+    parseScenario,
+    encodeScenarioHash,
+    decodeScenarioHash,
+    mergeScenarioState
+  };
+});
@@ -0,0 +1,147 @@
+// Kubernetes worker node bin-packing.
+// Simulates scheduling the TiDB pods onto EKS, GKE or AKS worker node groups: each pod requests what
+// its role's instance type offers after the kubelet/daemonset reservation, replicas are spread evenly
+// across availability zones, TiKV and PD keep one replica per node (anti-affinity), and pods are
+// packed first-fit decreasing onto the fewest nodes of the group that runs their role.
+// Exposes window.TiDBScheduler in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TiDBScheduler = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Default Kubernetes settings: per-node reservation and worker groups
+  // (workerGroups null = one dedicated group per role, using the role's instance type)
+  const defaultKubernetes = {
+    reservedCpu: 1, // vCPU held back on every node for kubelet, the OS and daemonsets
+    reservedMemoryPercent: 10, // % of node memory held back likewise
+    workerGroups: null
+  };
+
+  // Roles whose replicas must land on different nodes
+  const antiAffinityRoles = ['tikv', 'pd'];
+
+  // CPU and memory left for pods on an instance (and so the request of a pod sized to one)
+  const allocatable = (instance, kubernetes) => ({
+    cpu: Math.max(0, instance.vCPU - kubernetes.reservedCpu),
+    memory: Math.floor(instance.memory * (1 - kubernetes.reservedMemoryPercent / 100))
+  });
+
+  // One worker group per role with replicas, on the role's own instance type
+  const dedicatedWorkerGroups = (roles) => roles
+    .filter(({ count }) => count > 0)
+    .map(({ role, instanceType }) => ({ name: role, instanceType, roles: [role] }));
+
+  const fits = (node, pod) => node.cpuRequested + pod.cpu <= node.cpuAllocatable + 1e-9 &&
+    node.memoryRequested + pod.memory <= node.memoryAllocatable + 1e-9;
+
+  const conflicts = (node, pod) => antiAffinityRoles.includes(pod.role) &&
+    node.pods.some(other => other.role === pod.role);
+
+  // Schedule the cluster's pods.
+  // roles: [{ role, count, instanceType, instance }] (instance = catalog spec of instanceType)
+  // groups: [{ name, instanceType, instance, roles }] (instance null when the type is unknown)
+  const scheduleWorkers = ({ roles, groups, zones, kubernetes }) => {
+    // First group listing a role runs it
+    const roleGroups = {};
+    groups.forEach(group => group.roles.forEach(role => {
+      if (!roleGroups[role]) roleGroups[role] = group.name;
+    }));
+
+    // Pods, each assigned round-robin to a zone
+    const pods = roles.flatMap(({ role, count, instance }) => Array.from({ length: count }, (_, index) => ({
+      name: `${role}-${index}`,
+      role,
+      zone: zones[index % zones.length],
+      ...allocatable(instance, kubernetes)
+    })));
+
+    const unschedulable = [];
+    const results = groups.map(group => {
+      const nodes = [];
+      const groupPods = pods.filter(pod => roleGroups[pod.role] === group.name);
+      if (!group.instance) {
+        groupPods.forEach(pod => unschedulable.push({
+          pod: pod.name,
+          role: pod.role,
+          reason: `worker group "${group.name}" uses unknown instance type ${group.instanceType}`
+        }));
+        return { ...group, allocatable: null, nodes, nodeCount: 0 };
+      }
+      const capacity = allocatable(group.instance, kubernetes);
+
+      zones.forEach(zone => {
+        const zonePods = groupPods
+          .filter(pod => pod.zone === zone)
+          .sort((a, b) => (b.cpu - a.cpu) || (b.memory - a.memory));
+        zonePods.forEach(pod => {
+          if (pod.cpu > capacity.cpu || pod.memory > capacity.memory) {
+            unschedulable.push({
+              pod: pod.name,
+              role: pod.role,
+              reason: `requests ${pod.cpu} vCPU / ${pod.memory} GiB, more than a ${group.instanceType} node ` +
+                `offers (${capacity.cpu} vCPU / ${capacity.memory} GiB)`
+            });
+            return;
+          }
+          let node = nodes.find(item => item.zone === zone && fits(item, pod) && !conflicts(item, pod));
+          if (!node) {
+            node = {
+              name: `${group.name}-${zone}-${nodes.filter(item => item.zone === zone).length + 1}`,
+              zone,
+              pods: [],
+              cpuRequested: 0,
+              memoryRequested: 0,
+              cpuAllocatable: capacity.cpu,
+              memoryAllocatable: capacity.memory
+            };
+            nodes.push(node);
+          }
+          node.pods.push(pod);
+          node.cpuRequested += pod.cpu;
+          node.memoryRequested += pod.memory;
+        });
+      });
+
+      return {
+        ...group,
+        allocatable: capacity,
+        nodes: nodes.map(node => ({
+          ...node,
+          pods: node.pods.map(pod => pod.name),
+          cpuUtilization: node.cpuAllocatable > 0 ? node.cpuRequested / node.cpuAllocatable : 0,
+          memoryUtilization: node.memoryAllocatable > 0 ? node.memoryRequested / node.memoryAllocatable : 0
+        })),
+        nodeCount: nodes.length
+      };
+    });
+
+    pods.filter(pod => !roleGroups[pod.role]).forEach(pod => unschedulable.push({
+      pod: pod.name,
+      role: pod.role,
+      reason: 'no worker group runs this role'
+    }));
+
+    // Pod requests per role, for manifests
+    const requests = {};
+    roles.forEach(({ role, instance }) => { requests[role] = allocatable(instance, kubernetes); });
+
+    return {
+      zones,
+      groups: results,
+      roleGroups,
+      requests,
+      unschedulable,
+      nodeCount: results.reduce((sum, group) => sum + group.nodeCount, 0)
+    };
+  };
+
+  return {
+    defaultKubernetes,
+    antiAffinityRoles,
+    allocatable,
+    dedicatedWorkerGroups,
+    scheduleWorkers
+  };
+});
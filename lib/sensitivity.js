@@ -0,0 +1,167 @@
+// Sensitivity analysis.
+// Re-sizes the cluster with one input or sizing assumption at a time moved down and up by a
+// percentage, and reports the swing in TiDB monthly cost and monthly savings (tornado rows, widest
+// first) together with the tiers (TiDB, TiKV, TiFlash, worker nodes) whose node count or cost moved.
+// Exposes window.TiDBSensitivity in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./sizing'), require('./validation'), require('./assumptions'), require('./network'), require('./providers')
+    );
+  } else {
+    root.TiDBSensitivity = factory(
+      root.TiDBSizing, root.TiDBValidation, root.TiDBAssumptions, root.TiDBNetwork, root.TiDBProviders
+    );
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBSizing, TiDBValidation, TiDBAssumptions, TiDBNetwork, TiDBProviders) {
+  const { sizeCluster } = TiDBSizing;
+  const { inputSchema } = TiDBValidation;
+  const { catalogTables } = TiDBProviders;
+  const { defaultAssumptions } = TiDBAssumptions;
+  const { defaultNetwork } = TiDBNetwork;
+
+  // Default perturbation (±%) and the range offered in the UI
+  const DEFAULT_SENSITIVITY_PERCENT = 20;
+  const sensitivityPercentRange = { min: 1, max: 90 };
+
+  // Scale every price in one catalog table by factor
+  const scalePrices = (catalog, table, priceField, factor) => {
+    const scaled = {};
+    Object.keys(catalog[table]).forEach(key => {
+      scaled[key] = { ...catalog[table][key], [priceField]: catalog[table][key][priceField] * factor };
+    });
+    return { ...catalog, [table]: scaled };
+  };
+
+  // Parameters: get reads the current value, set returns the inputs with a new value (and the value
+  // actually used). An input field is kept within its validation bounds.
+  const inputParameter = (section, field, label) => ({
+    id: `${section}.${field}`,
+    label,
+    multiplier: false,
+    get: (inputs) => inputs[section][field],
+    set: (inputs, raw) => {
+      const rule = inputSchema[section][field];
+      const rounded = rule.type === 'integer' ? Math.round(raw) : Math.round(raw * 10000) / 10000;
+      const value = Math.min(rule.max, Math.max(rule.min, rounded));
+      return { inputs: { ...inputs, [section]: { ...inputs[section], [field]: value } }, value };
+    }
+  });
+
+  // A catalog price table, as a multiplier on its prices (1 = catalog prices). kind names the table
+  // in the catalog's provider tables (instances or volumes), so the parameter works on any provider.
+  const priceParameter = (id, label, kind, priceField) => ({
+    id,
+    label,
+    multiplier: true,
+    get: () => 1,
+    set: (inputs, factor) => {
+      const value = Math.max(0, factor);
+      const table = catalogTables(inputs.catalog)[kind];
+      return { inputs: { ...inputs, catalog: scalePrices(inputs.catalog, table, priceField, value) }, value };
+    }
+  });
+
+  // Everything the analysis perturbs (and the Monte Carlo simulation can vary)
+  const sensitivityParameters = [
+    inputParameter('postgres', 'storageGB', 'Data Size (GB)'),
+    inputParameter('postgres', 'readOps', 'Read Ops/s'),
+    inputParameter('postgres', 'writeOps', 'Write Ops/s'),
+    inputParameter('postgres', 'monthlyCost', 'Source Instance Cost'),
+    inputParameter('workload', 'concurrentConnections', 'Concurrent Connections'),
+    inputParameter('workload', 'peakRatio', 'Peak to Normal Ratio'),
+    inputParameter('assumptions', 'compressionRatio', 'Compression Ratio'),
+    inputParameter('assumptions', 'storageUsageRatio', 'Max Storage Usage'),
+    inputParameter('assumptions', 'writesPerTikvNode', 'Writes/s per TiKV Node'),
+    inputParameter('assumptions', 'readsPerTidbNode', 'Reads/s per TiDB Node'),
+    inputParameter('assumptions', 'connectionsPerTidbNode', 'Connections per TiDB Node'),
+    inputParameter('network', 'avgRowBytes', 'Average Row Size (bytes)'),
+    inputParameter('network', 'readFanOut', 'Read Fan-out'),
+    inputParameter('network', 'internetEgressGB', 'Internet Egress (GB)'),
+    inputParameter('operational', 'backupSizeGB', 'Backup Size (GB)'),
+    priceParameter('prices.ec2', 'Instance Prices', 'instances', 'monthlyCost'),
+    priceParameter('prices.ebs', 'Volume Prices', 'volumes', 'basePrice')
+  ];
+
+  // Tiers a parameter can move: node count and the cost attributed to them
+  const sensitivityTiers = [
+    { id: 'tidb', label: 'TiDB' },
+    { id: 'tikv', label: 'TiKV' },
+    { id: 'tiflash', label: 'TiFlash' },
+    { id: 'workers', label: 'Workers' }
+  ];
+
+  const tierMetrics = ({ topology, costs }) => {
+    const sharedWorkerCost = costs.computeLines
+      .filter(line => line.key.startsWith('workers-'))
+      .reduce((sum, line) => sum + costs.instances[line.key], 0);
+    const roleMetrics = (role) => ({
+      nodes: topology[`${role}Nodes`],
+      cost: (costs.instances[role] || 0) + (costs.instances[`unscheduled-${role}`] || 0) + costs.storage[role]
+    });
+    return {
+      tidb: roleMetrics('tidb'),
+      tikv: roleMetrics('tikv'),
+      tiflash: roleMetrics('tiflash'),
+      workers: { nodes: topology.k8sWorkerNodes, cost: sharedWorkerCost }
+    };
+  };
+
+  const differs = (a, b) => a.nodes !== b.nodes || Math.abs(a.cost - b.cost) > 0.005;
+
+  // Perturb each parameter by ±percent. inputs: the (valid) object sizeCluster takes.
+  // Returns { percent, base, rows } with rows sorted by TiDB cost swing, widest first.
+  const analyzeSensitivity = (sizingInputs, percent = DEFAULT_SENSITIVITY_PERCENT) => {
+    const inputs = {
+      ...sizingInputs,
+      assumptions: sizingInputs.assumptions || defaultAssumptions,
+      network: sizingInputs.network || defaultNetwork
+    };
+    const base = sizeCluster(inputs);
+    const baseTiers = tierMetrics(base);
+    const run = (parameter, factor) => {
+      const { inputs: perturbed, value } = parameter.set(inputs, parameter.get(inputs) * factor);
+      const sizing = sizeCluster(perturbed);
+      return {
+        value: parameter.multiplier ? `×${value.toFixed(2)}` : value,
+        totalMonthlyCost: sizing.costs.totalMonthlyCost,
+        monthlySavings: sizing.costs.monthlySavings,
+        tiers: tierMetrics(sizing)
+      };
+    };
+
+    const rows = sensitivityParameters.map(parameter => {
+      const low = run(parameter, 1 - percent / 100);
+      const high = run(parameter, 1 + percent / 100);
+      const tiers = {};
+      sensitivityTiers.forEach(({ id }) => {
+        tiers[id] = differs(low.tiers[id], baseTiers[id]) || differs(high.tiers[id], baseTiers[id]);
+      });
+      const swing = (field) => Math.max(low[field], high[field], base.costs[field]) -
+        Math.min(low[field], high[field], base.costs[field]);
+      return {
+        id: parameter.id,
+        label: parameter.label,
+        low: { value: low.value, totalMonthlyCost: low.totalMonthlyCost, monthlySavings: low.monthlySavings },
+        high: { value: high.value, totalMonthlyCost: high.totalMonthlyCost, monthlySavings: high.monthlySavings },
+        costSwing: swing('totalMonthlyCost'),
+        savingsSwing: swing('monthlySavings'),
+        tiers
+      };
+    }).sort((a, b) => (b.costSwing - a.costSwing) || (b.savingsSwing - a.savingsSwing));
+
+    return {
+      percent,
+      base: { totalMonthlyCost: base.costs.totalMonthlyCost, monthlySavings: base.costs.monthlySavings },
+      rows
+    };
+  };
+
+  return {
+    DEFAULT_SENSITIVITY_PERCENT,
+    sensitivityPercentRange,
+    sensitivityParameters,
+    sensitivityTiers,
+    analyzeSensitivity
+  };
+});
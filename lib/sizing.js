@@ -0,0 +1,555 @@
+// TiDB sizing and cost engine.
+// Framework-free: loaded as a plain <script> in the browser (exposes window.TiDBSizing)
+// and via require() in Node, so the calculator numbers can be reproduced outside the UI.
+// All prices come from a pricing catalog (see lib/pricing.js) passed in as inputs.catalog.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./purchasing'), require('./dataprofile'), require('./scheduler'), require('./validation'),
+      require('./assumptions'), require('./migration'), require('./labor'), require('./sources'), require('./tidbcloud'),
+      require('./providers'), require('./network')
+    );
+  } else {
+    root.TiDBSizing = factory(
+      root.TiDBPurchasing, root.TiDBDataProfile, root.TiDBScheduler, root.TiDBValidation, root.TiDBAssumptions,
+      root.TiDBMigration, root.TiDBLabor, root.TiDBSources, root.TiDBCloud, root.TiDBProviders,
+      root.TiDBNetwork
+    );
+  }
+})(typeof self !== 'undefined' ? self : this, function (
+  TiDBPurchasing, TiDBDataProfile, TiDBScheduler, TiDBValidation, TiDBAssumptions, TiDBMigration, TiDBLabor, TiDBSources,
+  TiDBCloud, TiDBProviders, TiDBNetwork
+) {
+  const { defaultPurchasing, applyPurchaseOption, priceRoles } = TiDBPurchasing;
+  const { condenseProfile, summarizeProfile } = TiDBDataProfile;
+  const { defaultKubernetes, dedicatedWorkerGroups, scheduleWorkers } = TiDBScheduler;
+  const { validateInputs, safeDivide } = TiDBValidation;
+  const { defaultAssumptions, describeAssumptions } = TiDBAssumptions;
+  const { defaultMigration, planMigration } = TiDBMigration;
+  const { defaultLabor, calculateLaborCosts } = TiDBLabor;
+  const { getSource, calculateSourceCosts, sourceBreakdown, profileSource, calculateVolumeCost } = TiDBSources;
+  const { defaultTidbCloud, tidbCloudRegion, offersModel, priceTidbCloud } = TiDBCloud;
+  const { catalogProvider, catalogTables, requireCatalogEntry, zonesFor } = TiDBProviders;
+  const { defaultNetwork, estimateTidbTraffic } = TiDBNetwork;
+
+  // Monthly cost of one block volume (EBS, Persistent Disk or Managed Disk) at the 3000 IOPS /
+  // 125 MB/s the TiDB roles are provisioned with
+  const calculateEbsCost = (catalog, type, sizeGB, iops = 3000, throughput = 125) => {
+    if (sizeGB === 0) return 0;
+    const cost = calculateVolumeCost(catalog, catalogTables(catalog).volumes, type, sizeGB, iops, throughput);
+    return cost.storage + cost.iops + cost.throughput;
+  };
+
+  // If the source database is using high-memory instances, suggest similar for TiDB: the provider's
+  // high-memory types, or its compute-optimized default (r5 / c5 on AWS)
+  const recommendTidbInstanceType = (sourceMemory, provider = catalogProvider({})) =>
+    provider.recommendedInstances.tidbByMemory.find(([minMemory]) => sourceMemory >= minMemory)[1];
+
+  // Recommended instance type for each role on the provider; TiKV and TiFlash get local-SSD types
+  const recommendInstanceTypes = (sourceMemory, provider = catalogProvider({})) => ({
+    tidbInstanceType: recommendTidbInstanceType(sourceMemory, provider),
+    tikvInstanceType: provider.recommendedInstances.tikv,
+    pdInstanceType: provider.recommendedInstances.pd,
+    tiflashInstanceType: provider.recommendedInstances.tiflash,
+    monitoringInstanceType: provider.recommendedInstances.monitoring
+  });
+
+  // Topology fields that follow the recommendation unless the user pins them.
+  // A pinned value is any non-null entry in tidbCluster (node counts) or instances (instance types).
+  const pinnableNodeFields = ['tidbNodes', 'tikvNodes', 'tiflashNodes'];
+  const pinnableInstanceFields = ['tidbInstanceType', 'tikvInstanceType', 'pdInstanceType', 'tiflashInstanceType', 'monitoringInstanceType'];
+
+  const isPinned = (value) => value !== null && value !== undefined;
+
+  const roundUpTo = (value, step) => Math.ceil(value / step) * step;
+
+  // Look up the instance type chosen for a role in the provider's instance table
+  const resolveInstance = (catalog, type) => requireCatalogEntry(catalog, catalogTables(catalog).instances, type);
+
+  // Display names of the roles, in cost breakdown order
+  const roleNames = {
+    tidb: 'TiDB Nodes',
+    tikv: 'TiKV Nodes',
+    pd: 'PD Nodes',
+    tiflash: 'TiFlash Nodes',
+    monitoring: 'Monitoring'
+  };
+
+  // Pack the role replicas onto the Kubernetes worker groups (lib/scheduler.js)
+  const packWorkers = (topology, kubernetes, catalog) => {
+    const counts = {
+      pd: topology.pdNodes,
+      tikv: topology.tikvNodes,
+      tidb: topology.tidbNodes,
+      tiflash: topology.tiflashNodes,
+      monitoring: 1
+    };
+    const roles = Object.keys(roleNames).map(role => {
+      const instanceType = topology.instances[`${role}InstanceType`];
+      return { role, count: counts[role], instanceType, instance: resolveInstance(catalog, instanceType) };
+    });
+    const groups = (kubernetes.workerGroups || dedicatedWorkerGroups(roles)).map(group => ({
+      ...group,
+      instance: catalog[catalogTables(catalog).instances][group.instanceType] || null
+    }));
+    return scheduleWorkers({
+      roles,
+      groups,
+      zones: zonesFor(catalog, topology.availabilityZones),
+      kubernetes
+    });
+  };
+
+  // Derive the recommended TiDB cluster topology from the source database and workload inputs.
+  // The source is read through its normalized profile (lib/sources.js), so every source database
+  // sizes the same way. The rule-of-thumb constants come from assumptions (lib/assumptions.js).
+  const sizeTopology = ({
+    postgres, workload, tidbCluster, instances, catalog, dataProfile,
+    kubernetes = defaultKubernetes, assumptions = defaultAssumptions
+  }) => {
+    // Source processing power: vCPU summed across the shards' primaries and the readers
+    const source = profileSource(postgres, catalog);
+    const effectiveSourceVcpu = source.totalVcpu;
+
+    // Instance types: the user's pinned choice, otherwise the recommendation
+    const recommendedInstances = recommendInstanceTypes(source.memoryPerInstance, catalogProvider(catalog));
+    const resolvedInstances = {};
+    pinnableInstanceFields.forEach(field => {
+      resolvedInstances[field] = isPinned(instances[field]) ? instances[field] : recommendedInstances[field];
+    });
+
+    // In TiDB, SQL processing is done by TiDB nodes - calculate equivalent TiDB nodes
+    // TiDB nodes are most closely comparable to the source's primary instances in function
+    // Minimum of 3 TiDB nodes for HA, sized against the vCPU of the chosen TiDB instance
+    const vcpuPerTidbNode = resolveInstance(catalog, resolvedInstances.tidbInstanceType).vCPU;
+    const suggestedTidbNodesFromCpu = Math.max(3, Math.ceil(effectiveSourceVcpu / vcpuPerTidbNode));
+
+    // Also calculate based on connections (balancing factor)
+    const { connectionsPerTidbNode } = assumptions;
+    const suggestedTidbNodesFromConn = Math.max(3, Math.ceil(workload.concurrentConnections / connectionsPerTidbNode));
+
+    // And based on read operations, which are all served through the TiDB SQL layer
+    const { readsPerTidbNode } = assumptions;
+    const suggestedTidbNodesFromReads = Math.max(3, Math.ceil(source.readOps / readsPerTidbNode));
+
+    // Take the largest of the suggestions
+    const baseTidbNodes = Math.max(suggestedTidbNodesFromCpu, suggestedTidbNodesFromConn, suggestedTidbNodesFromReads);
+
+    // Estimate TiKV nodes based on size and workload
+    // Formula based on TiDB Cloud docs: ceil(data_size * compression_ratio * replicas / storage_usage_ratio / node_capacity / 3) * 3
+    const { compressionRatio, storageUsageRatio, defaultNodeCapacity } = assumptions;
+
+    // With a per-table data profile, compressed sizes come from the table estimates (index overhead
+    // included, TiFlash only for the flagged tables); otherwise from the whole-database storageGB
+    const profile = dataProfile && condenseProfile(dataProfile).tableCount > 0
+      ? summarizeProfile(dataProfile, source.storageGB, compressionRatio)
+      : null;
+    const compressedDataGB = profile ? profile.tikvGB : source.storageGB * compressionRatio;
+    const suggestedTikvNodesForStorage = Math.ceil(
+      (compressedDataGB * tidbCluster.dataReplicationFactor) /
+      (storageUsageRatio * defaultNodeCapacity * 3)
+    ) * 3;
+
+    // Calculate TiKV nodes based on write operations (TiKV is CPU sensitive for writes)
+    // General rule: 1 TiKV node per X write operations
+    const { writesPerTikvNode } = assumptions;
+    const suggestedTikvNodesFromWrites = Math.max(3, Math.ceil(source.writeOps / writesPerTikvNode / 3) * 3);
+
+    // Minimum of 3 TiKV nodes required
+    const suggestedTikvNodes = Math.max(3, Math.max(suggestedTikvNodesForStorage, suggestedTikvNodesFromWrites));
+
+    // More TiKV nodes for write-heavy workloads
+    const writeHeavyFactor = workload.readWriteRatio.startsWith('50') ? assumptions.writeHeavyFactor5050 :
+                            workload.readWriteRatio.startsWith('30') ? assumptions.writeHeavyFactor3070 : 1;
+
+    // TiFlash nodes for OLAP or Mixed workloads (analytics), or for the tables the profile flags
+    const useTiflash = profile ? profile.tiflashTables > 0 : (workload.type === 'OLAP' || workload.type === 'Mixed');
+    const compressedTiflashGB = profile ? profile.tiflashGB : source.storageGB * compressionRatio;
+
+    // TiFlash replica calculation based on TiDB docs
+    const tiflashReplicas = useTiflash ? assumptions.tiflashReplicas : 0;
+    const suggestedTiflashNodes = useTiflash ?
+      Math.max(tiflashReplicas, Math.ceil((compressedTiflashGB * tiflashReplicas) /
+      (tidbCluster.dataReplicationFactor * storageUsageRatio * defaultNodeCapacity))) : 0;
+
+    // Adjust for traffic spikes
+    const { spikeFactorCap } = assumptions;
+    const spikeFactor = workload.trafficSpikes ? Math.min(spikeFactorCap, workload.peakRatio / 2) : 1;
+
+    // Round the counts up so the recommendation passes the HA rules (lib/availability.js): a spare
+    // TiKV node beyond the replicas, TiKV spread evenly over the AZs, and TiDB and TiFlash in every AZ
+    const zones = tidbCluster.availabilityZones >= 2 ? tidbCluster.availabilityZones : 1;
+    const tikvNodesForHa = roundUpTo(
+      Math.max(Math.ceil(suggestedTikvNodes * writeHeavyFactor), tidbCluster.dataReplicationFactor + 1),
+      zones
+    );
+
+    const recommended = {
+      tidbNodes: Math.max(Math.ceil(baseTidbNodes * spikeFactor), zones),
+      tikvNodes: tikvNodesForHa,
+      tiflashNodes: useTiflash ? Math.max(suggestedTiflashNodes, zones) : 0
+    };
+    const pick = (field) => isPinned(tidbCluster[field]) ? tidbCluster[field] : recommended[field];
+    const tidbNodes = pick('tidbNodes');
+    const tikvNodes = pick('tikvNodes');
+    const tiflashNodes = pick('tiflashNodes');
+
+    recommended.instances = recommendedInstances;
+
+    const pinned = [
+      ...pinnableNodeFields.filter(field => isPinned(tidbCluster[field])),
+      ...pinnableInstanceFields.filter(field => isPinned(instances[field]))
+    ];
+
+    const topology = {
+      deploymentMode: tidbCluster.deploymentMode || 'eks',
+      source,
+      dataProfile: profile,
+      tidbNodes,
+      tikvNodes,
+      pdNodes: tidbCluster.pdNodes,
+      tiflashNodes,
+      useTiflash: tiflashNodes > 0,
+      eksClusterCount: tidbCluster.eksClusterCount,
+      availabilityZones: tidbCluster.availabilityZones,
+      dataReplicationFactor: tidbCluster.dataReplicationFactor,
+      instances: resolvedInstances,
+      recommended,
+      pinned,
+      factors: {
+        sourceVcpu: source.vcpuPerInstance,
+        sourceMemory: source.memoryPerInstance,
+        primarySourceVcpu: source.primaryVcpu,
+        primarySourceMemory: source.primaryMemoryGB,
+        readerSourceVcpu: source.readerVcpu,
+        effectiveSourceVcpu,
+        vcpuPerTidbNode,
+        suggestedTidbNodesFromCpu,
+        connectionsPerTidbNode,
+        suggestedTidbNodesFromConn,
+        readsPerTidbNode,
+        suggestedTidbNodesFromReads,
+        baseTidbNodes,
+        compressionRatio,
+        storageUsageRatio,
+        defaultNodeCapacity,
+        compressedDataGB,
+        compressedTiflashGB,
+        suggestedTikvNodesForStorage,
+        writesPerTikvNode,
+        suggestedTikvNodesFromWrites,
+        suggestedTikvNodes,
+        writeHeavyFactor,
+        useTiflash,
+        tiflashReplicas,
+        suggestedTiflashNodes,
+        spikeFactorCap,
+        spikeFactor
+      }
+    };
+
+    // On Kubernetes the worker nodes come from packing the pods onto the worker groups; with TiUP on VMs
+    // every replica has its own instance and there are no worker nodes
+    topology.workers = topology.deploymentMode === 'eks' ? packWorkers(topology, kubernetes, catalog) : null;
+    topology.k8sWorkerNodes = topology.workers ? topology.workers.nodeCount : 0;
+    return topology;
+  };
+
+  // Price a topology: instances, storage, backup, network and Kubernetes, plus savings vs the source
+  // database, and the same workload on TiDB Cloud when a TiDB Cloud catalog is supplied
+  const costTopology = (topology, {
+    postgres, storage, operational, catalog, purchasing = defaultPurchasing, migration = defaultMigration,
+    labor = defaultLabor, network = defaultNetwork, tidbCloud = defaultTidbCloud, tidbCloudCatalog = null
+  }, warnings) => {
+    const { instances } = topology;
+
+    // Extract instance costs
+    const tidbInstanceCost = resolveInstance(catalog, instances.tidbInstanceType).monthlyCost;
+    const tikvInstance = resolveInstance(catalog, instances.tikvInstanceType);
+    const tikvInstanceCost = tikvInstance.monthlyCost;
+    const pdInstanceCost = resolveInstance(catalog, instances.pdInstanceType).monthlyCost;
+    const tiflashInstanceCost = resolveInstance(catalog, instances.tiflashInstanceType).monthlyCost;
+    const monitoringInstanceCost = resolveInstance(catalog, instances.monitoringInstanceType).monthlyCost;
+
+    // Pods the worker groups cannot hold still need nodes: each is priced as one on-demand node of
+    // its role's instance type (the pod is sized to one), so a packing failure never lowers the total
+    const unscheduledCounts = {};
+    (topology.workers ? topology.workers.unschedulable : []).forEach(({ role }) => {
+      unscheduledCounts[role] = (unscheduledCounts[role] || 0) + 1;
+    });
+    const unscheduledLines = Object.keys(unscheduledCounts).map(role => ({
+      key: `unscheduled-${role}`,
+      name: `${roleNames[role]} (unscheduled)`,
+      onDemand: resolveInstance(catalog, instances[`${role}InstanceType`]).monthlyCost * unscheduledCounts[role]
+    }));
+
+    // Compute lines: on Kubernetes the packed worker groups (a group dedicated to one role is keyed and
+    // purchased as that role; shared groups are on-demand plus any Savings Plan) and the unscheduled
+    // pods, on VMs one instance per replica of each role
+    const computeLines = topology.workers
+      ? [
+        ...topology.workers.groups.filter(group => group.nodeCount > 0).map(group => {
+          const dedicated = group.roles.length === 1;
+          return {
+            key: dedicated ? group.roles[0] : `workers-${group.name}`,
+            name: dedicated ? roleNames[group.roles[0]] : `Workers (${group.name})`,
+            onDemand: group.instance.monthlyCost * group.nodeCount
+          };
+        }),
+        ...unscheduledLines
+      ]
+      : [
+        { key: 'tidb', name: roleNames.tidb, onDemand: tidbInstanceCost * topology.tidbNodes },
+        { key: 'tikv', name: roleNames.tikv, onDemand: tikvInstanceCost * topology.tikvNodes },
+        { key: 'pd', name: roleNames.pd, onDemand: pdInstanceCost * topology.pdNodes },
+        { key: 'tiflash', name: roleNames.tiflash, onDemand: tiflashInstanceCost * topology.tiflashNodes },
+        { key: 'monitoring', name: roleNames.monitoring, onDemand: monitoringInstanceCost }
+      ];
+    const onDemandInstanceCosts = {};
+    computeLines.forEach(line => { onDemandInstanceCosts[line.key] = line.onDemand; });
+
+    // Apply the purchasing option chosen for each role (amortized monthly cost)
+    const provider = catalogProvider(catalog);
+    const rolePricing = priceRoles(onDemandInstanceCosts, purchasing, catalog, warnings, provider.tables.purchaseService);
+    const instanceCosts = {};
+    computeLines.forEach(line => {
+      instanceCosts[line.key] = rolePricing.roles[line.key].monthly;
+    });
+    instanceCosts.total = computeLines.reduce((sum, line) => sum + instanceCosts[line.key], 0);
+
+    // Calculate storage costs (TiKV's instance store is on the node it is scheduled to)
+    const tikvGroup = topology.workers &&
+      topology.workers.groups.find(group => group.name === topology.workers.roleGroups.tikv);
+    const tikvHost = (tikvGroup && tikvGroup.instance) || tikvInstance;
+    const tikvUsingInstanceStore = storage.tikvUseInstanceStore && tikvHost.nvme;
+    const tikvInstanceStorageSize = tikvUsingInstanceStore ? (tikvHost.nvme || 0) : 0;
+    // The instance store is split over this many disks (nvmeDisks; localSsdCount on Google Cloud)
+    const tikvLocalDisks = tikvUsingInstanceStore ? (tikvHost.nvmeDisks || tikvHost.localSsdCount || 1) : 0;
+
+    const storageCosts = {
+      tidb: calculateEbsCost(catalog, storage.tidbEbsType, storage.tidbEbsSize) * topology.tidbNodes,
+      tikv: calculateEbsCost(catalog, storage.tikvAdditionalEbsType, storage.tikvAdditionalEbsSize) * topology.tikvNodes,
+      pd: calculateEbsCost(catalog, storage.pdEbsType, storage.pdEbsSize) * topology.pdNodes,
+      tiflash: calculateEbsCost(catalog, storage.tiflashEbsType, storage.tiflashEbsSize) * topology.tiflashNodes
+    };
+    storageCosts.total = storageCosts.tidb + storageCosts.tikv + storageCosts.pd + storageCosts.tiflash;
+
+    const totalStorageGB =
+      (topology.tidbNodes * storage.tidbEbsSize) +
+      (topology.tikvNodes * (tikvInstanceStorageSize + storage.tikvAdditionalEbsSize)) +
+      (topology.pdNodes * storage.pdEbsSize) +
+      (topology.tiflashNodes * storage.tiflashEbsSize);
+
+    // Backups to the provider's object storage (S3, GCS or Blob Storage)
+    const s3BackupCost = operational.backupToS3 ? operational.backupSizeGB * catalog[provider.tables.objectStorage] : 0;
+
+    // Network costs: inter-AZ flows estimated from the workload and the cluster layout, plus egress
+    // and NAT gateways (lib/network.js)
+    const networkTraffic = estimateTidbTraffic({
+      readOps: topology.source.readOps,
+      writeOps: topology.source.writeOps,
+      zones: topology.availabilityZones,
+      replicationFactor: topology.dataReplicationFactor,
+      tiflashReplicas: topology.useTiflash ? topology.factors.tiflashReplicas : 0
+    }, network, catalog);
+    const networkCost = networkTraffic.total;
+
+    // Calculate Kubernetes management costs: the EKS, GKE or AKS control plane (none when deployed
+    // with TiUP on bare VMs)
+    const onEks = topology.deploymentMode === 'eks';
+    const kubernetesCosts = {
+      eksCluster: onEks ? topology.eksClusterCount * operational.eksClusterCost : 0,
+      eksMonitoring: onEks ? operational.eksMonitoringCost : 0
+    };
+    kubernetesCosts.total = kubernetesCosts.eksCluster + kubernetesCosts.eksMonitoring;
+
+    // Operations labor on both sides: always itemized, counted in the totals (and so savings and payback)
+    // only when the toggle is on
+    const laborCosts = calculateLaborCosts(labor);
+
+    // Calculate total recurring monthly costs
+    const infrastructureMonthlyCost = instanceCosts.total + storageCosts.total + s3BackupCost + networkCost +
+      kubernetesCosts.total;
+    const totalMonthlyCost = infrastructureMonthlyCost + (laborCosts.included ? laborCosts.tidb.total : 0);
+
+    // Calculate savings vs the source database: the instances with its purchasing option applied
+    // (RDS or VM pricing), plus storage, backups and the other lines of its cost model
+    // (lib/sources.js)
+    const postgresPricing = applyPurchaseOption(postgres.monthlyCost, purchasing.postgres,
+      getSource(postgres.source).purchaseService, catalog);
+    const postgresCosts = calculateSourceCosts(postgres, catalog, network, topology.availabilityZones);
+    const postgresInfrastructureCost = postgresPricing.monthly + postgresCosts.total;
+    const postgresMonthlyCost = postgresInfrastructureCost + (laborCosts.included ? laborCosts.postgres.total : 0);
+
+    // One-time costs: the migration project, including the period both databases are billed (the
+    // infrastructure bills only; engineering time is part of the plan)
+    const migrationPlan = planMigration(migration, {
+      storageGB: postgres.storageGB,
+      tikvNodes: topology.tikvNodes,
+      tidbMonthlyCost: infrastructureMonthlyCost,
+      postgresMonthlyCost: postgresInfrastructureCost
+    });
+    const oneTimeCosts = migrationPlan.totalCost;
+    const monthlySavings = postgresMonthlyCost - totalMonthlyCost;
+    const savingsPercentage = safeDivide(monthlySavings, postgresMonthlyCost) * 100;
+
+    // The third option: the same workload on TiDB Cloud (lib/tidbcloud.js)
+    const tidbCloudPrices = tidbCloudRegion(tidbCloudCatalog, catalog.region);
+    if (tidbCloudCatalog && tidbCloud.model !== 'none' && !tidbCloudPrices) {
+      warnings.push({
+        code: 'TIDB_CLOUD_REGION_UNPRICED',
+        message: `The TiDB Cloud catalog has no prices for ${catalog.region}; TiDB Cloud is left out of the comparison.`
+      });
+    } else if (tidbCloudCatalog && !offersModel(tidbCloudPrices, tidbCloud.model)) {
+      warnings.push({
+        code: 'TIDB_CLOUD_MODEL_UNPRICED',
+        message: `The TiDB Cloud catalog has no ${tidbCloud.model} prices for ${catalog.region}; TiDB Cloud is left out of the comparison.`
+      });
+    }
+    const tidbCloudCosts = tidbCloudCatalog
+      ? priceTidbCloud(topology, tidbCloud, {
+        catalog,
+        cloudCatalog: tidbCloudCatalog,
+        laborCosts,
+        sourceMonthlyCost: postgresMonthlyCost,
+        trafficEstimate: { crossAzGB: networkTraffic.interAzGB, egressGB: network.internetEgressGB }
+      })
+      : null;
+
+    // Itemized lines for the cost breakdown chart
+    const breakdown = [
+      ...computeLines.map(line => ({ key: line.key, name: line.name, value: instanceCosts[line.key] })),
+      { key: 'storage', name: 'Storage', value: storageCosts.total },
+      { key: 's3Backup', name: `${provider.names.objectStorage} Backup`, value: s3BackupCost },
+      ...networkTraffic.flows.map(item => ({ key: `network-${item.key}`, name: item.name, value: item.cost })),
+      ...(onEks ? [{ key: 'kubernetes', name: 'Kubernetes', value: kubernetesCosts.total }] : []),
+      ...laborCosts.lines
+    ];
+
+    return {
+      unitPrices: {
+        tidb: tidbInstanceCost,
+        tikv: tikvInstanceCost,
+        pd: pdInstanceCost,
+        tiflash: tiflashInstanceCost,
+        monitoring: monitoringInstanceCost
+      },
+      instances: instanceCosts,
+      computeLines: computeLines.map(line => ({ key: line.key, name: line.name })),
+      purchasing: {
+        roles: rolePricing.roles,
+        postgres: postgresPricing,
+        onDemandInstanceTotal: Object.values(onDemandInstanceCosts).reduce((sum, cost) => sum + cost, 0),
+        savingsPlanCommitment: rolePricing.savingsPlanCommitment,
+        upfrontTotal: rolePricing.upfrontTotal
+      },
+      storage: storageCosts,
+      tikvInstanceStorageSize,
+      tikvLocalDisks,
+      totalStorageGB,
+      s3Backup: s3BackupCost,
+      network: networkCost,
+      networkTraffic,
+      kubernetes: kubernetesCosts,
+      labor: laborCosts,
+      postgres: {
+        ...postgresCosts,
+        breakdown: [
+          ...sourceBreakdown(postgres, postgresCosts, postgresPricing.monthly),
+          { key: 'labor', name: 'DBA Staff', value: laborCosts.postgres.total }
+        ]
+      },
+      infrastructureMonthlyCost,
+      breakdown,
+      totalMonthlyCost,
+      migration: migrationPlan,
+      oneTimeCosts,
+      postgresMonthlyCost,
+      monthlySavings,
+      savingsPercentage,
+      tidbCloud: tidbCloudCosts
+    };
+  };
+
+  // Size and price a TiDB cluster for the given calculator state.
+  // inputs: { postgres, workload, tidbCluster, instances, storage, operational, catalog, dataProfile, assumptions,
+  // migration, labor, network, tidbCloud, tidbCloudCatalog }, where postgres holds the source database inputs
+  // (any source in lib/sources.js); costs.tidbCloud is null unless tidbCloudCatalog is given
+  // Throws when the inputs fail validateInputs (lib/validation.js); callers validate first to show
+  // the errors next to the fields.
+  const sizeCluster = (inputs) => {
+    const validation = validateInputs(inputs);
+    if (!validation.valid) {
+      throw new Error(`Invalid calculator inputs: ${validation.errors.map(error => `${error.field}: ${error.message}`).join(' ')}`);
+    }
+    const warnings = [];
+    const topology = sizeTopology(inputs);
+    const costs = costTopology(topology, inputs, warnings);
+
+    if (topology.workers && topology.workers.unschedulable.length > 0) {
+      warnings.push({
+        code: 'UNSCHEDULABLE_PODS',
+        message: `${topology.workers.unschedulable.length} pod(s) cannot be scheduled on the worker groups: ` +
+          topology.workers.unschedulable.map(item => `${item.pod} (${item.reason})`).join('; ') +
+          `. Each is priced as one more node of its role's instance type; adjust the worker groups before deploying.`
+      });
+    }
+
+    topology.tikvInstanceStorageSize = costs.tikvInstanceStorageSize;
+    topology.tikvLocalDisks = costs.tikvLocalDisks;
+    topology.totalStorageGB = costs.totalStorageGB;
+
+    // Record the catalog and the assumption set the result was produced with
+    const { id, name, region, effectiveDate } = inputs.catalog;
+    const assumptions = inputs.assumptions || defaultAssumptions;
+    return {
+      topology,
+      costs,
+      warnings,
+      catalog: { id, name, region, effectiveDate },
+      assumptions: { ...describeAssumptions(assumptions), values: assumptions }
+    };
+  };
+
+  // Estimate TiDB nodes and compute cost for every instance type of the source database at the
+  // given instance count
+  const getInstanceTypeImpact = (sourceId, instanceCount, catalog) => {
+    const provider = catalogProvider(catalog);
+    const instanceTypes = catalog[provider.tables.instances];
+    const sourceInstanceTypes = catalog[getSource(sourceId).tables.instances];
+    return Object.keys(sourceInstanceTypes).map(type => {
+      const sourceVcpu = sourceInstanceTypes[type].vCPU;
+      const sourceMemory = sourceInstanceTypes[type].memory;
+
+      // Determine instance type based on memory
+      const recommendedInstanceType = recommendTidbInstanceType(sourceMemory, provider);
+
+      // Estimate TiDB nodes based on vCPU, against the recommended TiDB instance as sizeTopology does
+      const vcpuPerTidbNode = instanceTypes[recommendedInstanceType].vCPU;
+      const estimatedTidbNodes = Math.max(3, Math.ceil((sourceVcpu * instanceCount) / vcpuPerTidbNode));
+
+      const tidbCost = instanceTypes[recommendedInstanceType].monthlyCost * estimatedTidbNodes;
+
+      return {
+        name: type,
+        vCPU: sourceVcpu,
+        memory: sourceMemory,
+        tidbNodes: estimatedTidbNodes,
+        instanceType: recommendedInstanceType,
+        tidbCost: tidbCost
+      };
+    });
+  };
+
+  return {
+    calculateEbsCost,
+    recommendTidbInstanceType,
+    recommendInstanceTypes,
+    pinnableNodeFields,
+    pinnableInstanceFields,
+    sizeTopology,
+    costTopology,
+    sizeCluster,
+    getInstanceTypeImpact
+  };
+});
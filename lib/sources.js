@@ -0,0 +1,322 @@
+// Source databases.
+// The database being migrated: RDS or Aurora (PostgreSQL or MySQL), or PostgreSQL / MySQL
+// self-managed on EC2, Compute Engine or Azure VMs. A source is offered with the pricing catalogs of
+// the cloud provider it runs on. Each has its own instance catalog and cost model, and is reduced to a
+// normalized profile -- vCPU and memory summed across shards and replicas, data size and read / write
+// rates -- that the sizing engine sizes TiDB from. Several primaries are treated as shards: storageGB
+// and iops are totals across the shards, each shard holding an equal part.
+// The cost model prices instances (Aurora with its instance premium and the I/O-Optimized uplift),
+// storage with provisioned IOPS and throughput, backups, Performance Insights, network traffic
+// (client, Multi-AZ and replica flows, egress; lib/network.js) and, on Aurora Standard, I/O
+// requests. Prices come from the pricing catalog (the source's instance and volume tables,
+// rdsBackupPricePerGB or the provider's object storage price, rdsPerformanceInsightsPricePerVcpu,
+// auroraPostgres / auroraMysql, the network prices).
+// Exposes window.TiDBSources in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./providers'), require('./network'));
+  } else {
+    root.TiDBSources = factory(root.TiDBProviders, root.TiDBNetwork);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBProviders, TiDBNetwork) {
+  const { getProvider, catalogTables, requireCatalogEntry } = TiDBProviders;
+  const { defaultNetwork, estimateSourceTraffic } = TiDBNetwork;
+
+  const SECONDS_PER_MONTH = 730 * 3600;
+
+  // hosting: 'rds' and 'aurora' are managed (RDS purchasing, automated backups, Performance
+  // Insights); 'vm' runs on the provider's VMs and block volumes, backed up to its object storage,
+  // and is bought like the TiDB instances.
+  // standbyServesReads: the Multi-AZ standby is a readable replica (an Aurora reader) rather than
+  // a hot standby, so it counts towards the read capacity TiDB has to match.
+  // tables: the catalog tables the instance, volume and Aurora cluster prices come from; self-managed
+  // sources use their provider's instance and volume tables.
+  const rdsPostgres = { instances: 'postgresInstanceTypes', storage: 'rdsStorageTypes' };
+  const rdsMysql = { instances: 'mysqlInstanceTypes', storage: 'rdsStorageTypes' };
+  const vmTables = (provider) => ({
+    instances: getProvider(provider).tables.instances,
+    storage: getProvider(provider).tables.volumes
+  });
+  const sourceDatabases = [
+    { id: 'rds-postgresql', label: 'RDS PostgreSQL', engine: 'PostgreSQL', hosting: 'rds', provider: 'aws', tables: rdsPostgres },
+    {
+      id: 'aurora-postgresql', label: 'Aurora PostgreSQL', engine: 'PostgreSQL', hosting: 'aurora', provider: 'aws',
+      tables: { ...rdsPostgres, aurora: 'auroraPostgres' }
+    },
+    { id: 'ec2-postgresql', label: 'PostgreSQL on EC2 (self-managed)', engine: 'PostgreSQL', hosting: 'vm', provider: 'aws' },
+    { id: 'rds-mysql', label: 'RDS MySQL', engine: 'MySQL', hosting: 'rds', provider: 'aws', tables: rdsMysql },
+    {
+      id: 'aurora-mysql', label: 'Aurora MySQL', engine: 'MySQL', hosting: 'aurora', provider: 'aws',
+      tables: { ...rdsMysql, aurora: 'auroraMysql' }
+    },
+    { id: 'ec2-mysql', label: 'MySQL on EC2 (self-managed)', engine: 'MySQL', hosting: 'vm', provider: 'aws' },
+    { id: 'gce-postgresql', label: 'PostgreSQL on Compute Engine (self-managed)', engine: 'PostgreSQL', hosting: 'vm', provider: 'gcp' },
+    { id: 'gce-mysql', label: 'MySQL on Compute Engine (self-managed)', engine: 'MySQL', hosting: 'vm', provider: 'gcp' },
+    { id: 'azure-vm-postgresql', label: 'PostgreSQL on Azure VMs (self-managed)', engine: 'PostgreSQL', hosting: 'vm', provider: 'azure' },
+    { id: 'azure-vm-mysql', label: 'MySQL on Azure VMs (self-managed)', engine: 'MySQL', hosting: 'vm', provider: 'azure' }
+  ].map(source => ({
+    ...source,
+    tables: source.tables || vmTables(source.provider),
+    managed: source.hosting !== 'vm',
+    purchaseService: source.hosting === 'vm' ? getProvider(source.provider).tables.purchaseService : 'rds',
+    standbyServesReads: source.hosting === 'aurora'
+  }));
+
+  const getSource = (id) => {
+    const source = sourceDatabases.find(item => item.id === id);
+    if (!source) {
+      throw new Error(`Unknown source database "${id}"`);
+    }
+    return source;
+  };
+
+  // Sources offered with a pricing catalog: those on its cloud provider
+  const sourcesForCatalog = (catalog) => sourceDatabases.filter(source => source.provider === (catalog.provider || 'aws'));
+
+  const auroraBillingModes = [
+    { id: 'standard', label: 'Aurora Standard (pay per I/O)' },
+    { id: 'io-optimized', label: 'Aurora I/O-Optimized' }
+  ];
+
+  // IOPS and throughput included with a volume that bills above a baseline: gp3 includes 3000 / 125,
+  // rising on RDS once the volume reaches 400 GB; other types (Hyperdisk Balanced, Premium SSD v2)
+  // carry theirs in the catalog
+  const volumeBaseline = (table, type, storageType, storageGB) => {
+    if (type === 'gp3') {
+      return table === 'rdsStorageTypes' && storageGB >= 400 ? { iops: 12000, throughput: 500 } : { iops: 3000, throughput: 125 };
+    }
+    return { iops: storageType.baselineIops || 0, throughput: storageType.baselineThroughput || 0 };
+  };
+
+  // Instances that each run (and outside Aurora store) a copy of a shard: primaries, doubled for
+  // Multi-AZ standbys, plus read replicas
+  const instanceCopies = (postgres) => postgres.instanceCount * (postgres.multiAZ ? 2 : 1) + postgres.readReplicas;
+
+  // On-demand instance cost; Aurora instances carry a premium over RDS, and more on I/O-Optimized
+  const calculateSourceInstanceCost = (postgres, catalog) => {
+    const source = getSource(postgres.source);
+    const instanceCost = requireCatalogEntry(catalog, source.tables.instances, postgres.instanceType).monthlyCost;
+    const aurora = source.tables.aurora && catalog[source.tables.aurora];
+    const factor = aurora
+      ? aurora.instancePriceFactor * (postgres.auroraBilling === 'io-optimized' ? aurora.ioOptimizedInstanceFactor : 1)
+      : 1;
+    return instanceCost * factor * instanceCopies(postgres);
+  };
+
+  // Re-price the source instances at a catalog's rates. Inputs the catalog cannot price (an unknown
+  // source or instance type, e.g. from an old shared link) keep their monthly cost for validation to report.
+  const repriceSource = (postgres, catalog) => {
+    const source = sourceDatabases.find(item => item.id === postgres.source);
+    const instanceTypes = source && catalog[source.tables.instances];
+    if (!instanceTypes || !instanceTypes[postgres.instanceType]) return postgres;
+    return { ...postgres, monthlyCost: calculateSourceInstanceCost(postgres, catalog) };
+  };
+
+  // One volume of a catalog table (rdsStorageTypes or a provider's block volumes): types priced by
+  // throughput bill IOPS and throughput above their baseline, io1 / io2 bill every provisioned IOPS
+  const calculateVolumeCost = (catalog, table, type, sizeGB, iops, throughput) => {
+    const storageType = requireCatalogEntry(catalog, table, type);
+    const cost = { storage: sizeGB * storageType.basePrice, iops: 0, throughput: 0 };
+
+    if (storageType.throughputPrice) {
+      const baseline = volumeBaseline(table, type, storageType, sizeGB);
+      cost.iops = Math.max(0, iops - baseline.iops) * storageType.iopsPrice;
+      cost.throughput = Math.max(0, throughput - baseline.throughput) * storageType.throughputPrice;
+    } else if (storageType.iopsPrice) {
+      cost.iops = iops * storageType.iopsPrice;
+    }
+
+    return cost;
+  };
+
+  // Everything but the instances (which the source's purchasing option discounts). zones: the zones
+  // the application's clients are spread over.
+  // Returns { instanceCopies, storage, iops, throughput, io, backup, billableBackupGB,
+  // performanceInsights, network: { flows, interAzGB, total }, transfer, total }.
+  const calculateSourceCosts = (postgres, catalog, network = defaultNetwork, zones = 1) => {
+    const source = getSource(postgres.source);
+    const copies = instanceCopies(postgres);
+    const costs = { instanceCopies: copies, storage: 0, iops: 0, throughput: 0, io: 0 };
+
+    if (source.hosting === 'aurora') {
+      // One shared cluster volume per shard; Standard bills I/O requests (postgres.iops is the
+      // average rate across the shards)
+      const aurora = catalog[source.tables.aurora];
+      const ioOptimized = postgres.auroraBilling === 'io-optimized';
+      costs.storage = postgres.storageGB * (ioOptimized ? aurora.ioOptimizedStoragePricePerGB : aurora.storagePricePerGB);
+      costs.io = ioOptimized ? 0 : postgres.iops * SECONDS_PER_MONTH / 1000000 * aurora.ioPricePerMillion;
+    } else {
+      // Every copy has its own volume holding its shard
+      const shards = postgres.instanceCount;
+      const volume = calculateVolumeCost(catalog, source.tables.storage, postgres.storageType,
+        postgres.storageGB / shards, postgres.iops / shards, postgres.storageThroughput);
+      costs.storage = volume.storage * copies;
+      costs.iops = volume.iops * copies;
+      costs.throughput = volume.throughput * copies;
+    }
+
+    // Each retained day of backups adds the day's changes. Managed automated backups are free up to
+    // the database size and billed at the RDS snapshot price; self-managed backups (pgBackRest,
+    // XtraBackup) go to object storage (S3, GCS, Blob) and are billed in full. Manual snapshots are
+    // billed in full.
+    const retainedGB = postgres.storageGB * (1 + postgres.dailyChangePercent / 100 * postgres.backupRetentionDays);
+    costs.billableBackupGB = (source.managed ? Math.max(0, retainedGB - postgres.storageGB) : retainedGB) +
+      postgres.manualSnapshotGB;
+    costs.backup = costs.billableBackupGB *
+      (source.managed ? catalog.rdsBackupPricePerGB : catalog[catalogTables(catalog).objectStorage]);
+
+    const vcpu = requireCatalogEntry(catalog, source.tables.instances, postgres.instanceType).vCPU;
+    costs.performanceInsights = source.managed && postgres.performanceInsights
+      ? vcpu * copies * catalog.rdsPerformanceInsightsPricePerVcpu
+      : 0;
+
+    // Client, Multi-AZ and replica traffic from the workload, plus egress
+    costs.network = estimateSourceTraffic({
+      readOps: postgres.readOps,
+      writeOps: postgres.writeOps,
+      zones,
+      shards: postgres.instanceCount,
+      multiAZ: postgres.multiAZ,
+      readReplicas: postgres.readReplicas,
+      hosting: source.hosting,
+      managed: source.managed
+    }, network, catalog);
+    costs.transfer = costs.network.total;
+
+    costs.total = costs.storage + costs.iops + costs.throughput + costs.io + costs.backup +
+      costs.performanceInsights + costs.transfer;
+    return costs;
+  };
+
+  // Itemized lines for the source breakdown chart. instances: the (purchased) instance cost.
+  const sourceBreakdown = (postgres, costs, instances) => {
+    const source = getSource(postgres.source);
+    return [
+      { key: 'instances', name: 'Instances', value: instances },
+      { key: 'storage', name: 'Storage', value: costs.storage },
+      ...(source.hosting === 'aurora'
+        ? [{ key: 'io', name: 'I/O Requests', value: costs.io }]
+        : [
+          { key: 'iops', name: 'Provisioned IOPS', value: costs.iops },
+          { key: 'throughput', name: 'Throughput', value: costs.throughput }
+        ]),
+      { key: 'backup', name: source.managed ? 'Backup Storage' : 'Object Storage Backups', value: costs.backup },
+      ...(source.managed
+        ? [{ key: 'performanceInsights', name: 'Performance Insights', value: costs.performanceInsights }]
+        : []),
+      ...costs.network.flows
+        .filter(item => item.billed)
+        .map(item => ({ key: `network-${item.key}`, name: item.name, value: item.cost }))
+    ];
+  };
+
+  // The normalized profile the sizing engine consumes. Primaries are summed across shards; readers
+  // are the read replicas plus, where they serve reads, the Multi-AZ standbys.
+  const profileSource = (postgres, catalog) => {
+    const source = getSource(postgres.source);
+    const instance = requireCatalogEntry(catalog, source.tables.instances, postgres.instanceType);
+    const shards = postgres.instanceCount;
+    const readers = postgres.readReplicas + (source.standbyServesReads && postgres.multiAZ ? shards : 0);
+    const primaryVcpu = instance.vCPU * shards;
+    const readerVcpu = instance.vCPU * readers;
+    return {
+      source: source.id,
+      label: source.label,
+      engine: source.engine,
+      hosting: source.hosting,
+      instanceType: postgres.instanceType,
+      vcpuPerInstance: instance.vCPU,
+      memoryPerInstance: instance.memory,
+      shards,
+      sharded: shards > 1,
+      readers,
+      primaryVcpu,
+      primaryMemoryGB: instance.memory * shards,
+      readerVcpu,
+      totalVcpu: primaryVcpu + readerVcpu,
+      storageGB: postgres.storageGB,
+      storagePerShardGB: postgres.storageGB / shards,
+      readOps: postgres.readOps,
+      writeOps: postgres.writeOps
+    };
+  };
+
+  // Family of an instance type: AWS names end in the size (db.r5.2xlarge -> db.r5), Google Cloud and
+  // Azure names carry the vCPU count (n2-highmem-16 -> n2-highmem-#, Standard_E8s_v5 -> Standard_E#s_v5)
+  const instanceFamily = (type, instance) => type.includes('.')
+    ? type.split('.').slice(0, -1).join('.')
+    : type.replace(new RegExp(`(^|[-_A-Z])${instance.vCPU}(?=[a-z]*([-_]|$))`), '$1#');
+
+  // Next larger instance (by memory) in the same family of the source's instance table,
+  // e.g. db.r5.2xlarge -> db.r5.4xlarge or n2-highmem-8 -> n2-highmem-16; null at the top of the family
+  const nextSourceInstanceType = (postgres, catalog) => {
+    const table = catalog[getSource(postgres.source).tables.instances];
+    const current = table[postgres.instanceType];
+    const family = instanceFamily(postgres.instanceType, current);
+    const larger = Object.keys(table)
+      .filter(type => instanceFamily(type, table[type]) === family && table[type].memory > current.memory)
+      .sort((a, b) => table[a].memory - table[b].memory);
+    return larger[0] || null;
+  };
+
+  // Switch the source inputs to another source database: the instance type moves to the same size in
+  // the new instance table (db.r5.2xlarge <-> r5.2xlarge), or its first entry, and the volume type to
+  // the first (default) entry when the new storage table lacks it
+  // A source chosen by the user replaces any source remembered from another provider
+  const changeSource = (postgres, sourceId, catalog) => {
+    const { replacedSource, ...rest } = postgres;
+    const { tables } = getSource(sourceId);
+    const size = String(rest.instanceType).replace(/^db\./, '');
+    const instanceTypes = Object.keys(catalog[tables.instances]);
+    const instanceType = [size, `db.${size}`].find(type => instanceTypes.includes(type)) || instanceTypes[0];
+    const storageType = catalog[tables.storage][rest.storageType]
+      ? rest.storageType
+      : Object.keys(catalog[tables.storage])[0];
+    return { ...rest, source: sourceId, instanceType, storageType };
+  };
+
+  // Keep the source inputs valid for a catalog: a source its provider does not offer becomes the same
+  // engine self-managed on the provider's VMs. The replaced source, instance and volume types are kept
+  // in postgres.replacedSource and restored once a catalog of their provider is chosen again.
+  const sourceForCatalog = (postgres, catalog) => {
+    const current = sourceDatabases.find(item => item.id === postgres.source);
+    const offered = sourcesForCatalog(catalog);
+    if (!current || offered.includes(current)) return postgres;
+    const { replacedSource } = postgres;
+    if (replacedSource && offered.some(source => source.id === replacedSource.source)) {
+      const restored = changeSource(postgres, replacedSource.source, catalog);
+      const { tables } = getSource(replacedSource.source);
+      return {
+        ...restored,
+        instanceType: catalog[tables.instances][replacedSource.instanceType] ? replacedSource.instanceType : restored.instanceType,
+        storageType: catalog[tables.storage][replacedSource.storageType] ? replacedSource.storageType : restored.storageType
+      };
+    }
+    const replacement = offered.find(source => source.engine === current.engine && source.hosting === 'vm');
+    return {
+      ...changeSource(postgres, replacement.id, catalog),
+      replacedSource: replacedSource || {
+        source: postgres.source,
+        instanceType: postgres.instanceType,
+        storageType: postgres.storageType
+      }
+    };
+  };
+
+  return {
+    sourceDatabases,
+    getSource,
+    sourcesForCatalog,
+    changeSource,
+    sourceForCatalog,
+    auroraBillingModes,
+    instanceCopies,
+    calculateSourceInstanceCost,
+    repriceSource,
+    calculateVolumeCost,
+    calculateSourceCosts,
+    sourceBreakdown,
+    profileSource,
+    nextSourceInstanceType
+  };
+});
@@ -0,0 +1,272 @@
+// TiDB Cloud target.
+// Prices the sized workload on TiDB Cloud, the managed service, as a third option next to the source
+// database and the self-managed cluster. Dedicated bills TiDB, TiKV and TiFlash nodes by node size plus
+// TiKV / TiFlash storage per GB and data transfer (PD and monitoring are part of the service);
+// Serverless bills Request Units derived from the source's read and write rates, row and columnar
+// storage, and egress. Prices come from their own catalog (catalogs/tidb-cloud.json, keyed by the
+// pricing catalog's region; Serverless is priced only in the AWS regions that offer it), which can be
+// edited in the calculator; the edited copy is kept in localStorage.
+// Exposes window.TiDBCloud in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./validation'), require('./providers'));
+  } else {
+    root.TiDBCloud = factory(root.TiDBValidation, root.TiDBProviders);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBValidation, TiDBProviders) {
+  const { safeDivide } = TiDBValidation;
+  const { requireCatalogEntry, catalogTables } = TiDBProviders;
+
+  const SECONDS_PER_MONTH = 730 * 3600;
+  const STORAGE_KEY = 'tidb-calculator.tidb-cloud-catalog';
+
+  // 'none' leaves TiDB Cloud out of the comparison
+  const tidbCloudModels = [
+    { id: 'none', label: 'Not compared' },
+    { id: 'dedicated', label: 'TiDB Cloud Dedicated' },
+    { id: 'serverless', label: 'TiDB Cloud Serverless' }
+  ];
+
+  // Dedicated tiers, in breakdown order
+  const tidbCloudTiers = [
+    { id: 'tidb', label: 'TiDB' },
+    { id: 'tikv', label: 'TiKV' },
+    { id: 'tiflash', label: 'TiFlash' }
+  ];
+
+  // Default TiDB Cloud state. Node sizes and TiKV storage follow the recommendation unless pinned.
+  const defaultTidbCloud = {
+    model: 'dedicated',
+    tidbNodeSize: null,
+    tikvNodeSize: null,
+    tiflashNodeSize: null,
+    tikvStorageGB: null, // Storage per TiKV node
+    crossAzTrafficGB: null, // Traffic billed across AZs (Dedicated); null follows the network model's estimate
+    egressGB: null, // Traffic leaving the cloud provider; null follows the network inputs
+    ruPerRead: 0.5, // Request Units per point read (Serverless)
+    ruPerWrite: 3 // Request Units per row write (Serverless)
+  };
+
+  // Prices for one region, or null when the catalog does not cover it
+  const tidbCloudRegion = (cloudCatalog, region) => (cloudCatalog && cloudCatalog.regions[region]) || null;
+
+  // Is a model priced in a region's prices ('none' always is)
+  const offersModel = (prices, model) => model === 'none' || !!(prices && prices[model]);
+
+  // Smallest node size (cheapest on a tie) with at least the given vCPU, else the largest offered
+  const recommendNodeSize = (sizes, vcpu) => {
+    const ordered = Object.keys(sizes)
+      .sort((a, b) => (sizes[a].vCPU - sizes[b].vCPU) || (sizes[a].monthlyCost - sizes[b].monthlyCost));
+    return ordered.find(size => sizes[size].vCPU >= vcpu) || ordered[ordered.length - 1];
+  };
+
+  const roundUpTo = (value, step) => Math.ceil(value / step) * step;
+
+  // Monthly GB TiDB Cloud bills transfer for: the overrides, otherwise the network model's estimate
+  // for the self-managed cluster (lib/network.js), so both targets are priced from the same traffic.
+  // estimate: { crossAzGB, egressGB }.
+  const resolveTraffic = (tidbCloud, estimate) => {
+    const pick = (value, estimated) => value !== null && value !== undefined ? value : estimated;
+    return {
+      crossAzGB: pick(tidbCloud.crossAzTrafficGB, estimate.crossAzGB),
+      egressGB: pick(tidbCloud.egressGB, estimate.egressGB),
+      estimate
+    };
+  };
+
+  // Dedicated: each tier gets the node size closest to the self-managed instance and enough nodes to
+  // match its vCPU, then more if the data does not fit the per-node storage limit. TiKV stays a
+  // multiple of 3 so the replicas spread over three AZs.
+  const priceDedicated = (topology, tidbCloud, prices, catalog, traffic) => {
+    const { factors } = topology;
+    const dedicated = prices.dedicated;
+    const requiredGB = {
+      tikv: factors.compressedDataGB * topology.dataReplicationFactor / factors.storageUsageRatio,
+      tiflash: topology.useTiflash ? factors.compressedTiflashGB * factors.tiflashReplicas / factors.storageUsageRatio : 0
+    };
+
+    const tiers = tidbCloudTiers
+      .filter(tier => tier.id !== 'tiflash' || topology.useTiflash)
+      .map(({ id, label }) => {
+        const sizes = dedicated.nodeSizes[id];
+        const instance = requireCatalogEntry(catalog, catalogTables(catalog).instances, topology.instances[`${id}InstanceType`]);
+        const recommendedSize = recommendNodeSize(sizes, instance.vCPU);
+        const pinnedSize = tidbCloud[`${id}NodeSize`];
+        const nodeSize = pinnedSize || recommendedSize;
+        const size = sizes[nodeSize];
+        const step = id === 'tikv' ? 3 : 1;
+
+        let nodes = Math.max(dedicated.minNodes[id], Math.ceil(instance.vCPU * topology[`${id}Nodes`] / size.vCPU));
+        nodes = roundUpTo(nodes, step);
+
+        let storagePerNodeGB = 0;
+        if (id !== 'tidb') {
+          const pinnedStorage = id === 'tikv' ? tidbCloud.tikvStorageGB : null;
+          const perNodeLimit = Math.min(pinnedStorage || size.maxStorageGB, size.maxStorageGB);
+          nodes = Math.max(nodes, roundUpTo(Math.ceil(requiredGB[id] / perNodeLimit), step));
+          storagePerNodeGB = pinnedStorage
+            ? perNodeLimit
+            : Math.ceil(safeDivide(requiredGB[id], nodes));
+        }
+
+        return {
+          tier: id,
+          label,
+          nodeSize,
+          recommendedSize,
+          pinned: !!pinnedSize,
+          vCPU: size.vCPU,
+          memory: size.memory,
+          nodes,
+          storagePerNodeGB,
+          nodeCost: size.monthlyCost * nodes,
+          storageCost: storagePerNodeGB * nodes * (dedicated.storagePricePerGB[id] || 0)
+        };
+      });
+
+    const lines = [];
+    tiers.forEach(tier => {
+      lines.push({ key: `cloud-${tier.tier}`, name: `${tier.label} Nodes`, value: tier.nodeCost });
+      if (tier.tier !== 'tidb') {
+        lines.push({ key: `cloud-${tier.tier}-storage`, name: `${tier.label} Storage`, value: tier.storageCost });
+      }
+    });
+    lines.push(
+      { key: 'cloud-cross-az', name: 'Cross-AZ Transfer', value: traffic.crossAzGB * dedicated.crossAzTransferPerGB },
+      { key: 'cloud-egress', name: 'Internet Egress', value: traffic.egressGB * dedicated.internetEgressPerGB }
+    );
+    return { tiers, lines };
+  };
+
+  // Serverless: Request Units for every read and write of a month, row storage for the TiKV data and
+  // columnar storage for the TiFlash replica, each after the monthly free allowance
+  const priceServerless = (topology, tidbCloud, prices, traffic) => {
+    const { factors, source } = topology;
+    const serverless = prices.serverless;
+    const requestUnitsMillions = (source.readOps * tidbCloud.ruPerRead + source.writeOps * tidbCloud.ruPerWrite) *
+      SECONDS_PER_MONTH / 1000000;
+    const rowStorageGB = factors.compressedDataGB;
+    const columnarStorageGB = topology.useTiflash ? factors.compressedTiflashGB : 0;
+    const usage = {
+      requestUnitsMillions,
+      billableRequestUnitsMillions: Math.max(0, requestUnitsMillions - serverless.freeRequestUnitsMillions),
+      rowStorageGB,
+      billableRowStorageGB: Math.max(0, rowStorageGB - serverless.freeRowStorageGB),
+      columnarStorageGB,
+      billableColumnarStorageGB: Math.max(0, columnarStorageGB - serverless.freeColumnarStorageGB)
+    };
+
+    const lines = [
+      { key: 'cloud-request-units', name: 'Request Units', value: usage.billableRequestUnitsMillions * serverless.requestUnitPricePerMillion },
+      { key: 'cloud-row-storage', name: 'Row Storage', value: usage.billableRowStorageGB * serverless.rowStoragePricePerGB },
+      ...(topology.useTiflash
+        ? [{ key: 'cloud-columnar-storage', name: 'Columnar Storage', value: usage.billableColumnarStorageGB * serverless.columnarStoragePricePerGB }]
+        : []),
+      { key: 'cloud-egress', name: 'Internet Egress', value: traffic.egressGB * serverless.internetEgressPerGB }
+    ];
+    return { usage, lines };
+  };
+
+  // Price a sized topology on TiDB Cloud. context: { catalog (the pricing catalog), cloudCatalog,
+  // laborCosts, sourceMonthlyCost, trafficEstimate: { crossAzGB, egressGB } }. Returns null when the
+  // model is 'none' or the cloud catalog has no prices for it in the region, else { model, label,
+  // region, tiers | usage, traffic, lines, breakdown, infrastructureMonthlyCost, laborMonthlyCost,
+  // totalMonthlyCost, monthlySavings, savingsPercentage }.
+  const priceTidbCloud = (topology, tidbCloud, { catalog, cloudCatalog, laborCosts, sourceMonthlyCost, trafficEstimate }) => {
+    const prices = tidbCloudRegion(cloudCatalog, catalog.region);
+    if (tidbCloud.model === 'none' || !offersModel(prices, tidbCloud.model)) return null;
+
+    const traffic = resolveTraffic(tidbCloud, trafficEstimate);
+    const priced = tidbCloud.model === 'serverless'
+      ? priceServerless(topology, tidbCloud, prices, traffic)
+      : priceDedicated(topology, tidbCloud, prices, catalog, traffic);
+    const infrastructureMonthlyCost = priced.lines.reduce((sum, line) => sum + line.value, 0);
+    const laborMonthlyCost = laborCosts.tidbCloud.total;
+    const totalMonthlyCost = infrastructureMonthlyCost + (laborCosts.included ? laborMonthlyCost : 0);
+    const monthlySavings = sourceMonthlyCost - totalMonthlyCost;
+
+    return {
+      ...priced,
+      model: tidbCloud.model,
+      label: tidbCloudModels.find(model => model.id === tidbCloud.model).label,
+      region: catalog.region,
+      traffic,
+      breakdown: [
+        ...priced.lines,
+        { key: 'labor', name: 'Operations Staff', value: laborMonthlyCost }
+      ],
+      infrastructureMonthlyCost,
+      laborMonthlyCost,
+      totalMonthlyCost,
+      monthlySavings,
+      savingsPercentage: safeDivide(monthlySavings, sourceMonthlyCost) * 100
+    };
+  };
+
+  // Editable prices for the calculator's price panel: [{ path, label }], path relative to a region
+  const tidbCloudPriceFields = (prices) => [
+    ...tidbCloudTiers.flatMap(tier => Object.keys(prices.dedicated.nodeSizes[tier.id]).map(size => ({
+      path: ['dedicated', 'nodeSizes', tier.id, size, 'monthlyCost'],
+      label: `Dedicated ${tier.label} ${size} ($/node/month)`
+    }))),
+    { path: ['dedicated', 'storagePricePerGB', 'tikv'], label: 'Dedicated TiKV Storage ($/GB-month)' },
+    { path: ['dedicated', 'storagePricePerGB', 'tiflash'], label: 'Dedicated TiFlash Storage ($/GB-month)' },
+    { path: ['dedicated', 'crossAzTransferPerGB'], label: 'Dedicated Cross-AZ Transfer ($/GB)' },
+    { path: ['dedicated', 'internetEgressPerGB'], label: 'Dedicated Internet Egress ($/GB)' },
+    ...(prices.serverless ? [
+      { path: ['serverless', 'requestUnitPricePerMillion'], label: 'Serverless Request Units ($/million)' },
+      { path: ['serverless', 'rowStoragePricePerGB'], label: 'Serverless Row Storage ($/GB-month)' },
+      { path: ['serverless', 'columnarStoragePricePerGB'], label: 'Serverless Columnar Storage ($/GB-month)' },
+      { path: ['serverless', 'internetEgressPerGB'], label: 'Serverless Internet Egress ($/GB)' }
+    ] : [])
+  ];
+
+  const setPath = (object, [key, ...rest], value) => ({
+    ...object,
+    [key]: rest.length === 0 ? value : setPath(object[key], rest, value)
+  });
+
+  // One region's price at path
+  const getTidbCloudPrice = (cloudCatalog, region, path) =>
+    ['regions', region, ...path].reduce((value, key) => value[key], cloudCatalog);
+
+  // A copy of the cloud catalog with one region's price at path replaced
+  const setTidbCloudPrice = (cloudCatalog, region, path, value) =>
+    setPath(cloudCatalog, ['regions', region, ...path], value);
+
+  // The edited catalog, if one was saved for the same catalog edition; store is window.localStorage
+  // or anything with getItem/setItem/removeItem
+  const readEditedCatalog = (store, cloudCatalog) => {
+    try {
+      const edited = JSON.parse(store.getItem(STORAGE_KEY));
+      return edited && edited.id === cloudCatalog.id && edited.effectiveDate === cloudCatalog.effectiveDate
+        ? edited
+        : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const writeEditedCatalog = (store, cloudCatalog) => {
+    store.setItem(STORAGE_KEY, JSON.stringify(cloudCatalog));
+    return cloudCatalog;
+  };
+
+  const clearEditedCatalog = (store) => store.removeItem(STORAGE_KEY);
+
+  return {
+    tidbCloudModels,
+    tidbCloudTiers,
+    defaultTidbCloud,
+    tidbCloudRegion,
+    offersModel,
+    recommendNodeSize,
+    priceTidbCloud,
+    tidbCloudPriceFields,
+    getTidbCloudPrice,
+    setTidbCloudPrice,
+    readEditedCatalog,
+    writeEditedCatalog,
+    clearEditedCatalog
+  };
+});
@@ -0,0 +1,293 @@
+// Calculator input validation.
+// Every state object the sizing engine reads has typed bounds here (inputSchema). validateInputs
+// checks a full set of inputs against them and against the pricing catalog, returning one error per
+// bad field, keyed by its path (e.g. 'postgres.instanceCount') so the UI can show it next to the
+// input. sizeCluster refuses invalid inputs instead of pricing NaN, Infinity or substituted defaults.
+// Exposes window.TiDBValidation in the browser; require() in Node.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./purchasing'), require('./assumptions'), require('./providers'), require('./sources'));
+  } else {
+    root.TiDBValidation = factory(root.TiDBPurchasing, root.TiDBAssumptions, root.TiDBProviders, root.TiDBSources);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TiDBPurchasing, TiDBAssumptions, TiDBProviders, TiDBSources) {
+  const { purchaseOptions, savingsPlanTerms } = TiDBPurchasing;
+  const { assumptionFields } = TiDBAssumptions;
+  const { catalogTables } = TiDBProviders;
+  const { sourceDatabases } = TiDBSources;
+
+  // Read/write ratio choices (50/xx and 30/xx are treated as write-heavy by the sizing engine)
+  const readWriteRatios = ['90/10', '80/20', '70/30', '50/50', '30/70'];
+
+  const workloadTypes = ['OLTP', 'OLAP', 'Mixed'];
+
+  const purchaseOptionIds = purchaseOptions.map(option => option.id);
+
+  // Field rules: type is 'integer', 'number', 'boolean', 'choice' (one of values) or 'catalog'
+  // (a key of catalog[table], where table may depend on the other fields of the section and the
+  // catalog's cloud provider);
+  // nullable fields may also be null (follow the recommendation)
+  const integer = (min, max, extra) => ({ type: 'integer', min, max, ...extra });
+  const number = (min, max, extra) => ({ type: 'number', min, max, ...extra });
+  const boolean = { type: 'boolean' };
+  const choice = (values) => ({ type: 'choice', values });
+  const catalogKey = (table, extra) => ({ type: 'catalog', table, ...extra });
+  const purchaseOption = choice(purchaseOptionIds);
+
+  // Catalog tables come from the cloud provider (lib/providers.js) and the source database
+  // (lib/sources.js); an unknown source has none, so its keys are reported as unknown
+  const providerTable = (kind) => (section, catalog) => catalogTables(catalog)[kind];
+  const sourceTable = (kind) => (postgres) => {
+    const source = sourceDatabases.find(item => item.id === postgres.source);
+    return source && source.tables[kind];
+  };
+
+  const inputSchema = {
+    postgres: {
+      source: choice(sourceDatabases.map(source => source.id)),
+      instanceType: catalogKey(sourceTable('instances')),
+      instanceCount: integer(1, 100),
+      storageGB: number(1, 10000000),
+      iops: integer(0, 1000000),
+      storageType: catalogKey(sourceTable('storage')),
+      storageThroughput: number(0, 4000),
+      auroraBilling: choice(['standard', 'io-optimized']),
+      backupRetentionDays: integer(0, 35),
+      dailyChangePercent: number(0, 100),
+      manualSnapshotGB: number(0, 100000000),
+      performanceInsights: boolean,
+      readOps: number(0, 100000000),
+      writeOps: number(0, 100000000),
+      monthlyCost: number(0, 100000000),
+      multiAZ: boolean,
+      readReplicas: integer(0, 15)
+    },
+    workload: {
+      readWriteRatio: choice(readWriteRatios),
+      type: choice(workloadTypes),
+      dataGrowthRate: number(0, 100),
+      concurrentConnections: integer(1, 10000000),
+      trafficSpikes: boolean,
+      peakRatio: number(1, 100)
+    },
+    tidbCluster: {
+      tidbNodes: integer(1, 1000, { nullable: true }),
+      tikvNodes: integer(1, 1000, { nullable: true }),
+      tiflashNodes: integer(0, 1000, { nullable: true }),
+      pdNodes: integer(1, 9),
+      deploymentMode: choice(['eks', 'ec2']),
+      eksClusterCount: integer(1, 20),
+      availabilityZones: integer(1, 6),
+      dataReplicationFactor: integer(1, 7)
+    },
+    instances: {
+      tidbInstanceType: catalogKey(providerTable('instances'), { nullable: true }),
+      tikvInstanceType: catalogKey(providerTable('instances'), { nullable: true }),
+      pdInstanceType: catalogKey(providerTable('instances'), { nullable: true }),
+      tiflashInstanceType: catalogKey(providerTable('instances'), { nullable: true }),
+      monitoringInstanceType: catalogKey(providerTable('instances'), { nullable: true })
+    },
+    storage: {
+      tidbEbsType: catalogKey(providerTable('volumes')),
+      tidbEbsSize: number(0, 65536),
+      tikvUseInstanceStore: boolean,
+      tikvAdditionalEbsType: catalogKey(providerTable('volumes')),
+      tikvAdditionalEbsSize: number(0, 65536),
+      pdEbsType: catalogKey(providerTable('volumes')),
+      pdEbsSize: number(0, 65536),
+      tiflashEbsType: catalogKey(providerTable('volumes')),
+      tiflashEbsSize: number(0, 65536)
+    },
+    operational: {
+      backupToS3: boolean,
+      backupSizeGB: number(0, 100000000),
+      eksClusterCost: number(0, 1000000),
+      eksMonitoringCost: number(0, 1000000)
+    },
+    purchasing: {
+      tidb: purchaseOption,
+      tikv: purchaseOption,
+      pd: purchaseOption,
+      tiflash: purchaseOption,
+      monitoring: purchaseOption,
+      postgres: purchaseOption,
+      savingsPlanCoverage: number(0, 100),
+      savingsPlanTerm: choice(savingsPlanTerms)
+    },
+    kubernetes: {
+      reservedCpu: number(0, 64),
+      reservedMemoryPercent: number(0, 90)
+    },
+    labor: {
+      includeInTotals: boolean,
+      fteAnnualCost: number(0, 10000000),
+      postgresFTE: number(0, 1000),
+      tidbFTE: number(0, 1000),
+      tidbCloudFTE: number(0, 1000),
+      onCall: boolean,
+      onCallMonthlyCost: number(0, 1000000),
+      training: boolean,
+      trainingAnnualCost: number(0, 10000000)
+    },
+    migration: {
+      schemaObjects: integer(0, 1000000),
+      schemaObjectsPerDay: number(1, 100000),
+      exportGBPerHour: number(1, 100000),
+      importGBPerHourPerTikvNode: number(1, 100000),
+      replicationDays: number(0, 365),
+      replicationMonthlyCost: number(0, 1000000),
+      validationDays: number(0, 365),
+      cutoverDays: number(0, 30),
+      rollbackDays: number(0, 365),
+      engineers: number(0, 1000),
+      engineerDailyRate: number(0, 100000),
+      additionalCost: number(0, 1000000000)
+    },
+    network: {
+      avgRowBytes: integer(1, 16777216),
+      avgResultBytes: integer(0, 1073741824),
+      readFanOut: number(1, 100),
+      zoneAwareClients: boolean,
+      internetEgressGB: number(0, 100000000),
+      vpcEgressGB: number(0, 100000000),
+      natGateway: boolean,
+      natProcessedGB: number(0, 100000000)
+    },
+    tidbCloud: {
+      model: choice(['none', 'dedicated', 'serverless']),
+      tikvStorageGB: integer(1, 100000, { nullable: true }),
+      crossAzTrafficGB: number(0, 100000000, { nullable: true }),
+      egressGB: number(0, 100000000, { nullable: true }),
+      ruPerRead: number(0, 1000),
+      ruPerWrite: number(0, 1000)
+    },
+    // Bounds kept with the assumption definitions
+    assumptions: Object.fromEntries(assumptionFields.map(({ key, min, max, integer: whole }) =>
+      [key, whole ? integer(min, max) : number(min, max)]))
+  };
+
+  // Sections the sizing engine fills with defaults when they are left out
+  const optionalSections = ['purchasing', 'kubernetes', 'labor', 'migration', 'network', 'tidbCloud', 'assumptions'];
+
+  // Error for one value against its rule, or null when it passes
+  const checkField = (rule, value, catalog, section = {}) => {
+    if (value === null || value === undefined) {
+      return rule.nullable ? null : { code: 'REQUIRED', message: 'A value is required.' };
+    }
+    switch (rule.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : { code: 'NOT_A_BOOLEAN', message: 'Must be on or off.' };
+      case 'choice':
+        return rule.values.includes(value)
+          ? null
+          : { code: 'INVALID_CHOICE', message: `"${value}" is not one of ${rule.values.join(', ')}.` };
+      case 'catalog': {
+        const table = typeof rule.table === 'function' ? rule.table(section, catalog) : rule.table;
+        return table && catalog[table] && catalog[table][value]
+          ? null
+          : { code: 'UNKNOWN_CATALOG_KEY', message: `"${value}" is not in the ${catalog.name || catalog.id} pricing catalog.` };
+      }
+      default: {
+        if (typeof value !== 'number' || !isFinite(value)) {
+          return { code: 'NOT_A_NUMBER', message: 'Must be a number.' };
+        }
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+          return { code: 'NOT_AN_INTEGER', message: 'Must be a whole number.' };
+        }
+        if (value < rule.min || value > rule.max) {
+          return { code: 'OUT_OF_RANGE', message: `Must be between ${rule.min} and ${rule.max}.` };
+        }
+        return null;
+      }
+    }
+  };
+
+  // Worker groups (when not dedicated per role) need a unique name and a catalog instance type
+  const checkWorkerGroups = (workerGroups, catalog) => {
+    if (workerGroups === null || workerGroups === undefined) return [];
+    if (!Array.isArray(workerGroups)) {
+      return [{ field: 'kubernetes.workerGroups', code: 'INVALID_CHOICE', message: 'Worker groups must be a list.' }];
+    }
+    const errors = [];
+    workerGroups.forEach((group, index) => {
+      const name = (group.name || '').trim();
+      if (name === '') {
+        errors.push({ field: `kubernetes.workerGroups.${index}.name`, code: 'REQUIRED', message: 'A group name is required.' });
+      } else if (workerGroups.findIndex(other => (other.name || '').trim() === name) !== index) {
+        errors.push({ field: `kubernetes.workerGroups.${index}.name`, code: 'DUPLICATE', message: `Group name "${name}" is used twice.` });
+      }
+      const error = checkField(catalogKey(providerTable('instances')), group.instanceType, catalog);
+      if (error) errors.push({ field: `kubernetes.workerGroups.${index}.instanceType`, ...error });
+    });
+    return errors;
+  };
+
+  // The source database has to run on the catalog's cloud provider
+  const checkSourceProvider = (postgres, catalog) => {
+    const source = postgres && sourceDatabases.find(item => item.id === postgres.source);
+    if (!source || source.provider === (catalog.provider || 'aws')) return [];
+    return [{
+      field: 'postgres.source',
+      code: 'UNAVAILABLE_SOURCE',
+      message: `Not available in the ${catalog.name || catalog.id} pricing catalog.`
+    }];
+  };
+
+  // Pinned TiDB Cloud node sizes must be offered in the catalog's region (checked only when a TiDB Cloud
+  // catalog is supplied and covers the region)
+  const checkTidbCloudNodeSizes = (tidbCloud, cloudCatalog, region) => {
+    const prices = cloudCatalog && cloudCatalog.regions[region];
+    if (!tidbCloud || !prices) return [];
+    return ['tidb', 'tikv', 'tiflash']
+      .filter(tier => {
+        const size = tidbCloud[`${tier}NodeSize`];
+        return size !== null && size !== undefined && !prices.dedicated.nodeSizes[tier][size];
+      })
+      .map(tier => ({
+        field: `tidbCloud.${tier}NodeSize`,
+        code: 'UNKNOWN_CATALOG_KEY',
+        message: `"${tidbCloud[`${tier}NodeSize`]}" is not a TiDB Cloud node size in ${region}.`
+      }));
+  };
+
+  // Validate the sizing inputs (the object sizeCluster takes, catalog included).
+  // Returns { valid, errors: [{ field, code, message }], fieldErrors: { [field]: message } }.
+  const validateInputs = (inputs) => {
+    const { catalog } = inputs;
+    const errors = [];
+    Object.keys(inputSchema).forEach(section => {
+      const values = inputs[section];
+      if (!values) {
+        if (optionalSections.includes(section)) return;
+        errors.push({ field: section, code: 'REQUIRED', message: `The ${section} inputs are missing.` });
+        return;
+      }
+      Object.keys(inputSchema[section]).forEach(field => {
+        const error = checkField(inputSchema[section][field], values[field], catalog, values);
+        if (error) errors.push({ field: `${section}.${field}`, ...error });
+      });
+    });
+    if (inputs.kubernetes) {
+      errors.push(...checkWorkerGroups(inputs.kubernetes.workerGroups, catalog));
+    }
+    errors.push(...checkSourceProvider(inputs.postgres, catalog));
+    errors.push(...checkTidbCloudNodeSizes(inputs.tidbCloud, inputs.tidbCloudCatalog, catalog.region));
+
+    const fieldErrors = {};
+    errors.forEach(error => { fieldErrors[error.field] = error.message; });
+    return { valid: errors.length === 0, errors, fieldErrors };
+  };
+
+  // Division that yields fallback instead of Infinity or NaN when the denominator is zero
+  const safeDivide = (numerator, denominator, fallback = 0) =>
+    denominator !== 0 && isFinite(denominator) ? numerator / denominator : fallback;
+
+  return {
+    readWriteRatios,
+    workloadTypes,
+    inputSchema,
+    checkField,
+    validateInputs,
+    safeDivide
+  };
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizeCluster } = require('../lib/sizing');
+const { availabilityRules, validateAvailability } = require('../lib/availability');
+const { defaultInputs, catalogInputs } = require('./fixtures');
+
+const catalogIds = require('../catalogs/index.json').catalogs.map(entry => entry.id);
+
+const codes = (findings) => findings.map(item => item.code);
+
+const topology = (fields) => ({
+  availabilityZones: 3,
+  pdNodes: 3,
+  tidbNodes: 3,
+  tikvNodes: 6,
+  tiflashNodes: 0,
+  dataReplicationFactor: 3,
+  ...fields
+});
+
+test('recommends a topology that passes its own rules on every catalog, mode and workload', () => {
+  catalogIds.forEach(id => ['eks', 'ec2'].forEach(deploymentMode => ['OLTP', 'OLAP', 'Mixed'].forEach(type => {
+    const inputs = catalogInputs(id, { tidbCluster: { deploymentMode }, workload: { type } });
+    const findings = validateAvailability(sizeCluster(inputs).topology, inputs);
+    assert.deepStrictEqual(codes(findings), [], `${id} ${deploymentMode} ${type}`);
+  })));
+});
+
+test('keeps a spare TiKV node and an even AZ spread when rounding up the recommendation', () => {
+  const { topology } = sizeCluster(defaultInputs({ tidbCluster: { availabilityZones: 2 } }));
+  assert.ok(topology.tikvNodes > topology.dataReplicationFactor);
+  assert.strictEqual(topology.tikvNodes % 2, 0);
+  const pinned = sizeCluster(defaultInputs({ tidbCluster: { tikvNodes: 3 } })).topology;
+  assert.strictEqual(pinned.tikvNodes, 3);
+});
+
+test('passes a 3-AZ cluster with spare TiKV nodes', () => {
+  assert.deepStrictEqual(validateAvailability(topology(), { storage: {} }), []);
+});
+
+test('lists errors before warnings', () => {
+  const findings = validateAvailability(topology({ availabilityZones: 1, pdNodes: 1 }), { storage: {} });
+  assert.deepStrictEqual(codes(findings), ['PD_NO_QUORUM_ON_NODE_LOSS', 'SINGLE_AZ']);
+});
+
+test('checks PD quorum on node and AZ loss', () => {
+  assert.deepStrictEqual(codes(availabilityRules.pdQuorum(topology({ pdNodes: 2 }))), ['PD_NO_QUORUM_ON_NODE_LOSS']);
+  assert.deepStrictEqual(codes(availabilityRules.pdOddCount(topology({ pdNodes: 4 }))), ['PD_EVEN_COUNT']);
+  assert.deepStrictEqual(codes(availabilityRules.pdAzLoss(topology({ availabilityZones: 2 }))), ['PD_AZ_LOSS_LOSES_QUORUM']);
+  assert.deepStrictEqual(availabilityRules.pdAzLoss(topology({ pdNodes: 5 })), []);
+});
+
+test('checks the replication factor against node and AZ loss', () => {
+  assert.deepStrictEqual(
+    codes(availabilityRules.replicationQuorum(topology({ dataReplicationFactor: 2 }))),
+    ['REPLICATION_NO_QUORUM_ON_NODE_LOSS']
+  );
+  assert.deepStrictEqual(codes(availabilityRules.replicationQuorum(topology({ dataReplicationFactor: 4 }))), ['REPLICATION_EVEN']);
+  assert.deepStrictEqual(
+    codes(availabilityRules.replicationAzLoss(topology({ availabilityZones: 2 }))),
+    ['AZ_LOSS_LOSES_QUORUM']
+  );
+  assert.deepStrictEqual(
+    codes(availabilityRules.replicationAzLoss(topology({ dataReplicationFactor: 5 }))),
+    ['REPLICATION_EXCEEDS_AZS']
+  );
+});
+
+test('checks TiKV node count and AZ spread', () => {
+  assert.deepStrictEqual(codes(availabilityRules.tikvPlacement(topology({ tikvNodes: 2 }))), ['TIKV_FEWER_NODES_THAN_REPLICAS']);
+  assert.deepStrictEqual(codes(availabilityRules.tikvPlacement(topology({ tikvNodes: 3 }))), ['TIKV_NO_SPARE_NODE']);
+  assert.deepStrictEqual(codes(availabilityRules.tikvPlacement(topology({ tikvNodes: 4 }))), ['TIKV_UNEVEN_AZ_SPREAD']);
+  assert.deepStrictEqual(availabilityRules.tikvPlacement(topology({ tikvNodes: 4, availabilityZones: 1 })), []);
+});
+
+test('checks TiKV capacity after losing an AZ', () => {
+  // 6 nodes over 3 AZs leave 4; 3 replicas of 1000 GB need 3000 GB
+  const factors = { compressedDataGB: 1000, storageUsageRatio: 0.8 };
+  const rule = (nodeGB) => codes(availabilityRules.tikvAzLossCapacity(
+    topology({ factors, tikvInstanceStorageSize: nodeGB }), { storage: { tikvAdditionalEbsSize: 0 } }
+  ));
+  assert.deepStrictEqual(rule(700), ['TIKV_AZ_LOSS_OUT_OF_SPACE']);
+  assert.deepStrictEqual(rule(900), ['TIKV_AZ_LOSS_LOW_HEADROOM']);
+  assert.deepStrictEqual(rule(1900), []);
+});
+
+test('checks TiFlash and TiDB redundancy', () => {
+  assert.deepStrictEqual(codes(availabilityRules.tiflashPlacement(topology({ tiflashNodes: 1 }))), ['TIFLASH_FEWER_NODES_THAN_REPLICAS']);
+  assert.deepStrictEqual(codes(availabilityRules.tiflashPlacement(topology({ tiflashNodes: 2 }))), ['TIFLASH_AZ_LOSS']);
+  assert.deepStrictEqual(codes(availabilityRules.tidbRedundancy(topology({ tidbNodes: 1 }))), ['TIDB_SINGLE_NODE']);
+  assert.deepStrictEqual(codes(availabilityRules.tidbRedundancy(topology({ tidbNodes: 2 }))), ['TIDB_AZ_COVERAGE']);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTableProfile, createDataProfile, condenseProfile, estimateTable, summarizeProfile } = require('../lib/dataprofile');
+const { sizeCluster } = require('../lib/sizing');
+const { defaultInputs } = require('./fixtures');
+
+const GB = 1024 * 1024 * 1024;
+
+const profile = () => {
+  const tables = parseTableProfile([
+    'table_schema,table_name,row_count,table_bytes,index_bytes,toast_bytes',
+    `public,orders,1000000,${200 * GB},${80 * GB},${20 * GB}`,
+    `public,events,5000000,${500 * GB},${100 * GB},0`,
+    `public,users,10000,${GB},${GB / 2},0`
+  ].join('\n'));
+  tables[1].tiflash = true;
+  return createDataProfile(tables);
+};
+
+test('condenses a profile to the totals sizing needs', () => {
+  const summary = condenseProfile(profile());
+  assert.strictEqual(summary.tableCount, 3);
+  assert.strictEqual(summary.dataBytes, 721 * GB);
+  assert.strictEqual(summary.indexBytes, 180.5 * GB);
+  assert.strictEqual(summary.tiflashTables, 1);
+  assert.strictEqual(summary.tiflashDataBytes, 500 * GB);
+  assert.strictEqual(condenseProfile(summary), summary);
+});
+
+test('sums the per-table estimates', () => {
+  const full = profile();
+  const summary = summarizeProfile(full, 2000, 0.5);
+  const tables = full.tables.map(table => estimateTable(table, 0.5, summary.scale));
+  const total = (field) => tables.reduce((sum, table) => sum + table[field], 0);
+  ['postgresGB', 'tikvGB', 'tiflashGB'].forEach(field => {
+    assert.ok(Math.abs(summary[field] - total(field)) < 1e-6, field);
+  });
+});
+
+test('sizes the same cluster from the condensed profile as from the table list', () => {
+  const full = profile();
+  const withTables = sizeCluster({ ...defaultInputs({ postgres: { storageGB: 902 } }), dataProfile: full });
+  const withSummary = sizeCluster({ ...defaultInputs({ postgres: { storageGB: 902 } }), dataProfile: condenseProfile(full) });
+  assert.deepStrictEqual(withSummary.topology.dataProfile, withTables.topology.dataProfile);
+  assert.strictEqual(withSummary.costs.totalMonthlyCost, withTables.costs.totalMonthlyCost);
+  assert.ok(withTables.topology.tiflashNodes > 0);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizeCluster } = require('../lib/sizing');
+const { generateDeployment } = require('../lib/deployment');
+const { defaultInputs, loadCatalog } = require('./fixtures');
+
+const deploy = (inputs) => generateDeployment(sizeCluster(inputs), inputs);
+const tikvRequest = (deployment) => /tikv:[\s\S]*?storage: (\d+)Gi/.exec(deployment.files[1].content)[1];
+
+test('claims one local disk for TiKV on a multi-disk instance store', () => {
+  // i3.4xlarge: 2 x 1900 GB NVMe, one local PersistentVolume per disk
+  const deployment = deploy(defaultInputs());
+  const requestGiB = Number(tikvRequest(deployment));
+  assert.ok(requestGiB <= 1900e9 / Math.pow(2, 30));
+  assert.ok(requestGiB > 1600);
+  // The default data set fits on one disk per node
+  assert.ok(!deployment.warnings.some(warning => warning.code === 'TIKV_LOCAL_DISKS_SPLIT'));
+});
+
+test('asks for merged local disks only when the replicas on a node outgrow one disk', () => {
+  ['eks', 'ec2'].forEach(deploymentMode => {
+    const deployment = deploy(defaultInputs({ postgres: { storageGB: 20000 }, tidbCluster: { deploymentMode } }));
+    assert.ok(deployment.warnings.some(warning => warning.code === 'TIKV_LOCAL_DISKS_SPLIT'), deploymentMode);
+  });
+});
+
+test('claims the whole local disk without a warning on a single-disk instance', () => {
+  const deployment = deploy(defaultInputs({ instances: { tikvInstanceType: 'i3en.3xlarge' } }));
+  assert.ok(Number(tikvRequest(deployment)) > 6000);
+  assert.ok(!deployment.warnings.some(warning => warning.code === 'TIKV_LOCAL_DISKS_SPLIT'));
+});
+
+test('writes volume sizes in GiB rounded up from decimal GB', () => {
+  const deployment = deploy(defaultInputs({ storage: { tikvUseInstanceStore: false, tikvAdditionalEbsSize: 1000 } }));
+  assert.strictEqual(tikvRequest(deployment), '932');
+  assert.match(deployment.files[1].content, /storage: 94Gi/);
+});
+
+test('splits GKE local SSDs into per-disk claims', () => {
+  const inputs = defaultInputs({ catalog: loadCatalog('gcp-us-central1') });
+  const gcpInputs = {
+    ...inputs,
+    postgres: { ...inputs.postgres, source: 'gce-postgresql', instanceType: 'n2-highmem-8', storageType: 'pd-balanced' },
+    storage: { ...inputs.storage, tidbEbsType: 'pd-balanced', tikvAdditionalEbsType: 'pd-balanced', pdEbsType: 'pd-balanced', tiflashEbsType: 'pd-balanced' }
+  };
+  const deployment = deploy(gcpInputs);
+  // n2-highmem-16-lssd: 8 x 375 GB local SSD
+  assert.ok(Number(tikvRequest(deployment)) <= 375e9 / Math.pow(2, 30));
+});
@@ -0,0 +1,104 @@
+// Calculator inputs for the engine tests: the calculator's default scenario (defaultScenarioState in
+// calculator.js) on the AWS us-east-1 catalog. Run the tests with `node --test test/*.test.js`.
+const { defaultKubernetes } = require('../lib/scheduler');
+const { defaultLabor } = require('../lib/labor');
+const { defaultNetwork } = require('../lib/network');
+const { defaultTidbCloud } = require('../lib/tidbcloud');
+const { adaptToCatalog } = require('../lib/providers');
+const { sourceForCatalog, repriceSource } = require('../lib/sources');
+
+const loadCatalog = (id) => require(`../catalogs/${id}.json`);
+
+// sections: per-section overrides merged over the defaults, e.g. { postgres: { storageGB: 50000 } }
+const defaultInputs = (sections = {}) => {
+  const inputs = {
+    postgres: {
+      source: 'rds-postgresql',
+      instanceType: 'db.r5.2xlarge',
+      instanceCount: 2,
+      storageGB: 1000,
+      iops: 3000,
+      storageType: 'gp3',
+      storageThroughput: 125,
+      auroraBilling: 'standard',
+      readOps: 5000,
+      writeOps: 1000,
+      monthlyCost: 2208 * 2,
+      multiAZ: true,
+      readReplicas: 1,
+      backupRetentionDays: 7,
+      dailyChangePercent: 5,
+      manualSnapshotGB: 0,
+      performanceInsights: false
+    },
+    workload: {
+      readWriteRatio: '80/20',
+      type: 'OLTP',
+      dataGrowthRate: 10,
+      concurrentConnections: 200,
+      trafficSpikes: true,
+      peakRatio: 3
+    },
+    tidbCluster: {
+      tidbNodes: null,
+      tikvNodes: null,
+      tiflashNodes: null,
+      pdNodes: 3,
+      deploymentMode: 'eks',
+      eksClusterCount: 1,
+      availabilityZones: 3,
+      dataReplicationFactor: 3
+    },
+    instances: {
+      tidbInstanceType: null,
+      tikvInstanceType: null,
+      pdInstanceType: null,
+      tiflashInstanceType: null,
+      monitoringInstanceType: null
+    },
+    storage: {
+      tidbEbsType: 'gp3',
+      tidbEbsSize: 100,
+      tikvUseInstanceStore: true,
+      tikvAdditionalEbsType: 'gp3',
+      tikvAdditionalEbsSize: 0,
+      pdEbsType: 'gp3',
+      pdEbsSize: 100,
+      tiflashEbsType: 'gp3',
+      tiflashEbsSize: 1000
+    },
+    operational: {
+      backupToS3: true,
+      backupSizeGB: 1000,
+      eksClusterCost: 73,
+      eksMonitoringCost: 200
+    },
+    labor: defaultLabor,
+    network: defaultNetwork,
+    kubernetes: defaultKubernetes,
+    tidbCloud: defaultTidbCloud,
+    dataProfile: null,
+    catalog: loadCatalog('aws-us-east-1')
+  };
+  Object.keys(sections).forEach(section => {
+    inputs[section] = section === 'catalog' ? sections.catalog : { ...inputs[section], ...sections[section] };
+  });
+  return inputs;
+};
+
+// The default inputs moved onto another pricing catalog the way the calculator's catalog switch moves
+// them (calculator.js), then the per-section overrides
+const catalogInputs = (id, sections = {}) => {
+  const catalog = loadCatalog(id);
+  const inputs = defaultInputs();
+  const postgres = repriceSource(sourceForCatalog(inputs.postgres, catalog), catalog);
+  return defaultInputs({
+    ...adaptToCatalog(inputs, catalog),
+    postgres,
+    operational: { eksClusterCost: catalog.kubernetesControlPlaneCost },
+    catalog,
+    ...sections
+  });
+};
+
+module.exports = { loadCatalog, defaultInputs, catalogInputs };
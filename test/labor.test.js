@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizeCluster } = require('../lib/sizing');
+const { defaultLabor } = require('../lib/labor');
+const { defaultInputs, loadCatalog } = require('./fixtures');
+
+const lineKeys = (lines) => lines.map(line => line.key);
+
+test('itemizes labor on both sides even when it is left out of totals', () => {
+  const { costs } = sizeCluster(defaultInputs({ labor: { includeInTotals: false } }));
+  assert.ok(lineKeys(costs.breakdown).includes('laborStaff'));
+  assert.ok(lineKeys(costs.postgres.breakdown).includes('labor'));
+  assert.strictEqual(costs.totalMonthlyCost, costs.infrastructureMonthlyCost);
+});
+
+test('counts labor in totals and savings only when the toggle is on', () => {
+  const excluded = sizeCluster(defaultInputs({ labor: { includeInTotals: false } })).costs;
+  const included = sizeCluster(defaultInputs({ labor: { includeInTotals: true } })).costs;
+  const { postgres, tidb } = included.labor;
+  assert.strictEqual(included.totalMonthlyCost, excluded.totalMonthlyCost + tidb.total);
+  assert.strictEqual(included.postgresMonthlyCost, excluded.postgresMonthlyCost + postgres.total);
+  assert.ok(Math.abs(included.monthlySavings - (excluded.monthlySavings + postgres.total - tidb.total)) < 1e-6);
+  assert.deepStrictEqual(lineKeys(included.breakdown), lineKeys(excluded.breakdown));
+});
+
+test('itemizes TiDB Cloud labor and counts it only when the toggle is on', () => {
+  const cloud = (includeInTotals) => sizeCluster(defaultInputs({
+    labor: { includeInTotals },
+    tidbCloudCatalog: loadCatalog('tidb-cloud')
+  })).costs.tidbCloud;
+  const excluded = cloud(false);
+  assert.ok(lineKeys(excluded.breakdown).includes('labor'));
+  assert.strictEqual(excluded.totalMonthlyCost, excluded.infrastructureMonthlyCost);
+  assert.strictEqual(cloud(true).totalMonthlyCost, excluded.infrastructureMonthlyCost + excluded.laborMonthlyCost);
+});
+
+test('leaves labor out of totals by default', () => {
+  assert.strictEqual(defaultLabor.includeInTotals, false);
+});
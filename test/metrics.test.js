@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMetricsFile, deriveWorkload, workloadInputsFromMetrics } = require('../lib/metrics');
+const { readWriteRatios } = require('../lib/validation');
+const { sizeCluster } = require('../lib/sizing');
+const { defaultInputs } = require('./fixtures');
+
+// pg_stat_database snapshots a minute apart: 6,000,000 rows fetched and 60,000 written per minute
+const pgStatDatabase = (header) => [
+  header,
+  '2026-01-01T00:00:00Z,1000000,10000,5000,5000,50',
+  '2026-01-01T00:01:00Z,7000000,40000,20000,20000,60',
+  '2026-01-01T00:02:00Z,13000000,70000,35000,35000,70'
+].join('\n');
+const lowerCaseHeader = 'snapshot_time,tup_fetched,tup_inserted,tup_updated,tup_deleted,numbackends';
+
+const importInputs = (text) => {
+  const derived = deriveWorkload([parseMetricsFile(text, 'pg_stat_database.csv')]);
+  return workloadInputsFromMetrics(derived, readWriteRatios);
+};
+
+test('sizes TiDB nodes from the imported read rate', () => {
+  const imported = importInputs(pgStatDatabase(lowerCaseHeader));
+  assert.strictEqual(imported.postgres.readOps, 100000);
+  const before = sizeCluster(defaultInputs()).topology;
+  const after = sizeCluster(defaultInputs({ postgres: imported.postgres })).topology;
+  assert.strictEqual(after.factors.suggestedTidbNodesFromReads, 10);
+  assert.ok(after.tidbNodes > before.tidbNodes);
+});
+
+test('reads pg_stat_database columns whatever their header case', () => {
+  const upper = importInputs(pgStatDatabase(lowerCaseHeader.toUpperCase()));
+  const mixed = importInputs(pgStatDatabase('Snapshot_Time,Tup_Fetched,Tup_Inserted,Tup_Updated,Tup_Deleted,NumBackends'));
+  const lower = importInputs(pgStatDatabase(lowerCaseHeader));
+  assert.deepStrictEqual(upper, lower);
+  assert.deepStrictEqual(mixed, lower);
+  assert.strictEqual(lower.postgres.writeOps, 1000);
+  assert.strictEqual(lower.workload.concurrentConnections, 70);
+});
+
+test('reads pg_stat_statements columns whatever their header case', () => {
+  const snapshot = (header) => [
+    header,
+    '"SELECT * FROM orders WHERE id = $1",900',
+    '"UPDATE orders SET status = $1",100'
+  ].join('\n');
+  const { totals } = parseMetricsFile(snapshot('QUERY,CALLS'), 'pg_stat_statements.csv');
+  assert.deepStrictEqual(totals, parseMetricsFile(snapshot('query,calls'), 'pg_stat_statements.csv').totals);
+  assert.deepStrictEqual(totals, { readOps: 900, writeOps: 100 });
+});
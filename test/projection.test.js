@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { projectTco } = require('../lib/projection');
+const { defaultInputs } = require('./fixtures');
+
+test('projects every month while the grown data stays within bounds', () => {
+  const projection = projectTco(defaultInputs(), 36);
+  assert.strictEqual(projection.months.length, 37);
+  assert.strictEqual(projection.stoppedAt, null);
+  assert.strictEqual(projection.totalTidb, projection.months[36].cumulativeTidb);
+});
+
+test('stops at the storage limit instead of throwing at high growth', () => {
+  const projection = projectTco(defaultInputs({ workload: { dataGrowthRate: 30 } }), 60);
+  assert.ok(projection.stoppedAt);
+  const last = projection.months[projection.months.length - 1];
+  assert.strictEqual(last.month, projection.stoppedAt.month - 1);
+  assert.ok(last.storageGB <= 10000000);
+  assert.match(projection.stoppedAt.message, /postgres\.storageGB/);
+  assert.strictEqual(projection.totalPostgres, last.cumulativePostgres);
+});
+
+test('stops at the storage limit for a large data set at moderate growth', () => {
+  const projection = projectTco(defaultInputs({ postgres: { storageGB: 50000 } }), 60);
+  assert.ok(projection.stoppedAt);
+  assert.ok(projection.months.every(point => point.storageGB <= 10000000));
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { catalogProvider } = require('../lib/providers');
+const { recommendTidbInstanceType } = require('../lib/sizing');
+const { loadCatalog } = require('./fixtures');
+
+const catalogIds = require('../catalogs/index.json').catalogs.map(entry => entry.id);
+
+test('recommends TiDB instance types from the catalog provider by source memory', () => {
+  catalogIds.forEach(id => {
+    const catalog = loadCatalog(id);
+    const provider = catalogProvider(catalog);
+    const instanceTypes = catalog[provider.tables.instances];
+    [16, 64, 128].forEach(memory => {
+      const type = recommendTidbInstanceType(memory, provider);
+      assert.ok(instanceTypes[type], `${id}: ${type}`);
+    });
+    assert.notStrictEqual(recommendTidbInstanceType(128, provider), recommendTidbInstanceType(16, provider));
+  });
+});
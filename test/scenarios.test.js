@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeScenarioHash, decodeScenarioHash, mergeScenarioState, MAX_HASH_LENGTH } = require('../lib/scenarios');
+
+// A state about the size of a 5,000-table data profile (over 500 KB of JSON)
+const largeState = () => ({
+  catalogId: 'aws-us-east-1',
+  dataProfile: {
+    tables: Array.from({ length: 5000 }, (_, i) => ({ name: `public.table_${i}`, rows: i * 1000, bytes: i * 4096, note: 'ü€' }))
+  }
+});
+
+// Load the module without Buffer so it takes the browser path (TextEncoder + btoa / atob)
+const withoutBuffer = (run) => {
+  const buffer = global.Buffer;
+  const path = require.resolve('../lib/scenarios');
+  delete require.cache[path];
+  delete global.Buffer;
+  try {
+    return run(require('../lib/scenarios'));
+  } finally {
+    global.Buffer = buffer;
+    delete require.cache[path];
+  }
+};
+
+test('round-trips a state through the URL hash', () => {
+  const state = { postgres: { storageGB: 1000 }, catalogId: 'gcp-us-central1' };
+  assert.deepStrictEqual(decodeScenarioHash(encodeScenarioHash(state)), state);
+});
+
+test('round-trips a large state in the browser encoding without overflowing the stack', () => {
+  const state = largeState();
+  const { hash, decoded } = withoutBuffer(scenarios => {
+    const encoded = scenarios.encodeScenarioHash(state);
+    return { hash: encoded, decoded: scenarios.decodeScenarioHash(encoded) };
+  });
+  assert.deepStrictEqual(decoded, state);
+  assert.strictEqual(hash, encodeScenarioHash(state));
+  assert.ok(hash.length > MAX_HASH_LENGTH);
+});
+
+test('rejects a corrupted link', () => {
+  assert.throws(() => decodeScenarioHash('#scenario=not-base64!'), /corrupted/);
+  assert.strictEqual(decodeScenarioHash('#other'), null);
+});
+
+test('fills sections missing from an older scenario with the defaults', () => {
+  const merged = mergeScenarioState({ postgres: { storageGB: 1, iops: 3000 }, network: { avgRowBytes: 1024 } },
+    { postgres: { storageGB: 500 } });
+  assert.deepStrictEqual(merged, { postgres: { storageGB: 500, iops: 3000 }, network: { avgRowBytes: 1024 } });
+});
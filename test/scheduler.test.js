@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizeCluster } = require('../lib/sizing');
+const { defaultInputs } = require('./fixtures');
+
+// A worker group that runs every role on nodes too small for the TiKV and TiDB pods
+const undersizedGroups = (kubernetes) => ({
+  kubernetes: {
+    ...kubernetes,
+    workerGroups: [{ name: 'small', instanceType: 'c5.2xlarge', roles: ['tidb', 'tikv', 'pd', 'tiflash', 'monitoring'] }]
+  }
+});
+
+test('packs every pod with the default dedicated worker groups', () => {
+  const { topology, warnings } = sizeCluster(defaultInputs());
+  assert.deepStrictEqual(topology.workers.unschedulable, []);
+  assert.ok(!warnings.some(warning => warning.code === 'UNSCHEDULABLE_PODS'));
+});
+
+test('prices unschedulable pods as nodes of their role instead of dropping them', () => {
+  const inputs = defaultInputs();
+  const { topology, costs, warnings } = sizeCluster({ ...inputs, ...undersizedGroups(inputs.kubernetes) });
+  const unscheduledTikv = topology.workers.unschedulable.filter(item => item.role === 'tikv').length;
+  assert.ok(unscheduledTikv > 0);
+  assert.ok(warnings.some(warning => warning.code === 'UNSCHEDULABLE_PODS'));
+  const tikvType = inputs.catalog.ec2InstanceTypes[topology.instances.tikvInstanceType];
+  assert.strictEqual(costs.instances['unscheduled-tikv'], tikvType.monthlyCost * unscheduledTikv);
+  assert.ok(costs.breakdown.some(line => line.key === 'unscheduled-tikv'));
+});
+
+test('does not report a lower total when pods fail to schedule', () => {
+  const inputs = defaultInputs();
+  const packed = sizeCluster(inputs);
+  const failed = sizeCluster({ ...inputs, ...undersizedGroups(inputs.kubernetes) });
+  assert.ok(failed.costs.totalMonthlyCost >= packed.costs.totalMonthlyCost);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sourceForCatalog, changeSource, repriceSource } = require('../lib/sources');
+const { validateInputs } = require('../lib/validation');
+const { defaultInputs, loadCatalog } = require('./fixtures');
+
+const aws = loadCatalog('aws-us-east-1');
+const gcp = loadCatalog('gcp-us-central1');
+const azure = loadCatalog('azure-eastus');
+
+test('moves an RDS source onto self-managed VMs of another provider', () => {
+  const { postgres } = defaultInputs();
+  const moved = sourceForCatalog(postgres, gcp);
+  assert.strictEqual(moved.source, 'gce-postgresql');
+  assert.ok(validateInputs(defaultInputs({ postgres: moved, catalog: gcp })).errors
+    .every(error => !error.field.startsWith('postgres.')));
+});
+
+test('restores the original source after switching providers and back', () => {
+  const postgres = changeSource(defaultInputs().postgres, 'aurora-postgresql', aws);
+  const original = { ...postgres, instanceType: 'db.r5.xlarge' };
+  const back = sourceForCatalog(sourceForCatalog(sourceForCatalog(original, gcp), azure), aws);
+  assert.strictEqual(back.source, 'aurora-postgresql');
+  assert.strictEqual(back.instanceType, 'db.r5.xlarge');
+  assert.strictEqual(back.storageType, original.storageType);
+  assert.strictEqual(back.replacedSource, undefined);
+});
+
+test('keeps a source chosen on the other provider instead of restoring', () => {
+  const onGcp = sourceForCatalog(defaultInputs().postgres, gcp);
+  const chosen = changeSource(onGcp, 'gce-mysql', gcp);
+  assert.strictEqual(chosen.replacedSource, undefined);
+  assert.strictEqual(sourceForCatalog(chosen, aws).source, 'ec2-mysql');
+});
+
+test('leaves a source the catalog cannot price for validation to report', () => {
+  const postgres = { ...defaultInputs().postgres, instanceType: 'db.x9.huge' };
+  assert.strictEqual(repriceSource(postgres, aws), postgres);
+  const unknown = { ...postgres, source: 'oracle' };
+  assert.strictEqual(repriceSource(sourceForCatalog(unknown, gcp), gcp), unknown);
+  assert.deepStrictEqual(
+    validateInputs(defaultInputs({ postgres: unknown })).errors.map(error => error.code),
+    ['INVALID_CHOICE', 'UNKNOWN_CATALOG_KEY', 'UNKNOWN_CATALOG_KEY']
+  );
+});
+
+test('re-prices a source the catalog offers', () => {
+  const { postgres } = defaultInputs();
+  const repriced = repriceSource({ ...postgres, monthlyCost: 0 }, loadCatalog('aws-eu-west-1'));
+  assert.ok(repriced.monthlyCost > 0);
+});
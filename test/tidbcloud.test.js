@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sizeCluster } = require('../lib/sizing');
+const { loadTidbCloudCatalog } = require('../lib/pricing');
+const { catalogInputs } = require('./fixtures');
+
+const catalogIds = require('../catalogs/index.json').catalogs.map(entry => entry.id);
+
+test('prices TiDB Cloud Dedicated in every catalog region', async () => {
+  const tidbCloudCatalog = await loadTidbCloudCatalog();
+  catalogIds.forEach(id => {
+    const { costs, warnings } = sizeCluster(catalogInputs(id, { tidbCloudCatalog }));
+    assert.ok(costs.tidbCloud && costs.tidbCloud.totalMonthlyCost > 0, id);
+    assert.ok(!warnings.some(warning => warning.code.startsWith('TIDB_CLOUD_')), id);
+  });
+});
+
+test('leaves Serverless out with a warning where it is not offered', async () => {
+  const tidbCloudCatalog = await loadTidbCloudCatalog();
+  const serverless = (id) => sizeCluster(catalogInputs(id, { tidbCloud: { model: 'serverless' }, tidbCloudCatalog }));
+  assert.ok(serverless('aws-us-east-1').costs.tidbCloud.totalMonthlyCost > 0);
+  const { costs, warnings } = serverless('azure-eastus');
+  assert.strictEqual(costs.tidbCloud, null);
+  assert.ok(warnings.some(warning => warning.code === 'TIDB_CLOUD_MODEL_UNPRICED'));
+});
+
+test('prices TiDB Cloud transfer from the network model unless overridden', async () => {
+  const tidbCloudCatalog = await loadTidbCloudCatalog();
+  const lineFor = (costs, key) => costs.tidbCloud.lines.find(line => line.key === key).value;
+  const dedicated = tidbCloudCatalog.regions['us-east-1'].dedicated;
+
+  const { costs } = sizeCluster(catalogInputs('aws-us-east-1', { tidbCloudCatalog }));
+  assert.ok(costs.networkTraffic.interAzGB > 0);
+  assert.strictEqual(costs.tidbCloud.traffic.crossAzGB, costs.networkTraffic.interAzGB);
+  assert.strictEqual(lineFor(costs, 'cloud-cross-az'), costs.networkTraffic.interAzGB * dedicated.crossAzTransferPerGB);
+
+  const overridden = sizeCluster(catalogInputs('aws-us-east-1', {
+    tidbCloud: { crossAzTrafficGB: 250, egressGB: 40 },
+    tidbCloudCatalog
+  })).costs;
+  assert.strictEqual(lineFor(overridden, 'cloud-cross-az'), 250 * dedicated.crossAzTransferPerGB);
+  assert.strictEqual(lineFor(overridden, 'cloud-egress'), 40 * dedicated.internetEgressPerGB);
+  assert.strictEqual(overridden.tidbCloud.traffic.estimate.crossAzGB, costs.networkTraffic.interAzGB);
+});
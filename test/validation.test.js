@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateInputs } = require('../lib/validation');
+const { sizeCluster } = require('../lib/sizing');
+const { defaultInputs, loadCatalog } = require('./fixtures');
+
+const errorCodes = (inputs) => validateInputs(inputs).errors.map(error => `${error.field} ${error.code}`);
+
+test('accepts the default inputs', () => {
+  assert.deepStrictEqual(validateInputs(defaultInputs()).errors, []);
+});
+
+test('checks numbers against their bounds, inclusive', () => {
+  assert.deepStrictEqual(errorCodes(defaultInputs({ postgres: { storageGB: 0 } })), ['postgres.storageGB OUT_OF_RANGE']);
+  assert.deepStrictEqual(errorCodes(defaultInputs({ postgres: { storageGB: 10000001 } })), ['postgres.storageGB OUT_OF_RANGE']);
+  assert.ok(validateInputs(defaultInputs({ postgres: { storageGB: 10000000 } })).valid);
+  assert.ok(validateInputs(defaultInputs({ postgres: { storageGB: 1 } })).valid);
+});
+
+test('rejects non-numbers, fractions and unknown choices', () => {
+  assert.deepStrictEqual(errorCodes(defaultInputs({ postgres: { iops: NaN } })), ['postgres.iops NOT_A_NUMBER']);
+  assert.deepStrictEqual(errorCodes(defaultInputs({ postgres: { instanceCount: 1.5 } })), ['postgres.instanceCount NOT_AN_INTEGER']);
+  assert.deepStrictEqual(errorCodes(defaultInputs({ workload: { type: 'Batch' } })), ['workload.type INVALID_CHOICE']);
+});
+
+test('reports field messages keyed by path', () => {
+  const { fieldErrors } = validateInputs(defaultInputs({ postgres: { storageGB: 0 } }));
+  assert.deepStrictEqual(fieldErrors, { 'postgres.storageGB': 'Must be between 1 and 10000000.' });
+});
+
+test('checks catalog keys against the catalog of the provider', () => {
+  assert.deepStrictEqual(
+    errorCodes(defaultInputs({ instances: { tikvInstanceType: 'x9.huge' } })),
+    ['instances.tikvInstanceType UNKNOWN_CATALOG_KEY']
+  );
+  assert.ok(errorCodes(defaultInputs({ catalog: loadCatalog('gcp-us-central1') })).includes('storage.tidbEbsType UNKNOWN_CATALOG_KEY'));
+});
+
+test('rejects a source the catalog provider does not offer', () => {
+  const codes = errorCodes(defaultInputs({ catalog: loadCatalog('azure-eastus') }));
+  assert.ok(codes.includes('postgres.source UNAVAILABLE_SOURCE'));
+});
+
+test('sizeCluster refuses invalid inputs', () => {
+  assert.throws(() => sizeCluster(defaultInputs({ postgres: { storageGB: 10000001 } })), /postgres\.storageGB/);
+  assert.throws(() => sizeCluster(defaultInputs({ postgres: { instanceCount: 0 } })), /postgres\.instanceCount/);
+});
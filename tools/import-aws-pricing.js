@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+// Build a pricing catalog (catalogs/*.json) from locally saved AWS Price List bulk offer files.
+//
+// Usage:
+//   node tools/import-aws-pricing.js --region us-east-1 \
+//     --ec2 AmazonEC2.csv --rds AmazonRDS.json --s3 AmazonS3.json \
+//     [--base catalogs/aws-us-east-1.json] [--name "AWS US East (N. Virginia)"] \
+//     [--effective-date 2025-05-01] [--out catalogs/aws-us-east-1.json]
+//
+// Offer files can be the JSON or CSV form of the regional offer (the CSV form is streamed, which
+// is what the multi-gigabyte EC2 offer needs). The EC2 offer also supplies EBS and intra-region
+// data transfer prices. Only the instance types already listed in the base catalog are priced,
+// so descriptions and the instance selection carry over; any price missing from the offer files
+// keeps its base catalog value and is reported. Purchase discounts (Reserved, Savings Plan, Spot)
+// are not part of the on-demand offer data and also carry over from the base catalog, as do the
+// Aurora instance premiums (auroraPostgres / auroraMysql instancePriceFactor and
+// ioOptimizedInstanceFactor), the EKS control plane fee (kubernetesControlPlaneCost) and the
+// internet egress, VPC transfer and NAT gateway prices (internetEgressPricePerGB,
+// vpcTransferPricePerGB, natGatewayMonthlyCost, natGatewayPricePerGB). The tool
+// builds AWS catalogs only; the Google Cloud and Azure catalogs are maintained by hand.
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { validateCatalog } = require('../lib/pricing');
+
+const CATALOG_DIR = path.join(__dirname, '..', 'catalogs');
+const HOURS_PER_MONTH = 730;
+
+// CSV column headers mapped to the attribute names used by the JSON offer format
+const csvAttributeColumns = {
+  'Instance Type': 'instanceType',
+  'vCPU': 'vcpu',
+  'Memory': 'memory',
+  'Storage': 'storage',
+  'Tenancy': 'tenancy',
+  'Operating System': 'operatingSystem',
+  'License Model': 'licenseModel',
+  'Pre Installed S/W': 'preInstalledSw',
+  'CapacityStatus': 'capacitystatus',
+  'Volume API Name': 'volumeApiName',
+  'Region Code': 'regionCode',
+  'From Region Code': 'fromRegionCode',
+  'Transfer Type': 'transferType',
+  'Database Engine': 'databaseEngine',
+  'Deployment Option': 'deploymentOption',
+  'Storage Class': 'storageClass',
+  'Volume Type': 'volumeType',
+  'Group': 'group'
+};
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+// Split one CSV line, honouring quoted fields and "" escapes
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+// Stream a CSV offer file. The first rows are metadata ("Publication Date", ...) followed by the header.
+const readCsvOffer = (file, onRecord) => new Promise((resolve, reject) => {
+  const meta = {};
+  let header = null;
+  const input = fs.createReadStream(file);
+  input.on('error', reject);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  lines.on('line', (line) => {
+    const fields = parseCsvLine(line);
+    if (!header) {
+      if (fields[0] === 'SKU') {
+        header = fields;
+      } else {
+        meta[fields[0]] = fields[1];
+      }
+      return;
+    }
+    const row = {};
+    header.forEach((column, i) => { row[column] = fields[i]; });
+    const attributes = {};
+    Object.keys(csvAttributeColumns).forEach(column => {
+      if (row[column] !== undefined && row[column] !== '') {
+        attributes[csvAttributeColumns[column]] = row[column];
+      }
+    });
+    onRecord({
+      productFamily: row['Product Family'],
+      attributes,
+      termType: row['TermType'],
+      unit: row['Unit'],
+      price: Number(row['PricePerUnit']),
+      beginRange: row['StartingRange']
+    });
+  });
+  lines.on('close', () => resolve({ publicationDate: meta['Publication Date'] }));
+});
+
+// Read a JSON offer file, emitting one record per on-demand price dimension
+const readJsonOffer = (file, onRecord) => {
+  const offer = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const onDemand = (offer.terms && offer.terms.OnDemand) || {};
+  Object.keys(onDemand).forEach(sku => {
+    const product = offer.products[sku];
+    if (!product) return;
+    Object.values(onDemand[sku]).forEach(term => {
+      Object.values(term.priceDimensions).forEach(dimension => {
+        onRecord({
+          productFamily: product.productFamily,
+          attributes: product.attributes || {},
+          termType: 'OnDemand',
+          unit: dimension.unit,
+          price: Number(dimension.pricePerUnit.USD),
+          beginRange: dimension.beginRange
+        });
+      });
+    });
+  });
+  return Promise.resolve({ publicationDate: offer.publicationDate });
+};
+
+const readOffer = (file, region, onRecord) => {
+  const reader = file.toLowerCase().endsWith('.csv') ? readCsvOffer : readJsonOffer;
+  return reader(file, (record) => {
+    if (record.termType !== 'OnDemand') return;
+    // Regional offer files only hold one region; the check guards against the global files
+    const recordRegion = record.attributes.regionCode || record.attributes.fromRegionCode;
+    if (recordRegion && recordRegion !== region) return;
+    onRecord(record);
+  });
+};
+
+// "2 x 1900 NVMe SSD" -> { disks: 2, gb: 3800 }; "EBS only" -> undefined
+const parseNvme = (storage) => {
+  const match = /^(\d+)\s*x\s*([\d,]+)\s*NVMe/i.exec(storage || '');
+  return match ? { disks: Number(match[1]), gb: Number(match[1]) * Number(match[2].replace(/,/g, '')) } : undefined;
+};
+
+const isFirstTier = (record) => !record.beginRange || Number(record.beginRange) === 0;
+
+// EC2 offer: Linux shared-tenancy instances, EBS volume prices and intra-region transfer
+const importEc2 = (file, region, catalog, found) => readOffer(file, region, (record) => {
+  const { productFamily, attributes, unit, price } = record;
+
+  if (productFamily === 'Compute Instance' && unit === 'Hrs' &&
+      catalog.ec2InstanceTypes[attributes.instanceType] &&
+      attributes.operatingSystem === 'Linux' && attributes.tenancy === 'Shared' &&
+      attributes.preInstalledSw === 'NA' && attributes.capacitystatus === 'Used' &&
+      (!attributes.licenseModel || attributes.licenseModel === 'No License required')) {
+    const instance = catalog.ec2InstanceTypes[attributes.instanceType];
+    instance.vCPU = parseInt(attributes.vcpu, 10);
+    instance.memory = parseFloat(attributes.memory);
+    instance.monthlyCost = Math.round(price * HOURS_PER_MONTH);
+    const nvme = parseNvme(attributes.storage);
+    if (nvme) {
+      instance.nvme = nvme.gb;
+      instance.nvmeDisks = nvme.disks;
+    }
+    found.add(`ec2:${attributes.instanceType}`);
+    return;
+  }
+
+  const volume = catalog.ebsVolumeTypes[attributes.volumeApiName];
+  if (volume && isFirstTier(record)) {
+    if (productFamily === 'Storage' && unit === 'GB-Mo') {
+      volume.basePrice = price;
+      found.add(`ebs:${attributes.volumeApiName}:basePrice`);
+    } else if (productFamily === 'System Operation' && /IOPS-Mo/i.test(unit)) {
+      volume.iopsPrice = price;
+      found.add(`ebs:${attributes.volumeApiName}:iopsPrice`);
+    } else if (productFamily === 'Provisioned Throughput') {
+      // Catalog throughput prices are per MiB/s-month
+      volume.throughputPrice = /GiBps/i.test(unit) ? price / 1024 : price;
+      found.add(`ebs:${attributes.volumeApiName}:throughputPrice`);
+    }
+    return;
+  }
+
+  if (productFamily === 'Data Transfer' && attributes.transferType === 'IntraRegion' && unit === 'GB' && isFirstTier(record)) {
+    catalog.networkPricePerGB = price;
+    found.add('network');
+  }
+});
+
+// RDS volume types (offer "Volume Type") by catalog rdsStorageTypes key
+const rdsVolumeTypes = {
+  'General Purpose-GP3': 'gp3',
+  'Provisioned IOPS': 'io1',
+  'Provisioned IOPS-IO2': 'io2'
+};
+
+// Catalog tables of the RDS and Aurora engines (offer "Database Engine"); RDS storage, backup and
+// Performance Insights prices are the same for both engines and are read from the PostgreSQL rows
+const rdsEngines = {
+  PostgreSQL: { instances: 'postgresInstanceTypes', found: 'rds' },
+  MySQL: { instances: 'mysqlInstanceTypes', found: 'rds-mysql' }
+};
+const auroraEngines = {
+  'Aurora PostgreSQL': { table: 'auroraPostgres', found: 'aurora' },
+  'Aurora MySQL': { table: 'auroraMysql', found: 'aurora-mysql' }
+};
+
+// RDS offer: single-AZ PostgreSQL and MySQL instances, storage (Multi-AZ is modelled as doubled
+// instances and volumes), backup storage, Performance Insights and Aurora storage and I/O
+const importRds = (file, region, catalog, found) => readOffer(file, region, (record) => {
+  const { productFamily, attributes, unit, price } = record;
+  const engine = attributes.databaseEngine;
+  const rdsEngine = rdsEngines[engine];
+  if (productFamily === 'Database Instance' && unit === 'Hrs' &&
+      rdsEngine && attributes.deploymentOption === 'Single-AZ' &&
+      catalog[rdsEngine.instances][attributes.instanceType]) {
+    const instance = catalog[rdsEngine.instances][attributes.instanceType];
+    instance.vCPU = parseInt(attributes.vcpu, 10);
+    instance.memory = parseFloat(attributes.memory);
+    instance.monthlyCost = Math.round(price * HOURS_PER_MONTH);
+    found.add(`${rdsEngine.found}:${attributes.instanceType}`);
+    return;
+  }
+  if (!isFirstTier(record)) return;
+
+  const storageKey = rdsVolumeTypes[attributes.volumeType];
+  const storageType = storageKey && catalog.rdsStorageTypes[storageKey];
+  if (storageType && engine === 'PostgreSQL' && attributes.deploymentOption === 'Single-AZ') {
+    if (productFamily === 'Database Storage' && unit === 'GB-Mo') {
+      storageType.basePrice = price;
+      found.add(`rds-storage:${storageKey}:basePrice`);
+    } else if (productFamily === 'Provisioned IOPS' && /IOPS-Mo/i.test(unit)) {
+      storageType.iopsPrice = price;
+      found.add(`rds-storage:${storageKey}:iopsPrice`);
+    } else if (productFamily === 'Provisioned Throughput' && /MiBps-Mo/i.test(unit)) {
+      storageType.throughputPrice = price;
+      found.add(`rds-storage:${storageKey}:throughputPrice`);
+    }
+    return;
+  }
+
+  if (productFamily === 'Storage Snapshot' && unit === 'GB-Mo' && engine === 'PostgreSQL') {
+    catalog.rdsBackupPricePerGB = price;
+    found.add('rds-backup');
+  } else if (productFamily === 'Performance Insights' && /vCPU-Mo/i.test(unit)) {
+    catalog.rdsPerformanceInsightsPricePerVcpu = price;
+    found.add('rds-performance-insights');
+  } else if (auroraEngines[engine] && productFamily === 'Database Storage' && unit === 'GB-Mo') {
+    const field = /IO Optimized/i.test(attributes.volumeType) ? 'ioOptimizedStoragePricePerGB' : 'storagePricePerGB';
+    catalog[auroraEngines[engine].table][field] = price;
+    found.add(`${auroraEngines[engine].found}:${field}`);
+  } else if (auroraEngines[engine] && productFamily === 'System Operation' && /^IOs$/i.test(unit)) {
+    catalog[auroraEngines[engine].table].ioPricePerMillion = price * 1000000;
+    found.add(`${auroraEngines[engine].found}:ioPricePerMillion`);
+  }
+});
+
+// S3 offer: first-tier Standard storage
+const importS3 = (file, region, catalog, found) => readOffer(file, region, (record) => {
+  const { productFamily, attributes, unit, price } = record;
+  if (productFamily === 'Storage' && unit === 'GB-Mo' && isFirstTier(record) &&
+      attributes.storageClass === 'General Purpose' && attributes.volumeType === 'Standard') {
+    catalog.s3PricePerGB = price;
+    found.add('s3');
+  }
+});
+
+// Prices the base catalog has that the offer files should have replaced
+const expectedPrices = (catalog, sources) => {
+  const expected = [];
+  if (sources.ec2) {
+    Object.keys(catalog.ec2InstanceTypes).forEach(type => expected.push(`ec2:${type}`));
+    Object.keys(catalog.ebsVolumeTypes).forEach(type => {
+      Object.keys(catalog.ebsVolumeTypes[type]).forEach(price => expected.push(`ebs:${type}:${price}`));
+    });
+    expected.push('network');
+  }
+  if (sources.rds) {
+    Object.values(rdsEngines).forEach(rdsEngine => {
+      Object.keys(catalog[rdsEngine.instances]).forEach(type => expected.push(`${rdsEngine.found}:${type}`));
+    });
+    Object.keys(catalog.rdsStorageTypes).forEach(type => {
+      Object.keys(catalog.rdsStorageTypes[type]).forEach(price => expected.push(`rds-storage:${type}:${price}`));
+    });
+    expected.push('rds-backup', 'rds-performance-insights');
+    Object.values(auroraEngines).forEach(aurora => {
+      ['storagePricePerGB', 'ioOptimizedStoragePricePerGB', 'ioPricePerMillion']
+        .forEach(field => expected.push(`${aurora.found}:${field}`));
+    });
+  }
+  if (sources.s3) {
+    expected.push('s3');
+  }
+  return expected;
+};
+
+// Add or replace the catalog's entry in catalogs/index.json
+const updateIndex = (catalog, outFile) => {
+  const indexFile = path.join(CATALOG_DIR, 'index.json');
+  const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  const entry = {
+    id: catalog.id,
+    name: catalog.name,
+    region: catalog.region,
+    effectiveDate: catalog.effectiveDate,
+    file: path.relative(CATALOG_DIR, outFile)
+  };
+  const position = index.catalogs.findIndex(item => item.id === catalog.id);
+  if (position >= 0) {
+    index.catalogs[position] = entry;
+  } else {
+    index.catalogs.push(entry);
+  }
+  fs.writeFileSync(indexFile, JSON.stringify(index, null, 2) + '\n');
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.region || !(args.ec2 || args.rds || args.s3)) {
+    console.error('Usage: node tools/import-aws-pricing.js --region <code> [--ec2 <file>] [--rds <file>] [--s3 <file>] ' +
+      '[--base <catalog.json>] [--name <name>] [--effective-date <YYYY-MM-DD>] [--out <catalog.json>]');
+    process.exit(1);
+  }
+
+  const id = `aws-${args.region}`;
+  const outFile = path.resolve(args.out || path.join(CATALOG_DIR, `${id}.json`));
+  const baseFile = args.base || (fs.existsSync(outFile) ? outFile : path.join(CATALOG_DIR, 'aws-us-east-1.json'));
+  const catalog = JSON.parse(fs.readFileSync(baseFile, 'utf8'));
+  catalog.id = id;
+  catalog.provider = 'aws';
+  catalog.region = args.region;
+  if (args.name) catalog.name = args.name;
+
+  const found = new Set();
+  const publicationDates = [];
+  const sources = { ec2: importEc2, rds: importRds, s3: importS3 };
+  for (const source of Object.keys(sources)) {
+    if (!args[source]) continue;
+    const { publicationDate } = await sources[source](args[source], args.region, catalog, found);
+    if (publicationDate) publicationDates.push(publicationDate.slice(0, 10));
+  }
+
+  // The catalog is only as current as its oldest offer file
+  catalog.effectiveDate = args['effective-date'] || publicationDates.sort()[0] || catalog.effectiveDate;
+
+  const missing = expectedPrices(catalog, args).filter(key => !found.has(key));
+  if (missing.length > 0) {
+    console.warn(`Not found in offer files, kept base prices for: ${missing.join(', ')}`);
+  }
+
+  validateCatalog(catalog);
+  fs.writeFileSync(outFile, JSON.stringify(catalog, null, 2) + '\n');
+  // Catalogs written elsewhere (e.g. for review) are not listed in the UI
+  if (path.dirname(outFile) === CATALOG_DIR) {
+    updateIndex(catalog, outFile);
+  }
+  console.log(`Wrote ${path.relative(process.cwd(), outFile)} (${catalog.name}, effective ${catalog.effectiveDate})`);
+};
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});